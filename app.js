@@ -6,23 +6,83 @@
 
 import { dataLoader } from './data-loader.js';
 import { gruModel } from './gru.js';
+import { GRUEnsemble, createMemberOptions } from './ensemble.js';
+import { WalkForwardBacktester } from './backtest.js';
+import { createBaselineForecasters, compareForecasters } from './baselines.js';
+import { modelStore } from './model-store.js';
+import { readTextFile, loadCSVFiles, downloadText } from './browser-io.js';
+import { evaluateByHorizon, naiveScale, intervalCoverage, intervalWidth } from './metrics.js';
+import { FEATURE_DEFINITIONS } from './features.js';
+import { DEFAULT_SEARCH_SPACE, rankTrials } from './hyperparameter-search.js';
+import { TrainingWorkerClient } from './worker-client.js';
+import { packTensor, packWindows, transferList } from './training-jobs.js';
+import { setGlobalSeed, resolveSeed } from './random.js';
+import { experimentLog } from './experiment-log.js';
+import { TradingStrategy } from './trading-strategy.js';
+import { explainWindow, permutationImportance } from './explainability.js';
+
+// Starting points for the architecture editor (see architecture.js)
+const ARCHITECTURE_PRESETS = {
+    lstm: {
+        layers: [
+            { type: 'lstm', units: 64, recurrentDropout: 0.1 },
+            { type: 'lstm', units: 32 },
+            { type: 'dropout', rate: 0.2 }
+        ]
+    },
+    'bigru-attention': {
+        layers: [
+            { type: 'gru', units: 32, bidirectional: true },
+            { type: 'layerNorm' },
+            { type: 'attention' },
+            { type: 'dropout', rate: 0.2 }
+        ]
+    },
+    'conv-gru': {
+        layers: [
+            { type: 'conv1d', filters: 32, kernelSize: 3 },
+            { type: 'gru', units: 64 },
+            { type: 'dropout', rate: 0.2 }
+        ]
+    }
+};
 
 class StockPredictorApp {
     constructor() {
         this.isDataLoaded = false;
         this.isModelTrained = false;
-        this.currentFile = null;
+        this.currentFiles = [];
+        this.columnSelection = null;
         this.priceChart = null;
         this.performanceChart = null;
         this.predictions = [];
+        this.predictionIntervals = null;
         this.datasets = null;
+        // Model behind forecasts and evaluation: gruModel or the ensemble
+        this.ensemble = new GRUEnsemble();
+        this.forecaster = gruModel;
+        this.trainer = new TrainingWorkerClient();
+        this.trainingJob = null;
+        this.trainingCancelled = false;
+        this.searchJob = null;
+        this.backtestJob = null;
+        this.backtestSteps = null;
+        this.attributions = null;
+        this.searchResults = [];
+        this.searchSort = { key: 'valLoss', ascending: true };
+        this.runs = [];
+        this.selectedRuns = new Set();
         
         this.initEventListeners();
         this.updateUI();
+        this.refreshRuns();
         
-        // Initialize TensorFlow.js backend
+        // Initialize TensorFlow.js backend, then start the training worker
         tf.setBackend('webgl').then(() => {
             console.log('TensorFlow.js backend initialized');
+            return this.trainer.start();
+        }).then(({ inWorker, backend }) => {
+            console.log(`Training runs ${inWorker ? 'in a worker' : 'on the page'} (${backend} backend)`);
         });
     }
 
@@ -39,6 +99,13 @@ class StockPredictorApp {
         const stopTrainBtn = document.getElementById('stopTrainBtn');
         const predictBtn = document.getElementById('predictBtn');
         const downloadSampleBtn = document.getElementById('downloadSampleBtn');
+        const backtestBtn = document.getElementById('backtestBtn');
+        const saveModelBtn = document.getElementById('saveModelBtn');
+        const downloadModelBtn = document.getElementById('downloadModelBtn');
+        const loadModelBtn = document.getElementById('loadModelBtn');
+        const loadModelFilesBtn = document.getElementById('loadModelFilesBtn');
+        const searchBtn = document.getElementById('searchBtn');
+        const promoteBestBtn = document.getElementById('promoteBestBtn');
 
         // File selection
         dropArea.addEventListener('click', () => {
@@ -48,7 +115,7 @@ class StockPredictorApp {
         
         fileInput.addEventListener('change', (e) => {
             console.log('File selected via input');
-            this.currentFile = e.target.files[0];
+            this.currentFiles = Array.from(e.target.files);
             this.onFileSelected();
         });
 
@@ -76,7 +143,7 @@ class StockPredictorApp {
             console.log('File dropped');
             
             if (e.dataTransfer.files.length) {
-                this.currentFile = e.dataTransfer.files[0];
+                this.currentFiles = Array.from(e.dataTransfer.files);
                 fileInput.files = e.dataTransfer.files;
                 this.onFileSelected();
             }
@@ -112,22 +179,211 @@ class StockPredictorApp {
             console.log('Download sample button clicked');
             this.downloadSampleData();
         });
+        
+        backtestBtn.addEventListener('click', () => {
+            console.log('Backtest button clicked');
+            if (this.backtestJob) {
+                this.backtestJob.cancel();
+            } else {
+                this.runBacktest();
+            }
+        });
+        
+        document.getElementById('simulateBtn').addEventListener('click', () => {
+            console.log('Simulate button clicked');
+            this.simulateStrategy();
+        });
+        
+        document.getElementById('explainBtn').addEventListener('click', () => {
+            console.log('Explain button clicked');
+            this.explainForecast();
+        });
+        document.getElementById('importanceBtn').addEventListener('click', () => {
+            console.log('Importance button clicked');
+            this.showPermutationImportance();
+        });
+        document.getElementById('explainHorizon').addEventListener('change', () => {
+            if (this.attributions) {
+                this.showAttributionHeatmap();
+            }
+        });
+        
+        document.getElementById('updateBtn').addEventListener('click', () => {
+            console.log('Update button clicked');
+            this.updateModel();
+        });
+        
+        document.getElementById('architecturePreset').addEventListener('change', (e) => {
+            this.onArchitecturePresetChanged(e.target.value);
+        });
+        
+        // Experiment log: select runs to compare, export, import and delete
+        document.getElementById('runsTable').addEventListener('change', (e) => {
+            const checkbox = e.target.closest('input[data-run]');
+            if (checkbox) {
+                if (checkbox.checked) {
+                    this.selectedRuns.add(checkbox.dataset.run);
+                } else {
+                    this.selectedRuns.delete(checkbox.dataset.run);
+                }
+                this.showRunCharts();
+            }
+        });
+        document.getElementById('runMetric').addEventListener('change', () => this.showRunCharts());
+        document.getElementById('exportRunsBtn').addEventListener('click', () => this.exportRuns());
+        document.getElementById('importRunsBtn').addEventListener('click', () => this.importRuns());
+        document.getElementById('deleteRunsBtn').addEventListener('click', () => this.deleteSelectedRuns());
+        
+        // The seed drives the sample data, weight initialization, shuffling and dropout
+        document.getElementById('seed').addEventListener('change', (e) => {
+            try {
+                setGlobalSeed(e.target.value);
+            } catch (error) {
+                e.target.value = '';
+                setGlobalSeed(null);
+                this.showStatus('error', error.message);
+            }
+        });
+        
+        searchBtn.addEventListener('click', () => {
+            console.log('Search button clicked');
+            if (this.searchJob) {
+                this.searchJob.cancel();
+            } else {
+                this.runSearch();
+            }
+        });
+        
+        promoteBestBtn.addEventListener('click', () => {
+            console.log('Promote best button clicked');
+            const [best] = rankTrials(this.searchResults);
+            this.promoteConfig(best.config, best.seed);
+        });
+        
+        // Sort by a column header or promote a row
+        document.getElementById('searchResults').addEventListener('click', (e) => {
+            const header = e.target.closest('th[data-sort]');
+            const promote = e.target.closest('button[data-trial]');
+            if (header) {
+                this.sortSearchResults(header.dataset.sort);
+            } else if (promote) {
+                const trial = this.searchResults.find(r => r.id === parseInt(promote.dataset.trial, 10));
+                this.promoteConfig(trial.config, trial.seed);
+            }
+        });
+        
+        saveModelBtn.addEventListener('click', () => {
+            console.log('Save model button clicked');
+            this.saveModel('browser');
+        });
+        
+        downloadModelBtn.addEventListener('click', () => {
+            console.log('Download model button clicked');
+            this.saveModel('download');
+        });
+        
+        loadModelBtn.addEventListener('click', () => {
+            console.log('Load model button clicked');
+            this.loadModel('browser');
+        });
+        
+        loadModelFilesBtn.addEventListener('click', () => {
+            console.log('Load model files button clicked');
+            this.loadModel('files');
+        });
+        
+        this.refreshSavedModels();
+        this.renderFeatureOptions();
+        
+        document.getElementById('targetColumn').addEventListener('change', () => this.onColumnSelectionChanged());
+        document.getElementById('inputColumns').addEventListener('change', () => this.onColumnSelectionChanged());
+    }
+
+    /**
+     * Fill the target and input column selectors from the loaded sources
+     */
+    renderColumnOptions() {
+        const targetSelect = document.getElementById('targetColumn');
+        const inputSelect = document.getElementById('inputColumns');
+        if (!targetSelect || !inputSelect) return;
+
+        const options = selected => dataLoader.availableColumns.map(column =>
+            `<option value="${column}" ${selected(column) ? 'selected' : ''}>${column}</option>`
+        ).join('');
+
+        targetSelect.innerHTML = options(column => column === dataLoader.targetColumn);
+        inputSelect.innerHTML = options(column =>
+            column !== dataLoader.targetColumn && dataLoader.featureColumns.includes(column));
+    }
+
+    /**
+     * Reload the data with the target and inputs picked in the selectors
+     */
+    onColumnSelectionChanged() {
+        const target = document.getElementById('targetColumn').value;
+        const inputs = Array.from(document.getElementById('inputColumns').selectedOptions)
+            .map(option => option.value)
+            .filter(column => column !== target);
+
+        this.columnSelection = { target, inputs };
+        if (this.currentFiles.length > 0) {
+            this.loadAndPrepareData();
+        }
+    }
+
+    /**
+     * Render one checkbox per engineered feature
+     */
+    renderFeatureOptions() {
+        const container = document.getElementById('featureOptions');
+        if (!container) return;
+
+        container.innerHTML = FEATURE_DEFINITIONS.map(definition => `
+            <label title="${definition.requires.length > 0 ? `Needs ${definition.requires.join(', ')}` : ''}">
+                <input type="checkbox" value="${definition.id}"> ${definition.label}
+            </label>
+        `).join('');
+    }
+
+    /**
+     * Get the ticked engineered features
+     * @returns {Array<string>} - Feature ids
+     */
+    getSelectedFeatures() {
+        return Array.from(document.querySelectorAll('#featureOptions input:checked'))
+            .map(input => input.value);
+    }
+
+    /**
+     * Tick the checkboxes for a feature selection
+     * @param {Array<string>} ids - Feature ids
+     */
+    setSelectedFeatures(ids) {
+        document.querySelectorAll('#featureOptions input').forEach(input => {
+            input.checked = ids.includes(input.value);
+        });
     }
 
     /**
      * Handle file selection
      */
     onFileSelected() {
-        if (this.currentFile) {
-            console.log('File selected:', this.currentFile.name, 'Size:', this.currentFile.size, 'bytes');
+        if (this.currentFiles.length > 0) {
+            this.currentFiles.forEach(file => {
+                console.log('File selected:', file.name, 'Size:', file.size, 'bytes');
+            });
             
-            const fileType = this.currentFile.name.toLowerCase();
-            if (!fileType.endsWith('.csv')) {
-                this.showStatus('error', 'Please upload a CSV file');
+            if (this.currentFiles.some(file => !file.name.toLowerCase().endsWith('.csv'))) {
+                this.showStatus('error', 'Please upload CSV files only');
                 return;
             }
             
-            this.showStatus('info', `File selected: ${this.currentFile.name} (${Math.round(this.currentFile.size / 1024)} KB)`);
+            // New files start from the default target and inputs
+            this.columnSelection = null;
+            
+            const names = this.currentFiles.map(file => `${file.name} (${Math.round(file.size / 1024)} KB)`);
+            this.showStatus('info', `File${names.length > 1 ? 's' : ''} selected: ${names.join(', ')}` +
+                (names.length > 1 ? ` - ${this.currentFiles[0].name} is the primary series` : ''));
             
             // Enable load data button
             const loadDataBtn = document.getElementById('loadDataBtn');
@@ -143,7 +399,7 @@ class StockPredictorApp {
      */
     downloadSampleData() {
         try {
-            dataLoader.downloadSampleCSV();
+            downloadText('sp500_sample_data.csv', dataLoader.generateSampleCSV(), 'text/csv');
             this.showStatus('success', 'Sample CSV file downloaded successfully. Upload it to start.');
         } catch (error) {
             console.error('Error downloading sample:', error);
@@ -155,7 +411,7 @@ class StockPredictorApp {
      * Load and prepare data from uploaded file
      */
     async loadAndPrepareData() {
-        if (!this.currentFile) {
+        if (this.currentFiles.length === 0) {
             this.showStatus('error', 'Please select a CSV file first');
             return;
         }
@@ -177,21 +433,39 @@ class StockPredictorApp {
         try {
             // Step 1: Load CSV
             this.showStatus('info', 'Reading CSV file...');
-            await dataLoader.loadCSV(this.currentFile);
+            const join = document.getElementById('joinMode').value;
+            await loadCSVFiles(dataLoader, this.currentFiles, {
+                join: join.startsWith('inner') ? 'inner' : 'outer',
+                fillForward: join !== 'outer-nofill',
+                targetColumn: this.columnSelection ? this.columnSelection.target : undefined
+            });
+            if (this.columnSelection) {
+                dataLoader.selectColumns(this.columnSelection.target, this.columnSelection.inputs);
+            }
+            this.renderColumnOptions();
             
             progressFill.style.width = '30%';
             progressText.textContent = '30%';
-            statusText.textContent = 'Parsing data...';
+            statusText.textContent = 'Handling gaps...';
 
-            // Step 2: Preprocess data
+            // Step 2: Fill missing values and check the trading calendar
+            const gapReport = dataLoader.handleGaps(this.getGapOptions());
+            this.showGapReport(gapReport);
+
+            // Step 3: Preprocess data
             this.showStatus('info', 'Preprocessing data...');
+            dataLoader.scalingMethod = document.getElementById('scalingMethod').value;
+            dataLoader.targetTransform = document.getElementById('targetTransform').value;
+            this.applyWindowSettings();
+            dataLoader.engineerFeatures(this.getSelectedFeatures());
             this.datasets = dataLoader.preprocessData();
+            this.backtestSteps = null;
             
             progressFill.style.width = '60%';
             progressText.textContent = '60%';
             statusText.textContent = 'Creating sequences...';
 
-            // Step 3: Show stats
+            // Step 4: Show stats
             const stats = dataLoader.getStats();
             if (stats) {
                 console.log('Data statistics:', stats);
@@ -215,9 +489,18 @@ class StockPredictorApp {
                 progressText.textContent = '100%';
                 statusText.textContent = 'Complete!';
                 
+                const rejected = dataLoader.rejectedRows;
+                const rejectedText = rejected.length > 0
+                    ? ` ${rejected.length} rows rejected (first: line ${rejected[0].line}, ${rejected[0].reason}).`
+                    : '';
+                const skipped = dataLoader.featureReport.skipped;
+                const skippedText = skipped.length > 0
+                    ? ` Skipped features: ${skipped.map(f => `${f.id} (needs ${f.missing.join(', ')})`).join(', ')}.`
+                    : '';
+                
                 this.showStatus('success', 
-                    `Data loaded successfully! ${stats.totalDays} days, ` +
-                    `Price range: $${stats.minPrice} - $${stats.maxPrice}`
+                    `Data loaded successfully! ${stats.totalDays} days, ${stats.featureCount} features, ` +
+                    `Price range: $${stats.minPrice} - $${stats.maxPrice}.${rejectedText}${skippedText}`
                 );
                 
                 // Update UI state
@@ -246,6 +529,66 @@ class StockPredictorApp {
         }
     }
 
+    /**
+     * Read the gap handling options from the UI
+     * @returns {Object} - Options for DataLoader.handleGaps
+     */
+    getGapOptions() {
+        const calendar = document.getElementById('gapCalendar').value;
+
+        return {
+            defaultStrategy: document.getElementById('gapStrategy').value,
+            calendar: calendar === 'none' ? null : calendar.replace('-fill', ''),
+            fillCalendarGaps: calendar.endsWith('-fill')
+        };
+    }
+
+    /**
+     * Summarize what gap handling changed
+     * @param {Object} report - Report from DataLoader.handleGaps
+     */
+    showGapReport(report) {
+        const container = document.getElementById('gapReport');
+        if (!container) return;
+
+        const rows = Object.entries(report.columns)
+            .filter(([, stats]) => stats.missing > 0)
+            .map(([column, stats]) => `
+                <tr>
+                    <td>${column}</td>
+                    <td>${stats.missing}</td>
+                    <td>${stats.strategy}</td>
+                    <td>${stats.filled}</td>
+                    <td>${stats.dropped}</td>
+                </tr>
+            `).join('');
+
+        const gaps = report.calendarGaps
+            .map(gap => `${gap.after} → ${gap.before} (${gap.missing})`)
+            .join(', ');
+
+        container.innerHTML = `
+            <h3>Gap Handling</h3>
+            <p>
+                ${report.inputRows} rows in, ${report.outputRows} rows out
+                (${report.insertedRows} inserted, ${report.droppedRows} dropped).
+                ${report.calendar
+                    ? `${report.missingTradingDays} missing ${report.calendar.toUpperCase()} trading days, ` +
+                      `${report.nonTradingDays.length} rows on non-trading days.`
+                    : 'Calendar check skipped.'}
+            </p>
+            ${gaps ? `<p>Calendar gaps: ${gaps}</p>` : ''}
+            ${rows ? `
+                <table class="comparison-table">
+                    <thead>
+                        <tr><th>Column</th><th>Missing</th><th>Strategy</th><th>Filled</th><th>Dropped Rows</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            ` : '<p>No missing values.</p>'}
+        `;
+    }
+
     /**
      * Show data statistics
      */
@@ -357,49 +700,150 @@ class StockPredictorApp {
         statusText.textContent = 'Building model...';
 
         try {
-            // Build model
-            gruModel.buildModel();
+            // Re-window the data if the window length or split changed since loading
+            if (this.applyWindowSettings()) {
+                const datasets = dataLoader.preprocessData();
+                this.disposeDatasets();
+                this.datasets = datasets;
+            }
+            
+            // Build the model, or one model per ensemble member, to match the dataset shape
+            const options = this.getModelOptions();
+            const ensembleOptions = this.getEnsembleOptions();
+            let memberOptions = [options];
+            let models = [gruModel];
+            this.ensemble.dispose();
+            if (ensembleOptions.size > 1) {
+                memberOptions = createMemberOptions(
+                    { ...options, sequenceLength: this.datasets.sequenceLength }, ensembleOptions
+                );
+                this.ensemble = new GRUEnsemble(ensembleOptions);
+                this.ensemble.buildFromDataset(this.datasets, memberOptions, options.seed);
+                models = this.ensemble.members.map(member => member.model);
+                this.forecaster = this.ensemble;
+            } else {
+                gruModel.buildFromDataset(this.datasets, options.gruUnits, options);
+                this.forecaster = gruModel;
+            }
+            this.showModelArchitecture();
             
             progressFill.style.width = '10%';
             progressText.textContent = '10%';
             statusText.textContent = 'Starting training...';
 
-            // Train model
+            // Train each model in the worker and copy the weights into the page's models
             const startTime = Date.now();
-            
-            await gruModel.train(
-                this.datasets.X_train,
-                this.datasets.y_train,
-                this.datasets.X_test,
-                this.datasets.y_test,
-                {
-                    onEpochEnd: (epoch, logs) => {
-                        const progress = Math.min(10 + (epoch / 100) * 90, 100);
-                        progressFill.style.width = `${progress}%`;
-                        progressText.textContent = `${Math.round(progress)}%`;
-                        statusText.textContent = `Epoch ${epoch + 1}/100 - Loss: ${logs.loss.toFixed(6)}`;
-                        
-                        // Update metrics in real-time
-                        document.getElementById('trainLoss').textContent = logs.loss.toFixed(4);
-                        document.getElementById('valLoss').textContent = logs.val_loss.toFixed(4);
-                        document.getElementById('trainAcc').textContent = (1 - logs.mae).toFixed(4);
-                        document.getElementById('valAcc').textContent = (1 - logs.val_mae).toFixed(4);
-                    },
-                    onTrainEnd: () => {
-                        const trainingTime = ((Date.now() - startTime) / 1000).toFixed(1);
-                        this.showStatus('success', `Training completed in ${trainingTime} seconds`);
-                        
-                        this.isModelTrained = true;
-                        predictBtn.disabled = false;
-                        trainBtn.disabled = true;
-                        trainBtn.innerHTML = '<i class="fas fa-check-circle"></i> Training Complete';
-                        stopTrainBtn.disabled = true;
+            const { datasets } = this;
+            const totalEpochs = options.epochs * models.length;
+            this.trainingCancelled = false;
+            let trained = 0;
+
+            // Early stopping watches a validation tail of the training windows; the test split is only evaluated
+            const split = dataLoader.splitValidation(datasets);
+            document.getElementById('valSamples').textContent = split.xVal.shape[0];
+            try {
+                for (let i = 0; i < models.length && !this.trainingCancelled; i++) {
+                    const memberLabel = models.length > 1 ? `Member ${i + 1}/${models.length} - ` : '';
+                    const [xTrain, xVal] = [split.xFit, split.xVal].map(xs => (
+                        models.length > 1 ? this.ensemble.memberInput(i, xs) : xs
+                    ));
+                    const data = {
+                        xTrain: packTensor(xTrain),
+                        yTrain: packTensor(split.yFit),
+                        xVal: packTensor(xVal),
+                        yVal: packTensor(split.yVal)
+                    };
+                    [xTrain, xVal].filter(xs => xs !== split.xFit && xs !== split.xVal).forEach(xs => xs.dispose());
+                
+                    this.trainingJob = this.trainer.run('train', {
+                        data,
+                        info: { ...dataLoader.getDatasetInfo(), sequenceLength: data.xTrain.shape[1] },
+                        modelOptions: memberOptions[i],
+                        trainOptions: {
+                            epochs: options.epochs,
+                            batchSize: options.batchSize,
+                            controller: {
+                                patience: parseInt(document.getElementById('patience').value, 10) || 0
+                            }
+                        }
+                    }, {
+                        transfer: transferList(Object.values(data)),
+                        onProgress: ({ epoch, logs, state }) => {
+                            const progress = Math.min(10 + ((i * options.epochs + epoch + 1) / totalEpochs) * 90, 100);
+                            progressFill.style.width = `${progress}%`;
+                            progressText.textContent = `${Math.round(progress)}%`;
+                            statusText.textContent = `${memberLabel}Epoch ${epoch + 1}/${options.epochs} - Loss: ${logs.loss.toFixed(6)}` +
+                                (state.improved ? ' (best)' : '') +
+                                (state.learningRate !== null ? ` - LR: ${state.learningRate.toExponential(1)}` : '');
                         
-                        // Create performance chart
-                        this.createPerformanceChart();
-                    }
+                            // Update metrics in real-time
+                            document.getElementById('trainLoss').textContent = logs.loss.toFixed(4);
+                            document.getElementById('valLoss').textContent = logs.val_loss.toFixed(4);
+                            document.getElementById('trainMae').textContent = logs.mae.toFixed(4);
+                            document.getElementById('valMae').textContent = logs.val_mae.toFixed(4);
+                        }
+                    });
+                
+                    const { history, weights } = await this.trainingJob.result;
+                    models[i].setTrainedWeights(weights, history);
+                    trained++;
+                }
+
+                // Members a cancelled run never reached are dropped; the combination is fitted
+                // on the validation tail, never on the test split it is evaluated on
+                if (this.forecaster === this.ensemble) {
+                    this.ensemble.truncate(trained);
+                    this.ensemble.fitCombiner(split.xVal, split.yVal);
+                    this.showModelArchitecture();
                 }
+            } finally {
+                Object.values(split).forEach(tensor => tensor.dispose());
+            }
+            const history = this.forecaster.history;
+            const { hash, rows, lastDate } = dataLoader.getFingerprint();
+            this.forecaster.recordVersion('train', {
+                data: { hash, rows, lastDate },
+                epochs: history.epochs.length,
+                seed: history.seed
+            });
+            this.showLineage();
+            
+            const trainingTime = ((Date.now() - startTime) / 1000).toFixed(1);
+            const bestEpochText = history.bestEpoch ? `, best epoch ${history.bestEpoch}` : '';
+            const ensembleText = this.forecaster === this.ensemble
+                ? `, ${this.ensemble.members.length}-member ${this.ensemble.combine} ensemble`
+                : '';
+            this.showStatus('success',
+                `Training finished in ${trainingTime} seconds (${history.stopReason}${bestEpochText}, seed ${history.seed}${ensembleText})`
             );
+            
+            this.isModelTrained = true;
+            predictBtn.disabled = false;
+            stopTrainBtn.disabled = true;
+            this.updateUI();
+            
+            if (this.trainingCancelled) {
+                trainBtn.disabled = false;
+                trainBtn.innerHTML = '<i class="fas fa-play-circle"></i> Train Model';
+            } else {
+                trainBtn.disabled = true;
+                trainBtn.innerHTML = '<i class="fas fa-check-circle"></i> Training Complete';
+            }
+            
+            // Create performance chart
+            this.createPerformanceChart();
+            
+            // Evaluate on the test split and compare strategies and baselines
+            this.showEvaluationMetrics();
+            this.showIntervalCoverage();
+            this.showStrategyComparison();
+            this.showBaselineComparison();
+            
+            await this.logRun({
+                epochs: options.epochs,
+                batchSize: options.batchSize,
+                patience: parseInt(document.getElementById('patience').value, 10) || 0
+            }, Number(trainingTime));
 
         } catch (error) {
             console.error('Error training model:', error);
@@ -412,122 +856,1554 @@ class StockPredictorApp {
             progressContainer.style.display = 'none';
             
             this.isModelTrained = false;
+        } finally {
+            this.trainingJob = null;
         }
     }
 
     /**
-     * Stop training
+     * Copy the window length and train ratio inputs to the data loader
+     * @returns {boolean} - Whether either setting changed
      */
-    stopTraining() {
-        gruModel.stopTraining();
-        this.showStatus('info', 'Training stopped');
-        
-        const trainBtn = document.getElementById('trainBtn');
-        const stopTrainBtn = document.getElementById('stopTrainBtn');
-        
-        trainBtn.disabled = false;
-        trainBtn.innerHTML = '<i class="fas fa-play-circle"></i> Train Model';
-        stopTrainBtn.disabled = true;
+    applyWindowSettings() {
+        const sequenceLength = parseInt(document.getElementById('seqLength').value, 10) || dataLoader.sequenceLength;
+        const trainTestSplit = parseFloat(document.getElementById('trainRatio').value) || dataLoader.trainTestSplit;
+        const changed = sequenceLength !== dataLoader.sequenceLength || trainTestSplit !== dataLoader.trainTestSplit;
+
+        dataLoader.sequenceLength = sequenceLength;
+        dataLoader.trainTestSplit = trainTestSplit;
+        return changed;
     }
 
     /**
-     * Make predictions for next 5 days
+     * Show or fill the architecture editor for a preset
+     * @param {string} preset - '' (GRU stack from the inputs), 'custom' or a key of ARCHITECTURE_PRESETS
      */
-    async makePredictions() {
-        if (!this.isModelTrained) {
-            this.showStatus('error', 'Model not trained. Please train the model first.');
-            return;
+    onArchitecturePresetChanged(preset) {
+        const editor = document.getElementById('architecture');
+        editor.style.display = preset ? 'block' : 'none';
+        if (ARCHITECTURE_PRESETS[preset]) {
+            editor.value = JSON.stringify(ARCHITECTURE_PRESETS[preset], null, 2);
         }
+    }
 
-        if (!dataLoader.data || dataLoader.data.length === 0) {
-            this.showStatus('error', 'No data available for prediction');
+    /**
+     * Read the architecture and training inputs
+     * The seed is resolved here (a new one when the seed input is empty) so page and worker share it.
+     * @returns {Object} - { gruUnits, layers, dropout, architecture, learningRate, batchSize, epochs, seed }
+     */
+    getModelOptions() {
+        const number = (id, fallback) => {
+            const value = parseFloat(document.getElementById(id).value);
+            return Number.isFinite(value) ? value : fallback;
+        };
+
+        let architecture;
+        if (document.getElementById('architecturePreset').value) {
+            try {
+                architecture = JSON.parse(document.getElementById('architecture').value);
+            } catch (error) {
+                throw new Error(`Architecture is not valid JSON: ${error.message}`);
+            }
+        }
+
+        return {
+            gruUnits: Math.round(number('gruUnits', 50)),
+            layers: Math.round(number('gruLayers', 1)),
+            dropout: number('dropout', 0.2),
+            architecture,
+            learningRate: number('learningRate', 0.001),
+            batchSize: Math.round(number('batchSize', 32)),
+            epochs: Math.round(number('epochs', 50)),
+            seed: resolveSeed()
+        };
+    }
+
+    /**
+     * Read the ensemble inputs
+     * @returns {Object} - { size, vary, combine }; size 1 trains a single model
+     */
+    getEnsembleOptions() {
+        return {
+            size: Math.max(1, parseInt(document.getElementById('ensembleSize').value, 10) || 1),
+            vary: document.getElementById('ensembleVary').value,
+            combine: document.getElementById('ensembleCombine').value
+        };
+    }
+
+    /**
+     * Show a configuration in the window, architecture and training inputs
+     * Configs with gruUnits use the GRU stack inputs; others show their architecture in the editor.
+     * @param {Object} config - Any of sequenceLength, trainTestSplit, gruUnits, layers, dropout,
+     *   architecture, learningRate, batchSize, seed
+     */
+    setModelOptions(config) {
+        const inputs = {
+            sequenceLength: 'seqLength',
+            trainTestSplit: 'trainRatio',
+            gruUnits: 'gruUnits',
+            layers: 'gruLayers',
+            dropout: 'dropout',
+            learningRate: 'learningRate',
+            batchSize: 'batchSize',
+            seed: 'seed'
+        };
+
+        Object.entries(inputs).forEach(([key, id]) => {
+            if (config[key] !== undefined) {
+                document.getElementById(id).value = config[key];
+            }
+        });
+
+        if (config.seed !== undefined) {
+            setGlobalSeed(config.seed);
+        }
+
+        const preset = config.gruUnits === undefined && config.architecture ? 'custom' : '';
+        document.getElementById('architecturePreset').value = preset;
+        this.onArchitecturePresetChanged(preset);
+        if (preset) {
+            document.getElementById('architecture').value = JSON.stringify(config.architecture, null, 2);
+        }
+    }
+
+    /**
+     * List the model's layers with output shapes and parameter counts
+     */
+    showModelArchitecture() {
+        const container = document.getElementById('modelArchitecture');
+        const layers = this.forecaster.getLayerSummary();
+        const total = layers.reduce((sum, layer) => sum + layer.params, 0);
+
+        const rows = layers.map(layer => `
+            <tr>
+                <td>${layer.name}</td>
+                <td>${layer.type}</td>
+                <td>[${layer.outputShape.slice(1).join(', ')}]</td>
+                <td>${layer.params.toLocaleString()}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <table class="comparison-table">
+                <thead><tr><th>Layer</th><th>Type</th><th>Output Shape</th><th>Params</th></tr></thead>
+                <tbody>
+                    ${rows}
+                    <tr><td colspan="3"><strong>Total</strong></td><td><strong>${total.toLocaleString()}</strong></td></tr>
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Release the current train/test tensors
+     */
+    disposeDatasets() {
+        if (this.datasets) {
+            ['X_train', 'y_train', 'X_test', 'y_test'].forEach(key => this.datasets[key].dispose());
+            this.datasets = null;
+        }
+    }
+
+    /**
+     * Search window length, architecture and optimizer settings on a validation
+     * split carved from the training windows; the test split is never touched
+     */
+    async runSearch() {
+        if (!this.isDataLoaded) {
+            this.showStatus('error', 'No data loaded. Please load data first.');
             return;
         }
 
-        const predictBtn = document.getElementById('predictBtn');
-        predictBtn.disabled = true;
-        predictBtn.innerHTML = '<div class="loading"></div> Predicting...';
+        const searchBtn = document.getElementById('searchBtn');
+        const promoteBestBtn = document.getElementById('promoteBestBtn');
+        const statusText = document.getElementById('searchStatus');
+
+        this.applyWindowSettings();
+        const options = {
+            method: document.getElementById('searchMethod').value,
+            trials: parseInt(document.getElementById('searchTrials').value, 10) || 10,
+            epochs: parseInt(document.getElementById('searchEpochs').value, 10) || 20,
+            trainRatio: dataLoader.trainTestSplit,
+            patience: parseInt(document.getElementById('patience').value, 10) || 0,
+            seed: resolveSeed()
+        };
+        this.searchResults = [];
+        this.showSearchResults();
+
+        searchBtn.innerHTML = '<div class="loading"></div> Cancel Search';
+        promoteBestBtn.disabled = true;
+        statusText.textContent = 'Preparing windows...';
 
         try {
-            // Get latest window
-            const latestWindow = dataLoader.getLatestWindow();
-            
-            // Make prediction
-            const normalizedPredictions = gruModel.forecast(latestWindow);
-            
-            // Denormalize predictions
-            const denormalized = dataLoader.denormalizeArray(normalizedPredictions, 'target');
-            
-            // Get last actual price
-            const lastPrice = dataLoader.data[dataLoader.data.length - 1][dataLoader.targetColumn];
-            
-            // Update prediction cards
-            this.updatePredictionCards(denormalized, lastPrice);
-            
-            // Store predictions
-            this.predictions = denormalized;
-            
-            // Update price chart with predictions
-            this.updatePriceChartWithPredictions(denormalized);
-            
-            predictBtn.disabled = false;
-            predictBtn.innerHTML = '<i class="fas fa-crystal-ball"></i> Make Predictions';
-            
-            this.showStatus('success', 'Predictions generated for next 5 days');
-            
+            // Every window length the search may try, packed for the worker
+            const windows = {};
+            DEFAULT_SEARCH_SPACE.sequenceLength.forEach(sequenceLength => {
+                windows[sequenceLength] = packWindows(dataLoader.getWindowsFor(sequenceLength));
+            });
+
+            this.searchJob = this.trainer.run('search', { options, windows }, {
+                transfer: transferList(Object.values(windows).flatMap(w => [w.sequences, w.targets])),
+                onProgress: (progress) => {
+                    if (progress.event === 'epoch') {
+                        const { trial, epoch, logs } = progress;
+                        statusText.textContent = `Trial ${trial.id} - Epoch ${epoch + 1}/${trial.epochs} - ` +
+                            `Val loss: ${logs.val_loss.toFixed(6)}`;
+                    } else {
+                        this.searchResults.push(progress.result);
+                        this.showSearchResults();
+                        statusText.textContent = `Trial ${progress.result.id}/${progress.planned} complete`;
+                    }
+                }
+            });
+
+            const { results, cancelled } = await this.searchJob.result;
+            const best = results[0];
+            promoteBestBtn.disabled = !best;
+            statusText.textContent = best
+                ? `Search ${cancelled ? 'cancelled' : 'complete'}: ${results.length} trials, ` +
+                  `best val loss ${best.valLoss.toFixed(6)} (trial ${best.id})`
+                : 'Search cancelled before any trial finished';
+
         } catch (error) {
-            console.error('Error making predictions:', error);
-            this.showStatus('error', `Prediction failed: ${error.message}`);
-            
-            predictBtn.disabled = false;
-            predictBtn.innerHTML = '<i class="fas fa-crystal-ball"></i> Make Predictions';
+            console.error('Error running search:', error);
+            this.showStatus('error', `Search failed: ${error.message}`);
+            statusText.textContent = '';
+        } finally {
+            this.searchJob = null;
+            searchBtn.innerHTML = '<span>🔍 Run Search</span>';
         }
     }
 
     /**
-     * Update prediction cards in UI
+     * Sort the search results by a column, toggling direction on repeated clicks
+     * @param {string} key - Result or config field
      */
-    updatePredictionCards(predictions, lastPrice) {
-        const cards = document.querySelectorAll('.prediction-card');
-        
-        predictions.forEach((prediction, index) => {
-            if (cards[index]) {
-                const priceChange = ((prediction - lastPrice) / lastPrice * 100);
-                
-                cards[index].querySelector('.prediction-value').textContent = `$${prediction.toFixed(2)}`;
-                
-                const directionElement = cards[index].querySelector('.prediction-direction');
-                directionElement.textContent = `${priceChange >= 0 ? '+' : ''}${priceChange.toFixed(2)}%`;
-                directionElement.className = `prediction-direction ${priceChange >= 0 ? 'direction-up' : 'direction-down'}`;
-            }
+    sortSearchResults(key) {
+        this.searchSort = {
+            key,
+            ascending: this.searchSort.key === key ? !this.searchSort.ascending : true
+        };
+        this.showSearchResults();
+    }
+
+    /**
+     * Render the search trials as a sortable table
+     */
+    showSearchResults() {
+        const container = document.getElementById('searchResults');
+        if (this.searchResults.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const columns = [
+            { key: 'id', label: 'Trial' },
+            { key: 'sequenceLength', label: 'Window' },
+            { key: 'gruUnits', label: 'Units' },
+            { key: 'layers', label: 'Layers' },
+            { key: 'dropout', label: 'Dropout' },
+            { key: 'learningRate', label: 'LR' },
+            { key: 'batchSize', label: 'Batch' },
+            { key: 'epochs', label: 'Epochs' },
+            { key: 'bestEpoch', label: 'Best Epoch' },
+            { key: 'trainLoss', label: 'Train Loss' },
+            { key: 'valLoss', label: 'Val Loss' },
+            { key: 'seconds', label: 'Time (s)' }
+        ];
+        const value = (result, key) => result.config[key] ?? result[key];
+        const format = (result, key) => {
+            const v = value(result, key);
+            if (v === null || v === undefined) return '-';
+            if (key === 'trainLoss' || key === 'valLoss') return v.toFixed(6);
+            if (key === 'seconds') return v.toFixed(1);
+            return v;
+        };
+
+        const { key, ascending } = this.searchSort;
+        const sorted = [...this.searchResults].sort((a, b) => {
+            const diff = (value(a, key) ?? Infinity) - (value(b, key) ?? Infinity);
+            return ascending ? diff : -diff;
         });
+        const bestId = rankTrials(this.searchResults)[0].id;
+
+        const header = columns.map(c => `
+            <th data-sort="${c.key}" style="cursor: pointer;">
+                ${c.label}${c.key === key ? (ascending ? ' ▲' : ' ▼') : ''}
+            </th>
+        `).join('');
+        const rows = sorted.map(result => `
+            <tr>
+                ${columns.map(c => `<td>${c.key === 'id' && result.id === bestId
+                    ? `<strong>${result.id}</strong>`
+                    : format(result, c.key)}</td>`).join('')}
+                <td><button class="btn btn-secondary" data-trial="${result.id}">Promote</button></td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <h3>Search Trials</h3>
+            <table class="comparison-table">
+                <thead><tr>${header}<th></th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
     }
 
     /**
-     * Create initial visualization of data
+     * Make a searched configuration the main model: copy it into the inputs and retrain
+     * @param {Object} config - Trial configuration
+     * @param {number} seed - The trial's seed, so the retrained model starts from the same weights
      */
-    createInitialVisualization() {
-        if (!dataLoader.data || dataLoader.data.length === 0) {
+    promoteConfig(config, seed) {
+        if (this.trainingJob) {
+            this.showStatus('error', 'Wait for the current training to finish first.');
             return;
         }
 
-        const prices = dataLoader.data.map(row => row[dataLoader.targetColumn]);
-        const labels = dataLoader.data.map((row, i) => `Day ${i + 1}`);
+        this.setModelOptions({ ...config, seed });
+        this.showStatus('info', `Training with window ${config.sequenceLength}, ${config.layers}x${config.gruUnits} GRU units`);
+        this.trainModel();
+    }
 
-        // Destroy existing chart if any
-        if (this.priceChart) {
-            this.priceChart.destroy();
+    /**
+     * Record the finished training run in the experiment log
+     * A log failure (e.g. IndexedDB blocked) is reported but does not fail the training.
+     * @param {Object} training - Training options (epochs, batchSize, patience)
+     * @param {number} seconds - Training time
+     */
+    async logRun(training, seconds) {
+        try {
+            const strategy = document.getElementById('forecastStrategy').value;
+            const run = experimentLog.createRun(this.forecaster, dataLoader, {
+                training,
+                metrics: { strategy, ...this.evaluateTestSet(strategy) },
+                forecast: this.forecastNextDays(strategy),
+                seconds
+            });
+
+            await experimentLog.add(run);
+            this.selectedRuns.add(run.id);
+            await this.refreshRuns();
+        } catch (error) {
+            console.warn('Run not logged:', error);
+            document.getElementById('runsStatus').textContent = `Run not logged: ${error.message}`;
         }
+    }
 
-        const ctx = document.getElementById('priceChart').getContext('2d');
-        this.priceChart = new Chart(ctx, {
-            type: 'line',
-            data: {
-                labels: labels,
-                datasets: [{
-                    label: 'S&P 500 Price',
-                    data: prices,
-                    borderColor: '#f43f5e',
+    /**
+     * Point forecast for the days after the loaded data
+     * @param {string} strategy - Forecast strategy
+     * @returns {Object} - { strategy, lastDate, lastClose, prices }
+     */
+    forecastNextDays(strategy) {
+        const latestWindow = dataLoader.getLatestWindow();
+        const lastClose = dataLoader.getLatestReference();
+
+        try {
+            const normalized = this.forecaster.forecast(latestWindow, { strategy });
+            return {
+                strategy,
+                lastDate: dataLoader.data[dataLoader.data.length - 1].Date ?? null,
+                lastClose,
+                prices: dataLoader.denormalizeArray(normalized, 'target', lastClose)
+            };
+        } finally {
+            latestWindow.dispose();
+        }
+    }
+
+    /**
+     * Reload the runs from the experiment log and redraw the runs view
+     */
+    async refreshRuns() {
+        try {
+            this.runs = await experimentLog.list();
+        } catch (error) {
+            console.warn('Experiment log unavailable:', error);
+            document.getElementById('runsStatus').textContent = `Experiment log unavailable: ${error.message}`;
+            return;
+        }
+
+        const ids = new Set(this.runs.map(run => run.id));
+        this.selectedRuns.forEach(id => {
+            if (!ids.has(id)) {
+                this.selectedRuns.delete(id);
+            }
+        });
+
+        document.getElementById('runsStatus').textContent = this.runs.length > 0
+            ? `${this.runs.length} runs logged; select runs to compare them`
+            : 'Every training run is logged here.';
+        this.showRuns();
+    }
+
+    /**
+     * Render the logged runs, newest first, with a checkbox each
+     */
+    showRuns() {
+        const container = document.getElementById('runsTable');
+        if (this.runs.length === 0) {
+            container.innerHTML = '';
+            this.showRunCharts();
+            return;
+        }
+
+        const number = (value, digits, suffix = '') => (Number.isFinite(value) ? `${value.toFixed(digits)}${suffix}` : '-');
+        const rows = [...this.runs].reverse().map(run => {
+            const { history, metrics, forecast, data } = run;
+            const best = history.bestEpoch ? history.bestEpoch - 1 : history.val_loss.length - 1;
+            const overall = metrics ? metrics.overall : {};
+            const lastPrice = forecast ? forecast.prices[forecast.prices.length - 1] : null;
+
+            return `
+                <tr>
+                    <td><input type="checkbox" data-run="${run.id}" ${this.selectedRuns.has(run.id) ? 'checked' : ''}></td>
+                    <td>${new Date(run.createdAt).toLocaleString()}</td>
+                    <td>${run.label}</td>
+                    <td title="${data.rows} rows, ${data.firstDate ?? '?'} to ${data.lastDate ?? '?'}">${data.hash}</td>
+                    <td>${history.bestEpoch ?? '-'} / ${history.val_loss.length}</td>
+                    <td>${number(history.val_loss[best], 6)}</td>
+                    <td>${number(overall.rmse, 2)}</td>
+                    <td>${number(overall.mape, 2, '%')}</td>
+                    <td>${number(overall.directionalAccuracy * 100, 1, '%')}</td>
+                    <td>${number(lastPrice, 2)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <table class="comparison-table">
+                <thead>
+                    <tr>
+                        <th></th><th>Started</th><th>Run</th><th>Data</th><th>Best / Epochs</th><th>Val Loss</th>
+                        <th>RMSE</th><th>MAPE</th><th>Direction</th><th>Last Forecast Day</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+        this.showRunCharts();
+    }
+
+    /**
+     * Overlay the selected runs' loss curves and compare their test metric per horizon
+     */
+    showRunCharts() {
+        if (typeof Plotly === 'undefined') {
+            return;
+        }
+
+        const runs = this.runs.filter(run => this.selectedRuns.has(run.id));
+        const metric = document.getElementById('runMetric').value;
+        const metricLabel = document.querySelector(`#runMetric option[value="${metric}"]`).textContent;
+        const colors = ['#f43f5e', '#4299e1', '#48bb78', '#ecc94b', '#9f7aea', '#ed8936', '#38b2ac', '#fda4af'];
+        const axis = title => ({
+            title: { text: title },
+            color: '#fda4af',
+            gridcolor: 'rgba(253, 164, 175, 0.1)'
+        });
+        const layout = (title, xTitle, yTitle) => ({
+            title: { text: title },
+            paper_bgcolor: 'rgba(0, 0, 0, 0)',
+            plot_bgcolor: 'rgba(0, 0, 0, 0)',
+            font: { color: '#fda4af' },
+            xaxis: axis(xTitle),
+            yaxis: axis(yTitle),
+            margin: { t: 40, r: 20, b: 50, l: 60 },
+            legend: { orientation: 'h', y: -0.2 }
+        });
+
+        const lossTraces = runs.flatMap((run, i) => {
+            const color = colors[i % colors.length];
+            const epochs = run.history.loss.map((_, epoch) => epoch + 1);
+            return [
+                { x: epochs, y: run.history.val_loss, name: `${run.label} (val)`, mode: 'lines', line: { color } },
+                { x: epochs, y: run.history.loss, name: `${run.label} (train)`, mode: 'lines', line: { color, dash: 'dot' } }
+            ];
+        });
+        const lossLayout = layout(runs.length > 0 ? 'Loss by Epoch' : 'Select runs to compare', 'Epoch', 'Loss (MSE)');
+        lossLayout.yaxis.type = 'log';
+
+        const metricTraces = runs.filter(run => run.metrics).map((run, i) => {
+            const { byDay, overall } = run.metrics;
+            return {
+                type: 'bar',
+                name: run.label,
+                x: [...byDay.map(day => `Day ${day.day}`), 'All days'],
+                y: [...byDay.map(day => day[metric]), overall[metric]],
+                marker: { color: colors[i % colors.length] }
+            };
+        });
+        const metricLayout = layout(`Test ${metricLabel}`, 'Horizon', metricLabel);
+        metricLayout.barmode = 'group';
+
+        Plotly.react('runsLossPlot', lossTraces, lossLayout, { responsive: true });
+        Plotly.react('runsMetricPlot', metricTraces, metricLayout, { responsive: true });
+    }
+
+    /**
+     * Download the whole experiment log as JSON
+     */
+    async exportRuns() {
+        try {
+            const text = await experimentLog.exportJSON();
+            downloadText(`sp500-gru-experiments-${new Date().toISOString().slice(0, 10)}.json`, text, 'application/json');
+        } catch (error) {
+            console.error('Error exporting runs:', error);
+            document.getElementById('runsStatus').textContent = `Export failed: ${error.message}`;
+        }
+    }
+
+    /**
+     * Merge the chosen exported log into this browser's log
+     */
+    async importRuns() {
+        const statusText = document.getElementById('runsStatus');
+        const [file] = document.getElementById('runsFile').files;
+        if (!file) {
+            statusText.textContent = 'Choose an exported log file first.';
+            return;
+        }
+
+        try {
+            const { added, skipped } = await experimentLog.importJSON(await readTextFile(file));
+            await this.refreshRuns();
+            statusText.textContent = `Imported ${added} runs` + (skipped > 0 ? ` (${skipped} already logged)` : '');
+        } catch (error) {
+            console.error('Error importing runs:', error);
+            statusText.textContent = `Import failed: ${error.message}`;
+        }
+    }
+
+    /**
+     * Delete the selected runs from the log
+     */
+    async deleteSelectedRuns() {
+        const ids = [...this.selectedRuns];
+        if (ids.length === 0 || !confirm(`Delete ${ids.length} selected runs from the experiment log?`)) {
+            return;
+        }
+
+        try {
+            await experimentLog.remove(ids);
+            await this.refreshRuns();
+        } catch (error) {
+            console.error('Error deleting runs:', error);
+            document.getElementById('runsStatus').textContent = `Delete failed: ${error.message}`;
+        }
+    }
+
+    /**
+     * Stop training
+     */
+    stopTraining() {
+        if (!this.trainingJob) {
+            this.showStatus('info', 'No training in progress');
+            return;
+        }
+        
+        // The worker restores the best weights; trainModel resets the buttons once they arrive
+        // and skips any ensemble members not started yet
+        this.trainingCancelled = true;
+        this.trainingJob.cancel();
+        this.showStatus('info', 'Stopping training after the current batch...');
+        document.getElementById('stopTrainBtn').disabled = true;
+    }
+
+    /**
+     * Save the trained model with its scalers and history
+     * @param {string} target - 'browser' (IndexedDB) or 'download'
+     */
+    async saveModel(target) {
+        if (!this.isModelTrained) {
+            this.showStatus('error', 'Train or load a model before saving it.');
+            return;
+        }
+
+        if (this.forecaster !== gruModel) {
+            this.showStatus('error', 'Ensembles cannot be saved yet; train a single model (1 member) to save it.');
+            return;
+        }
+
+        const name = document.getElementById('modelName').value.trim() || 'sp500-gru';
+
+        try {
+            if (target === 'browser') {
+                await modelStore.saveToBrowser(gruModel, dataLoader, name);
+                this.refreshSavedModels();
+                this.showStatus('success', `Model saved in this browser as "${name}"`);
+            } else {
+                await modelStore.download(gruModel, dataLoader, name);
+                this.showStatus('success', `Model "${name}" downloaded`);
+            }
+        } catch (error) {
+            console.error('Error saving model:', error);
+            this.showStatus('error', `Failed to save model: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load a saved model and re-create the datasets with its normalization
+     * @param {string} source - 'browser' (IndexedDB) or 'files'
+     */
+    async loadModel(source) {
+        try {
+            let bundle;
+            if (source === 'browser') {
+                const name = document.getElementById('savedModels').value;
+                if (!name) {
+                    this.showStatus('error', 'No saved model selected');
+                    return;
+                }
+                bundle = await modelStore.loadFromBrowser(name, gruModel, dataLoader);
+            } else {
+                const files = document.getElementById('modelFiles').files;
+                bundle = await modelStore.loadFromFiles(files, gruModel, dataLoader);
+            }
+
+            this.ensemble.dispose();
+            this.forecaster = gruModel;
+
+            // Rebuild windows with the restored scalers
+            this.disposeDatasets();
+            this.datasets = dataLoader.preprocessData();
+
+            // Show the preprocessing and architecture the model was trained with
+            this.setModelOptions({
+                sequenceLength: dataLoader.sequenceLength,
+                trainTestSplit: dataLoader.trainTestSplit,
+                ...gruModel.config
+            });
+            document.getElementById('scalingMethod').value = dataLoader.scalingMethod;
+            document.getElementById('targetTransform').value = dataLoader.targetTransform;
+            this.setSelectedFeatures(dataLoader.engineeredFeatures);
+            this.renderColumnOptions();
+
+            this.isModelTrained = true;
+            document.getElementById('predictBtn').disabled = false;
+            this.updateUI();
+            this.showModelArchitecture();
+            this.createPerformanceChart();
+            this.showLineage();
+
+            this.showStatus('success', `Loaded model "${bundle.name}" saved ${new Date(bundle.savedAt).toLocaleString()}`);
+        } catch (error) {
+            console.error('Error loading model:', error);
+            this.showStatus('error', `Failed to load model: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fill the saved-model selector from browser storage
+     */
+    refreshSavedModels() {
+        const select = document.getElementById('savedModels');
+        const bundles = modelStore.listSaved();
+
+        select.innerHTML = bundles.length === 0
+            ? '<option value="">No saved models</option>'
+            : bundles.map(bundle =>
+                `<option value="${bundle.name}">${bundle.name} (${bundle.model.config.featureNames.join(', ')}, ${new Date(bundle.savedAt).toLocaleDateString()})</option>`
+            ).join('');
+    }
+
+    /**
+     * Make predictions for next 5 days
+     */
+    async makePredictions() {
+        if (!this.isModelTrained) {
+            this.showStatus('error', 'Model not trained. Please train the model first.');
+            return;
+        }
+
+        if (!dataLoader.data || dataLoader.data.length === 0) {
+            this.showStatus('error', 'No data available for prediction');
+            return;
+        }
+
+        const predictBtn = document.getElementById('predictBtn');
+        predictBtn.disabled = true;
+        predictBtn.innerHTML = '<div class="loading"></div> Predicting...';
+
+        try {
+            // Get latest window
+            const latestWindow = dataLoader.getLatestWindow();
+            
+            // Make prediction with the selected strategy
+            const strategy = document.getElementById('forecastStrategy').value;
+            const normalizedPredictions = this.forecaster.forecast(latestWindow, { strategy });
+            
+            // Prediction intervals from Monte Carlo dropout, or from the member spread for an ensemble
+            const [normalizedIntervals] = this.forecaster.forecastIntervals(latestWindow, { strategy, samples: 100 });
+            latestWindow.dispose();
+            
+            // Denormalize predictions
+            // Get last actual price
+            const lastPrice = dataLoader.getLatestReference();
+            
+            const denormalized = dataLoader.denormalizeArray(normalizedPredictions, 'target', lastPrice);
+            // Return targets chain each band from the last close, which errs on the wide side
+            const intervals = {};
+            Object.entries(normalizedIntervals.bands).forEach(([level, band]) => {
+                intervals[level] = {
+                    lower: dataLoader.denormalizeArray(band.lower, 'target', lastPrice),
+                    upper: dataLoader.denormalizeArray(band.upper, 'target', lastPrice)
+                };
+            });
+            const members = (normalizedIntervals.members || [])
+                .map(member => dataLoader.denormalizeArray(member, 'target', lastPrice));
+            
+            // Update prediction cards
+            this.updatePredictionCards(denormalized, lastPrice, intervals);
+            
+            // Store predictions
+            this.predictions = denormalized;
+            this.predictionIntervals = intervals;
+            
+            // Update price chart with predictions
+            this.updatePriceChartWithPredictions(denormalized, intervals, members);
+            
+            predictBtn.disabled = false;
+            predictBtn.innerHTML = '<i class="fas fa-crystal-ball"></i> Make Predictions';
+            
+            this.showStatus('success', 'Predictions generated for next 5 days');
+            
+        } catch (error) {
+            console.error('Error making predictions:', error);
+            this.showStatus('error', `Prediction failed: ${error.message}`);
+            
+            predictBtn.disabled = false;
+            predictBtn.innerHTML = '<i class="fas fa-crystal-ball"></i> Make Predictions';
+        }
+    }
+
+    /**
+     * Score the GRU against baseline forecasters on the same test windows
+     */
+    showBaselineComparison() {
+        const container = document.getElementById('baselineComparison');
+        if (!container || !this.datasets) {
+            return;
+        }
+
+        const strategy = document.getElementById('forecastStrategy').value;
+        const baselines = createBaselineForecasters();
+        baselines.forEach(baseline => baseline.fit(this.datasets, {
+            targetTransform: dataLoader.targetTransform,
+            params: dataLoader.normalizationParams
+        }));
+
+        const forecasters = [
+            {
+                name: `GRU (${strategy})`,
+                forecastBatch: xs => this.forecaster.forecastBatch(xs, { strategy })
+            },
+            ...baselines
+        ];
+
+        const results = compareForecasters(
+            forecasters,
+            this.datasets.X_test,
+            this.datasets.y_test,
+            dataLoader.createTargetDenormalizer(dataLoader.splitIndex)
+        );
+
+        const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+        const naiveRmse = mean(results.find(r => r.name === 'Random walk').rmseByDay);
+        const days = this.datasets.forecastDays;
+        const header = Array.from({ length: days }, (_, i) => `<th>Day ${i + 1}</th>`).join('');
+
+        const rows = results.map(result => {
+            const relative = mean(result.rmseByDay) / naiveRmse;
+            return `
+                <tr>
+                    <td>${result.name}</td>
+                    ${result.rmseByDay.map(rmse => `<td>$${rmse.toFixed(2)}</td>`).join('')}
+                    <td class="${relative < 1 ? 'direction-up' : 'direction-down'}">${relative.toFixed(3)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <h3>Test RMSE vs Baselines</h3>
+            <table class="comparison-table">
+                <thead><tr><th>Forecaster</th>${header}<th>RMSE / Random walk</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Run a walk-forward backtest over the whole loaded series
+     */
+    async runBacktest() {
+        if (!this.isDataLoaded) {
+            this.showStatus('error', 'No data loaded. Please load data first.');
+            return;
+        }
+
+        const backtestBtn = document.getElementById('backtestBtn');
+        const saveModelBtn = document.getElementById('saveModelBtn');
+        const downloadModelBtn = document.getElementById('downloadModelBtn');
+        const loadModelBtn = document.getElementById('loadModelBtn');
+        const loadModelFilesBtn = document.getElementById('loadModelFilesBtn');
+        const statusText = document.getElementById('backtestStatus');
+
+        let modelOptions;
+        try {
+            modelOptions = this.getModelOptions();
+        } catch (error) {
+            this.showStatus('error', error.message);
+            return;
+        }
+
+        const options = {
+            mode: document.getElementById('backtestMode').value,
+            retrain: document.getElementById('backtestRetrain').value,
+            folds: parseInt(document.getElementById('backtestFolds').value, 10) || 5,
+            epochs: modelOptions.epochs,
+            gruUnits: modelOptions.gruUnits,
+            batchSize: modelOptions.batchSize,
+            modelOptions
+        };
+        const { initialTrainRatio } = new WalkForwardBacktester(options);
+
+        backtestBtn.innerHTML = '<div class="loading"></div> Cancel Backtest';
+        statusText.textContent = 'Preparing windows...';
+
+        try {
+            const windows = packWindows(dataLoader.getAllWindows({
+                fitWindows: Math.floor(dataLoader.countWindows() * initialTrainRatio)
+            }));
+            this.backtestJob = this.trainer.run('backtest', { options, windows }, {
+                transfer: transferList([windows.sequences, windows.targets]),
+                onProgress: (progress) => {
+                    statusText.textContent = progress.event === 'epoch'
+                        ? `Fold ${progress.fold.fold} - Epoch ${progress.epoch + 1} - Loss: ${progress.logs.loss.toFixed(6)}`
+                        : `Fold ${progress.result.fold}/${progress.totalFolds} complete`;
+                }
+            });
+            const result = await this.backtestJob.result;
+
+            // Keep the forecasts as trading steps while the windows still match the loaded data
+            this.backtestSteps = this.createTradingSteps(
+                result.forecasts.map(forecast => forecast.sampleIndex),
+                result.forecasts.map(forecast => forecast.predicted),
+                result.forecasts.map(forecast => forecast.actual)
+            );
+            this.showBacktestResults(result);
+            statusText.textContent = result.cancelled
+                ? `Backtest cancelled after ${result.folds.length} complete folds (the interrupted fold is discarded)`
+                : `Backtest complete: ${result.folds.length} folds, ${result.forecasts.length} out-of-sample forecasts (seed ${result.seed})`;
+
+        } catch (error) {
+            console.error('Error running backtest:', error);
+            this.showStatus('error', `Backtest failed: ${error.message}`);
+            statusText.textContent = '';
+        } finally {
+            this.backtestJob = null;
+            backtestBtn.innerHTML = '<span>🔁 Run Walk-Forward Backtest</span>';
+        }
+    }
+
+    /**
+     * Render per-fold and aggregate backtest RMSE by forecast day
+     */
+    showBacktestResults(result) {
+        const container = document.getElementById('backtestResults');
+        if (!result.aggregate) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const days = result.aggregate.rmseByDay.length;
+        const header = Array.from({ length: days }, (_, i) => `<th>Day ${i + 1}</th>`).join('');
+        const formatRow = values => values.map(v => `<td>$${v.toFixed(2)}</td>`).join('');
+
+        const foldRows = result.folds.map(fold => `
+            <tr>
+                <td>Fold ${fold.fold} (train ${fold.trainSamples}, test ${fold.testSamples})</td>
+                ${formatRow(fold.rmseByDay)}
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <table class="comparison-table">
+                <thead><tr><th>RMSE</th>${header}</tr></thead>
+                <tbody>
+                    ${foldRows}
+                    <tr><td><strong>Pooled</strong></td>${formatRow(result.aggregate.rmseByDay)}</tr>
+                    <tr><td><strong>Mean of folds</strong></td>${formatRow(result.aggregate.meanFoldRmseByDay)}</tr>
+                    <tr><td><strong>Pooled MAE</strong></td>${formatRow(result.aggregate.maeByDay)}</tr>
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Update prediction cards in UI
+     */
+    updatePredictionCards(predictions, lastPrice, intervals = null) {
+        const cards = document.querySelectorAll('.prediction-card');
+        
+        predictions.forEach((prediction, index) => {
+            if (cards[index]) {
+                const priceChange = ((prediction - lastPrice) / lastPrice * 100);
+                
+                cards[index].querySelector('.prediction-value').textContent = `$${prediction.toFixed(2)}`;
+                
+                const directionElement = cards[index].querySelector('.prediction-direction');
+                directionElement.textContent = `${priceChange >= 0 ? '+' : ''}${priceChange.toFixed(2)}%`;
+                directionElement.className = `prediction-direction ${priceChange >= 0 ? 'direction-up' : 'direction-down'}`;
+                
+                // Widest interval under the point forecast
+                const widest = intervals ? Math.max(...Object.keys(intervals).map(Number)) : null;
+                if (widest) {
+                    let intervalElement = cards[index].querySelector('.prediction-interval');
+                    if (!intervalElement) {
+                        intervalElement = document.createElement('div');
+                        intervalElement.className = 'prediction-interval';
+                        cards[index].appendChild(intervalElement);
+                    }
+                    const band = intervals[widest];
+                    intervalElement.textContent = `${widest}%: $${band.lower[index].toFixed(2)} – $${band.upper[index].toFixed(2)}`;
+                }
+            }
+        });
+    }
+
+    /**
+     * Show the forecast metric suite per day, computed on denormalized test prices
+     */
+    showEvaluationMetrics() {
+        const container = document.getElementById('horizonMetrics');
+        if (!container || !this.datasets) {
+            return;
+        }
+
+        const strategy = document.getElementById('forecastStrategy').value;
+        const { byDay, overall } = this.evaluateTestSet(strategy);
+
+        const format = metrics => `
+            <td>$${metrics.rmse.toFixed(2)}</td>
+            <td>$${metrics.mae.toFixed(2)}</td>
+            <td>${metrics.mape.toFixed(2)}%</td>
+            <td>${metrics.smape.toFixed(2)}%</td>
+            <td>${metrics.mase.toFixed(3)}</td>
+            <td>${(metrics.directionalAccuracy * 100).toFixed(1)}%</td>
+            <td>${metrics.theilsU.toFixed(3)}</td>
+        `;
+
+        container.innerHTML = `
+            <h3>Test Metrics (${strategy})</h3>
+            <table class="comparison-table">
+                <thead>
+                    <tr><th>Horizon</th><th>RMSE</th><th>MAE</th><th>MAPE</th><th>sMAPE</th><th>MASE</th><th>Direction</th><th>Theil's U</th></tr>
+                </thead>
+                <tbody>
+                    ${byDay.map(metrics => `<tr><td>Day ${metrics.day}</td>${format(metrics)}</tr>`).join('')}
+                    <tr><td><strong>All days</strong></td>${format(overall)}</tr>
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Per-horizon metrics in price units on the test split
+     * @param {string} strategy - Forecast strategy
+     * @returns {Object} - { byDay, overall } from evaluateByHorizon
+     */
+    evaluateTestSet(strategy) {
+        const { predictions, actual } = this.forecastTestSet(strategy);
+
+        return evaluateByHorizon(predictions, actual, {
+            reference: dataLoader.getLastObserved(dataLoader.splitIndex, actual.length),
+            scale: naiveScale(dataLoader.getTrainTargetValues())
+        });
+    }
+
+    /**
+     * Test split forecasts and targets in price units
+     * @param {string} strategy - Forecast strategy
+     * @returns {Object} - { predictions, actual }, one row per test window
+     */
+    forecastTestSet(strategy) {
+        const denormalize = dataLoader.createTargetDenormalizer(dataLoader.splitIndex);
+        return {
+            predictions: this.forecaster.forecastBatch(this.datasets.X_test, { strategy }).map(denormalize),
+            actual: this.datasets.y_test.arraySync().map(denormalize)
+        };
+    }
+
+    /**
+     * Pair out-of-sample forecasts with their windows' last close and date, oldest first
+     * @param {Array<number>} windowIndices - Window index of each forecast
+     * @param {Array<Array<number>>} predictions - Forecast prices per window
+     * @param {Array<Array<number>>} actual - Realized prices per window
+     * @returns {Array<Object>} - Steps for TradingStrategy.simulate
+     */
+    createTradingSteps(windowIndices, predictions, actual) {
+        return windowIndices
+            .map((windowIndex, i) => ({
+                windowIndex,
+                date: dataLoader.getWindowDate(windowIndex),
+                reference: dataLoader.getWindowReference(windowIndex),
+                predicted: predictions[i],
+                actual: actual[i]
+            }))
+            .sort((a, b) => a.windowIndex - b.windowIndex);
+    }
+
+    /**
+     * Trade the test split or last backtest forecasts and compare with buy-and-hold
+     */
+    simulateStrategy() {
+        const source = document.getElementById('tradeSource').value;
+        const statusText = document.getElementById('tradeStatus');
+
+        let steps;
+        if (source === 'backtest') {
+            if (!this.backtestSteps) {
+                this.showStatus('error', 'Run a walk-forward backtest on the loaded data first.');
+                return;
+            }
+            steps = this.backtestSteps;
+        } else {
+            if (!this.isModelTrained || !this.datasets) {
+                this.showStatus('error', 'Train or load a model first.');
+                return;
+            }
+            const { predictions, actual } = this.forecastTestSet(document.getElementById('forecastStrategy').value);
+            steps = this.createTradingSteps(
+                predictions.map((_, i) => dataLoader.splitIndex + i), predictions, actual
+            );
+        }
+
+        try {
+            const strategy = new TradingStrategy({
+                mode: document.getElementById('tradeMode').value,
+                horizon: parseInt(document.getElementById('tradeHorizon').value, 10) || 1,
+                longThreshold: (parseFloat(document.getElementById('tradeLongThreshold').value) || 0) / 100,
+                shortThreshold: (parseFloat(document.getElementById('tradeShortThreshold').value) || 0) / 100,
+                sizing: document.getElementById('tradeSizing').value,
+                positionSize: parseFloat(document.getElementById('tradePositionSize').value) || 1,
+                costBps: parseFloat(document.getElementById('tradeCost').value) || 0,
+                slippageBps: parseFloat(document.getElementById('tradeSlippage').value) || 0
+            });
+            const result = strategy.simulate(steps);
+
+            this.showTradingResults(result);
+            this.showEquityCurve(result);
+            statusText.textContent = `Simulated ${result.days.length} days of ${source === 'backtest' ? 'backtest' : 'test split'} forecasts (${result.strategy.trades} trades)`;
+        } catch (error) {
+            console.error('Error simulating strategy:', error);
+            this.showStatus('error', `Simulation failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Render strategy and buy-and-hold performance side by side
+     */
+    showTradingResults(result) {
+        const percent = value => `${(value * 100).toFixed(2)}%`;
+        const ratio = value => value.toFixed(2);
+        const rows = [
+            ['Total return', 'totalReturn', percent],
+            ['CAGR', 'cagr', percent],
+            ['Volatility (annual)', 'volatility', percent],
+            ['Sharpe', 'sharpe', ratio],
+            ['Sortino', 'sortino', ratio],
+            ['Max drawdown', 'maxDrawdown', percent],
+            ['Turnover (annual)', 'annualTurnover', ratio],
+            ['Trades', 'trades', value => value],
+            ['Exposure', 'exposure', percent],
+            ['Hit rate', 'hitRate', percent]
+        ].map(([label, key, format]) => `
+            <tr><td>${label}</td><td>${format(result.strategy[key])}</td><td>${format(result.buyAndHold[key])}</td></tr>
+        `).join('');
+
+        document.getElementById('tradeResults').innerHTML = `
+            <table class="comparison-table">
+                <thead><tr><th>Metric</th><th>Strategy</th><th>Buy & Hold</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Plot the strategy and buy-and-hold equity curves
+     */
+    showEquityCurve(result) {
+        if (typeof Plotly === 'undefined') {
+            return;
+        }
+
+        const x = result.days.map((day, i) => day.date ?? i + 1);
+        const axis = title => ({
+            title: { text: title },
+            color: '#fda4af',
+            gridcolor: 'rgba(253, 164, 175, 0.1)'
+        });
+        const traces = [
+            { x, y: result.days.map(day => day.equity), name: 'Strategy', mode: 'lines', line: { color: '#f43f5e' } },
+            { x, y: result.days.map(day => day.benchmarkEquity), name: 'Buy & Hold', mode: 'lines', line: { color: '#4299e1' } }
+        ];
+        const layout = {
+            paper_bgcolor: 'rgba(0, 0, 0, 0)',
+            plot_bgcolor: 'rgba(0, 0, 0, 0)',
+            font: { color: '#fda4af' },
+            xaxis: axis(result.days[0].date ? 'Date' : 'Trading day'),
+            yaxis: axis('Equity (start = 1)'),
+            margin: { t: 20, r: 20, b: 50, l: 60 },
+            legend: { orientation: 'h', y: -0.2 }
+        };
+
+        Plotly.react('equityPlot', traces, layout, { responsive: true });
+    }
+
+    /**
+     * Attribute the latest window's forecast to its days and features
+     */
+    explainForecast() {
+        if (!this.isModelTrained) {
+            this.showStatus('error', 'Train or load a model first.');
+            return;
+        }
+
+        const statusText = document.getElementById('explainStatus');
+        const method = document.getElementById('explainMethod').value;
+        const latestWindow = dataLoader.getLatestWindow();
+
+        try {
+            this.attributions = explainWindow(this.forecaster, latestWindow, {
+                method,
+                baseline: document.getElementById('explainBaseline').value
+            });
+            this.showAttributionHeatmap();
+            statusText.textContent = method === 'occlusion'
+                ? 'Occlusion: forecast minus the forecast with one value set to the baseline'
+                : 'Integrated gradients: each day\'s attributions sum to its forecast minus the baseline forecast';
+        } catch (error) {
+            console.error('Error explaining forecast:', error);
+            this.showStatus('error', `Explanation failed: ${error.message}`);
+        } finally {
+            latestWindow.dispose();
+        }
+    }
+
+    /**
+     * Heatmap of the attributions of one forecast day, features by window days
+     */
+    showAttributionHeatmap() {
+        if (typeof Plotly === 'undefined') {
+            return;
+        }
+
+        const { byDay, prediction, baselinePrediction } = this.attributions;
+        const day = Math.min(Math.max(parseInt(document.getElementById('explainHorizon').value, 10) || 1, 1), byDay.length);
+        const attributions = byDay[day - 1];
+        const steps = attributions.length;
+        const dates = dataLoader.data.slice(-steps).map((row, i) => row.Date ?? `t-${steps - 1 - i}`);
+        const features = dataLoader.featureColumns;
+        const axis = title => ({
+            title: { text: title },
+            color: '#fda4af',
+            gridcolor: 'rgba(253, 164, 175, 0.1)'
+        });
+
+        const trace = {
+            type: 'heatmap',
+            x: dates,
+            y: features,
+            z: features.map((_, f) => attributions.map(step => step[f])),
+            colorscale: 'RdBu',
+            reversescale: true,
+            zmid: 0
+        };
+        const layout = {
+            title: {
+                text: `Day ${day}: forecast ${prediction[day - 1].toFixed(4)} vs baseline ${baselinePrediction[day - 1].toFixed(4)} (scaled)`
+            },
+            paper_bgcolor: 'rgba(0, 0, 0, 0)',
+            plot_bgcolor: 'rgba(0, 0, 0, 0)',
+            font: { color: '#fda4af' },
+            xaxis: axis('Window day'),
+            yaxis: axis('Feature'),
+            margin: { t: 40, r: 20, b: 60, l: 100 }
+        };
+
+        Plotly.react('attributionPlot', [trace], layout, { responsive: true });
+    }
+
+    /**
+     * Rise in test RMSE when each feature is shuffled across the test windows
+     */
+    showPermutationImportance() {
+        if (!this.isModelTrained || !this.datasets) {
+            this.showStatus('error', 'Train or load a model first.');
+            return;
+        }
+
+        const statusText = document.getElementById('explainStatus');
+        const strategy = document.getElementById('forecastStrategy').value;
+
+        try {
+            const result = permutationImportance(this.forecaster, this.datasets.X_test, this.datasets.y_test, {
+                featureNames: this.datasets.featureNames,
+                transform: dataLoader.createTargetDenormalizer(dataLoader.splitIndex),
+                strategy,
+                seed: resolveSeed()
+            });
+            statusText.textContent = `Test RMSE $${result.baseRmse.toFixed(2)} (${strategy}); ` +
+                `bars show its rise with each feature shuffled, 3 shuffles each (seed ${result.seed})`;
+
+            if (typeof Plotly === 'undefined') {
+                return;
+            }
+            const features = [...result.features].reverse();
+            const axis = title => ({
+                title: { text: title },
+                color: '#fda4af',
+                gridcolor: 'rgba(253, 164, 175, 0.1)'
+            });
+            Plotly.react('importancePlot', [{
+                type: 'bar',
+                orientation: 'h',
+                y: features.map(feature => feature.feature),
+                x: features.map(feature => feature.importance),
+                error_x: { type: 'data', array: features.map(feature => feature.std) },
+                marker: { color: '#f43f5e' }
+            }], {
+                title: { text: 'Permutation Importance' },
+                paper_bgcolor: 'rgba(0, 0, 0, 0)',
+                plot_bgcolor: 'rgba(0, 0, 0, 0)',
+                font: { color: '#fda4af' },
+                xaxis: axis('Test RMSE increase ($)'),
+                yaxis: axis(''),
+                margin: { t: 40, r: 20, b: 50, l: 100 }
+            }, { responsive: true });
+        } catch (error) {
+            console.error('Error computing permutation importance:', error);
+            this.showStatus('error', `Permutation importance failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Append the new trading days of a CSV and fine-tune the current model on the latest windows
+     * The scalers fitted at training time are kept, so the weights still see inputs on the same
+     * scale; new values beyond the fitted range are listed as drift. Each model (or ensemble member)
+     * continues from its current weights in the training worker, holding out the newest windows.
+     */
+    async updateModel() {
+        if (!this.isModelTrained) {
+            this.showStatus('error', 'Train or load a model before updating it.');
+            return;
+        }
+
+        const [file] = document.getElementById('updateFile').files;
+        if (!file) {
+            this.showStatus('error', 'Choose a CSV with the new rows first');
+            return;
+        }
+
+        const number = (id, fallback) => {
+            const value = parseFloat(document.getElementById(id).value);
+            return Number.isFinite(value) && value > 0 ? value : fallback;
+        };
+        const epochs = Math.round(number('updateEpochs', 5));
+        const learningRate = number('updateLearningRate', 0.0001);
+        const batchSize = Math.round(number('batchSize', 32));
+
+        const updateBtn = document.getElementById('updateBtn');
+        const stopTrainBtn = document.getElementById('stopTrainBtn');
+        const statusText = document.getElementById('updateStatus');
+        updateBtn.disabled = true;
+        statusText.textContent = 'Appending rows...';
+
+        try {
+            const update = dataLoader.appendRows(await readTextFile(file), this.getGapOptions());
+            if (update.rows === 0) {
+                statusText.textContent = update.added === 0
+                    ? `No rows after the last loaded date (${update.skipped} rows already loaded)`
+                    : `Gap handling dropped all ${update.added} new rows`;
+                return;
+            }
+            this.showDrift(update.drift);
+
+            // Re-window with the kept scalers; the new windows fall past the split, in the test windows
+            const datasets = dataLoader.preprocessData();
+            this.disposeDatasets();
+            this.datasets = datasets;
+            this.backtestSteps = null;
+            this.attributions = null;
+
+            // The latest windows, whose targets end in the appended days, taken across both splits;
+            // their purged tail is held out for validation
+            const total = datasets.X_train.shape[0] + datasets.X_test.shape[0];
+            const windows = Math.min(Math.round(number('updateWindows', 250)), total);
+            const recent = tf.tidy(() => ({
+                X_train: tf.concat([datasets.X_train, datasets.X_test]).slice(total - windows),
+                y_train: tf.concat([datasets.y_train, datasets.y_test]).slice(total - windows),
+                forecastDays: datasets.forecastDays
+            }));
+            let split;
+            try {
+                split = dataLoader.splitValidation(recent);
+            } finally {
+                recent.X_train.dispose();
+                recent.y_train.dispose();
+            }
+
+            const models = this.forecaster === this.ensemble
+                ? this.ensemble.members.map(member => member.model)
+                : [gruModel];
+            const startTime = Date.now();
+            this.trainingCancelled = false;
+            stopTrainBtn.disabled = false;
+
+            try {
+                for (let i = 0; i < models.length && !this.trainingCancelled; i++) {
+                    const memberLabel = models.length > 1 ? `Member ${i + 1}/${models.length} - ` : '';
+                    const [xTrain, xVal] = [split.xFit, split.xVal].map(xs => (
+                        models.length > 1 ? this.ensemble.memberInput(i, xs) : xs
+                    ));
+                    const data = {
+                        xTrain: packTensor(xTrain),
+                        yTrain: packTensor(split.yFit),
+                        xVal: packTensor(xVal),
+                        yVal: packTensor(split.yVal)
+                    };
+                    [xTrain, xVal].filter(xs => xs !== split.xFit && xs !== split.xVal).forEach(xs => xs.dispose());
+                    const weights = models[i].getWeightData();
+
+                    this.trainingJob = this.trainer.run('train', {
+                        data,
+                        info: { ...dataLoader.getDatasetInfo(), sequenceLength: data.xTrain.shape[1] },
+                        modelOptions: { ...models[i].config, learningRate },
+                        weights,
+                        trainOptions: {
+                            epochs,
+                            batchSize,
+                            // A fixed number of epochs; the last weights are kept
+                            controller: { patience: 0, reduceLrPatience: 0, restoreBestWeights: false }
+                        }
+                    }, {
+                        transfer: transferList([...Object.values(data), ...weights]),
+                        onProgress: ({ epoch, logs }) => {
+                            statusText.textContent = `${memberLabel}Fine-tuning epoch ${epoch + 1}/${epochs} - ` +
+                                `Loss: ${logs.loss.toFixed(6)} - Val loss: ${logs.val_loss.toFixed(6)}`;
+                        }
+                    });
+
+                    const { history, weights: tuned } = await this.trainingJob.result;
+                    models[i].setTrainedWeights(tuned, history);
+                }
+
+                if (this.forecaster === this.ensemble) {
+                    this.ensemble.fitCombiner(split.xVal, split.yVal);
+                }
+            } finally {
+                Object.values(split).forEach(tensor => tensor.dispose());
+                this.trainingJob = null;
+                stopTrainBtn.disabled = true;
+            }
+            const { hash, rows, lastDate } = dataLoader.getFingerprint();
+            const version = this.forecaster.recordVersion('update', {
+                data: { hash, rows, lastDate },
+                rowsAdded: update.rows,
+                windows,
+                epochs: this.forecaster.history.epochs.length,
+                learningRate,
+                drift: update.drift.drifted,
+                cancelled: this.trainingCancelled
+            });
+            this.showLineage();
+
+            const seconds = ((Date.now() - startTime) / 1000).toFixed(1);
+            const driftText = update.drift.drifted.length > 0
+                ? ` Drift in ${update.drift.drifted.join(', ')}.`
+                : '';
+            statusText.textContent = `Version ${version.version}: ${update.rows} new rows` +
+                (update.lastDate ? ` through ${update.lastDate}` : '') +
+                `, fine-tuned on the last ${windows} windows in ${seconds} seconds` +
+                (this.trainingCancelled ? ' (stopped early)' : '') + `.${driftText}`;
+            this.showStatus('success', `Model updated to version ${version.version}`);
+
+            this.createInitialVisualization();
+            this.createPerformanceChart();
+            this.showEvaluationMetrics();
+            this.showIntervalCoverage();
+            this.showStrategyComparison();
+            this.showBaselineComparison();
+
+            await this.logRun({ epochs, batchSize, windows, learningRate, update: version.version }, Number(seconds));
+        } catch (error) {
+            console.error('Error updating model:', error);
+            statusText.textContent = `Update failed: ${error.message}`;
+            this.showStatus('error', `Update failed: ${error.message}`);
+        } finally {
+            updateBtn.disabled = !this.isModelTrained;
+        }
+    }
+
+    /**
+     * List the features whose new values fall outside the range their scalers were fitted on
+     * @param {Object} drift - Drift report from DataLoader.appendRows
+     */
+    showDrift(drift) {
+        const container = document.getElementById('updateDrift');
+        if (!drift || drift.columns.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const format = value => value.toFixed(Math.abs(value) >= 10 ? 2 : 4);
+        const rows = drift.columns.filter(column => column.outside > 0).map(column => `
+            <tr>
+                <td>${column.column}</td>
+                <td>${format(column.min)} – ${format(column.max)}</td>
+                <td>${format(column.newMin)} – ${format(column.newMax)}</td>
+                <td>${column.outside}/${drift.rows}</td>
+                <td>${(column.excess * 100).toFixed(1)}%</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = rows ? `
+            <table class="comparison-table">
+                <thead><tr><th>Drifted Feature</th><th>Fitted Range</th><th>New Range</th><th>Rows Outside</th><th>Overshoot</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        ` : `<p>No drift: the ${drift.rows} new rows are inside the fitted range of all ${drift.columns.length} checked features.</p>`;
+    }
+
+    /**
+     * List the versions of the current model, oldest first
+     */
+    showLineage() {
+        const container = document.getElementById('updateLineage');
+        const lineage = this.forecaster.lineage;
+        if (lineage.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const rows = lineage.map(entry => `
+            <tr>
+                <td>v${entry.version}${entry.parent ? ` ← v${entry.parent}` : ''}</td>
+                <td>${entry.kind}${entry.cancelled ? ' (stopped)' : ''}</td>
+                <td>${new Date(entry.createdAt).toLocaleString()}</td>
+                <td>${entry.data ? `${entry.data.rows} rows${entry.data.lastDate ? ` to ${entry.data.lastDate}` : ''} (${entry.data.hash})` : '–'}</td>
+                <td>${entry.epochs ?? '–'}</td>
+                <td>${entry.rowsAdded ?? '–'}</td>
+                <td>${entry.drift && entry.drift.length > 0 ? entry.drift.join(', ') : '–'}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <table class="comparison-table">
+                <thead><tr><th>Version</th><th>Kind</th><th>Created</th><th>Data</th><th>Epochs</th><th>Rows Added</th><th>Drift</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Show empirical coverage of the Monte Carlo dropout intervals on the test split
+     */
+    showIntervalCoverage() {
+        const container = document.getElementById('intervalCoverage');
+        if (!container || !this.datasets) {
+            return;
+        }
+
+        const strategy = document.getElementById('forecastStrategy').value;
+        const denormalize = dataLoader.createTargetDenormalizer(dataLoader.splitIndex);
+        const intervals = this.forecaster.forecastIntervals(this.datasets.X_test, { strategy, samples: 30 });
+        const actual = this.datasets.y_test.arraySync().map(denormalize);
+        const days = this.datasets.forecastDays;
+        const levels = Object.keys(intervals[0].bands).map(Number);
+
+        const rows = levels.map(level => {
+            const lower = intervals.map((interval, i) => denormalize(interval.bands[level].lower, i));
+            const upper = intervals.map((interval, i) => denormalize(interval.bands[level].upper, i));
+            const cells = Array.from({ length: days }, (_, day) => {
+                const dayLower = lower.map(row => row[day]);
+                const dayUpper = upper.map(row => row[day]);
+                const coverage = intervalCoverage(dayLower, dayUpper, actual.map(row => row[day]));
+                return `<td>${(coverage * 100).toFixed(1)}% <small>($${intervalWidth(dayLower, dayUpper).toFixed(0)})</small></td>`;
+            }).join('');
+            return `<tr><td>${level}%</td>${cells}</tr>`;
+        }).join('');
+
+        const header = Array.from({ length: days }, (_, i) => `<th>Day ${i + 1}</th>`).join('');
+        container.innerHTML = `
+            <h3>Interval Coverage on Test Split (mean width)</h3>
+            <table class="comparison-table">
+                <thead><tr><th>Nominal</th>${header}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Show per-day test RMSE for each forecast strategy
+     */
+    showStrategyComparison() {
+        const container = document.getElementById('strategyComparison');
+        if (!container || !this.datasets) {
+            return;
+        }
+
+        const results = this.forecaster.compareStrategies(
+            this.datasets.X_test,
+            this.datasets.y_test,
+            dataLoader.createTargetDenormalizer(dataLoader.splitIndex)
+        );
+        const days = this.datasets.forecastDays;
+
+        const header = Array.from({ length: days }, (_, i) => `<th>Day ${i + 1}</th>`).join('');
+        const rows = Object.entries(results).map(([strategy, result]) => `
+            <tr>
+                <td>${strategy}</td>
+                ${result.rmseByDay.map(rmse => `<td>$${rmse.toFixed(2)}</td>`).join('')}
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <h3>Test RMSE by Strategy</h3>
+            <table class="comparison-table">
+                <thead><tr><th>Strategy</th>${header}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Create initial visualization of data
+     */
+    createInitialVisualization() {
+        if (!dataLoader.data || dataLoader.data.length === 0) {
+            return;
+        }
+
+        const prices = dataLoader.data.map(row => row[dataLoader.targetColumn]);
+        const labels = dataLoader.data.map((row, i) => `Day ${i + 1}`);
+
+        // Destroy existing chart if any
+        if (this.priceChart) {
+            this.priceChart.destroy();
+        }
+
+        const ctx = document.getElementById('priceChart').getContext('2d');
+        this.priceChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: labels,
+                datasets: [{
+                    label: 'S&P 500 Price',
+                    data: prices,
+                    borderColor: '#f43f5e',
                     backgroundColor: 'rgba(244, 63, 94, 0.1)',
                     borderWidth: 2,
                     fill: true,
@@ -571,31 +2447,72 @@ class StockPredictorApp {
     }
 
     /**
-     * Update price chart with predictions
+     * Update price chart with predictions and a shaded fan of prediction intervals
+     * @param {Array} predictions - Denormalized point forecasts
+     * @param {Object} intervals - Optional denormalized bands { level: { lower, upper } }
+     * @param {Array<Array>} members - Denormalized ensemble member forecasts
      */
-    updatePriceChartWithPredictions(predictions) {
+    updatePriceChartWithPredictions(predictions, intervals = null, members = []) {
         if (!this.priceChart || !dataLoader.data) {
             return;
         }
 
-        const lastIndex = dataLoader.data.length - 1;
-        const predictionLabels = [];
-        const predictionData = [];
+        const target = dataLoader.targetColumn;
+        const recent = dataLoader.data.slice(-50).map(row => row[target]); // Last 50 actual points
+        const firstIndex = dataLoader.data.length - recent.length;
+        const lastPrice = recent[recent.length - 1];
+
+        // Forecast series start at the last actual point for continuity
+        const padding = new Array(recent.length - 1).fill(null);
+        const withHistory = values => [...padding, lastPrice, ...values];
+
+        const priceDataset = this.priceChart.data.datasets[0];
+        priceDataset.data = [...recent, ...new Array(predictions.length).fill(null)];
+
+        const datasets = [priceDataset];
 
-        // Add the last actual point for continuity
-        predictionLabels.push(`Day ${lastIndex + 1}`);
-        predictionData.push(dataLoader.data[lastIndex][dataLoader.targetColumn]);
+        // Widest band first so narrower bands are drawn on top
+        if (intervals) {
+            Object.keys(intervals)
+                .map(Number)
+                .sort((a, b) => b - a)
+                .forEach(level => {
+                    const opacity = (0.1 + (100 - level) / 250).toFixed(2);
+                    datasets.push({
+                        label: `${level}% Interval`,
+                        data: withHistory(intervals[level].upper),
+                        borderColor: 'transparent',
+                        backgroundColor: `rgba(72, 187, 120, ${opacity})`,
+                        pointRadius: 0,
+                        fill: '+1',
+                        tension: 0.1
+                    }, {
+                        label: `${level}% Interval (lower)`,
+                        data: withHistory(intervals[level].lower),
+                        borderColor: 'transparent',
+                        pointRadius: 0,
+                        fill: false,
+                        tension: 0.1
+                    });
+                });
+        }
 
-        // Add predictions
-        predictions.forEach((pred, i) => {
-            predictionLabels.push(`Day ${lastIndex + 2 + i} (Pred)`);
-            predictionData.push(pred);
+        // Ensemble members drawn faintly behind the combined forecast
+        members.forEach((member, i) => {
+            datasets.push({
+                label: `Member ${i + 1}`,
+                data: withHistory(member),
+                borderColor: 'rgba(72, 187, 120, 0.25)',
+                borderWidth: 1,
+                pointRadius: 0,
+                fill: false,
+                tension: 0.1
+            });
         });
 
-        // Add prediction dataset
-        this.priceChart.data.datasets.push({
+        datasets.push({
             label: '5-Day Forecast',
-            data: predictionData,
+            data: withHistory(predictions),
             borderColor: '#48bb78',
             backgroundColor: 'rgba(72, 187, 120, 0.1)',
             borderWidth: 2,
@@ -605,10 +2522,10 @@ class StockPredictorApp {
             pointRadius: 4
         });
 
-        // Update labels
+        this.priceChart.data.datasets = datasets;
         this.priceChart.data.labels = [
-            ...this.priceChart.data.labels.slice(-50), // Last 50 actual points
-            ...predictionLabels.slice(1) // All predictions except the first (which is last actual)
+            ...recent.map((_, i) => `Day ${firstIndex + i + 1}`),
+            ...predictions.map((_, i) => `Day ${firstIndex + recent.length + i + 1} (Pred)`)
         ];
 
         this.priceChart.update();
@@ -618,7 +2535,7 @@ class StockPredictorApp {
      * Create performance chart
      */
     createPerformanceChart() {
-        const history = gruModel.trainingHistory;
+        const history = this.forecaster.history;
         
         if (history.epochs.length === 0) {
             return;
@@ -646,12 +2563,21 @@ class StockPredictorApp {
                     },
                     {
                         label: 'Validation Loss',
-                        data: history.valLoss,
+                        data: history.val_loss,
                         borderColor: '#4299e1',
                         backgroundColor: 'rgba(66, 153, 225, 0.1)',
                         borderWidth: 2,
                         fill: true,
                         tension: 0.1
+                    },
+                    {
+                        label: 'Best Epoch',
+                        data: history.epochs.map(epoch => (epoch === history.bestEpoch ? history.val_loss[epoch - 1] : null)),
+                        borderColor: '#48bb78',
+                        backgroundColor: '#48bb78',
+                        pointRadius: 6,
+                        pointStyle: 'star',
+                        showLine: false
                     }
                 ]
             },
@@ -659,6 +2585,12 @@ class StockPredictorApp {
                 responsive: true,
                 maintainAspectRatio: false,
                 plugins: {
+                    title: {
+                        display: Boolean(history.stopReason),
+                        text: `Stopped: ${history.stopReason}` +
+                            (history.bestEpoch ? ` | Best epoch: ${history.bestEpoch}` : ''),
+                        color: '#fda4af'
+                    },
                     legend: {
                         labels: {
                             color: '#fda4af'
@@ -727,18 +2659,29 @@ class StockPredictorApp {
         const stopTrainBtn = document.getElementById('stopTrainBtn');
 
         // Update based on current state
-        if (this.currentFile) {
+        if (this.currentFiles.length > 0) {
             loadDataBtn.disabled = false;
         }
 
         if (this.isDataLoaded) {
             viewDataBtn.disabled = false;
             trainBtn.disabled = false;
+            document.getElementById('backtestBtn').disabled = false;
+            document.getElementById('searchBtn').disabled = false;
+            document.getElementById('simulateBtn').disabled = false;
         }
 
         if (this.isModelTrained) {
             predictBtn.disabled = false;
         }
+        document.getElementById('explainBtn').disabled = !this.isModelTrained;
+        document.getElementById('importanceBtn').disabled = !this.isModelTrained;
+        document.getElementById('updateBtn').disabled = !this.isModelTrained;
+
+        document.getElementById('saveModelBtn').disabled = !this.isModelTrained;
+        document.getElementById('downloadModelBtn').disabled = !this.isModelTrained;
+        document.getElementById('loadModelBtn').disabled = !this.isDataLoaded;
+        document.getElementById('loadModelFilesBtn').disabled = !this.isDataLoaded;
     }
 
     /**
@@ -751,13 +2694,10 @@ class StockPredictorApp {
         if (this.performanceChart) {
             this.performanceChart.destroy();
         }
-        if (this.datasets) {
-            this.datasets.X_train.dispose();
-            this.datasets.y_train.dispose();
-            this.datasets.X_test.dispose();
-            this.datasets.y_test.dispose();
-        }
+        this.trainer.terminate();
+        this.disposeDatasets();
         gruModel.dispose();
+        this.ensemble.dispose();
         dataLoader.dispose();
         
         console.log('Application resources cleaned up');
@@ -0,0 +1,214 @@
+// architecture.js
+/**
+ * Model Architecture Module
+ * Builds the network from a declarative layer list: stacked GRU/LSTM layers,
+ * a Conv1D front end, layer normalization and temporal attention pooling.
+ * Random initializers take their seeds from the caller, so TF.js never falls back to Math.random for them.
+ */
+
+const LAYER_TYPES = ['gru', 'lstm', 'conv1d', 'layerNorm', 'attention', 'dropout', 'dense'];
+
+// Layers that need a [steps, features] sequence as input
+const SEQUENCE_LAYERS = ['gru', 'lstm', 'conv1d', 'attention'];
+
+// Defaults filled in for each layer type
+const LAYER_DEFAULTS = {
+    gru: { units: 50, bidirectional: false, dropout: 0, recurrentDropout: 0 },
+    lstm: { units: 50, bidirectional: false, dropout: 0, recurrentDropout: 0 },
+    conv1d: { filters: 32, kernelSize: 3, activation: 'relu' },
+    layerNorm: {},
+    attention: {},
+    dropout: { rate: 0.2 },
+    dense: { units: 32, activation: 'relu' }
+};
+
+/**
+ * Architecture matching the plain options: stacked GRU layers then dropout
+ * @param {number} gruUnits - Units in each GRU layer
+ * @param {Object} options - { layers, dropout }
+ * @returns {Object} Architecture config
+ */
+function defaultArchitecture(gruUnits = 50, options = {}) {
+    const { layers = 1, dropout = 0.2 } = options;
+
+    return {
+        layers: [
+            ...Array.from({ length: layers }, () => ({ type: 'gru', units: gruUnits })),
+            ...(dropout > 0 ? [{ type: 'dropout', rate: dropout }] : [])
+        ]
+    };
+}
+
+/**
+ * Fill in defaults and check that the layers fit together
+ * Recurrent layers return sequences when a later layer needs one, unless set explicitly.
+ * @param {Object} architecture - { layers: [{ type, ...options }] }
+ * @returns {Object} Resolved architecture (plain JSON, saved with the model)
+ */
+function resolveArchitecture(architecture) {
+    const specs = architecture && architecture.layers;
+    if (!Array.isArray(specs) || specs.length === 0) {
+        throw new Error('Architecture needs a non-empty "layers" array');
+    }
+
+    let sequence = true;
+    const layers = specs.map((spec, i) => {
+        const label = `Layer ${i + 1} (${spec.type})`;
+        if (!LAYER_TYPES.includes(spec.type)) {
+            throw new Error(`Layer ${i + 1}: unknown type "${spec.type}" (expected ${LAYER_TYPES.join(', ')})`);
+        }
+        if (SEQUENCE_LAYERS.includes(spec.type) && !sequence) {
+            throw new Error(`${label} needs a sequence, but an earlier layer already reduced it to a vector`);
+        }
+
+        const layer = { type: spec.type, ...LAYER_DEFAULTS[spec.type], ...spec };
+        if (spec.type === 'gru' || spec.type === 'lstm') {
+            layer.returnSequences = spec.returnSequences
+                ?? specs.slice(i + 1).some(next => SEQUENCE_LAYERS.includes(next.type));
+            sequence = layer.returnSequences;
+        } else if (spec.type === 'attention') {
+            sequence = false;
+        }
+        return layer;
+    });
+
+    if (sequence) {
+        throw new Error('Architecture ends with a sequence: add an attention layer or a recurrent layer ' +
+            'with returnSequences false');
+    }
+
+    return { layers };
+}
+
+/**
+ * Softmax attention over time steps: scores each step, returns the weighted sum of the steps
+ * Built from stock layers so the model saves and loads without custom classes.
+ * @param {tf.SymbolicTensor} x - Sequence [batch, steps, features]
+ * @param {string} name - Layer name prefix
+ * @param {Function} nextSeed - Returns a seed per initializer
+ * @returns {tf.SymbolicTensor} Pooled vector [batch, features]
+ */
+function attentionPooling(x, name, nextSeed) {
+    const scores = tf.layers.dense({
+        units: 1,
+        activation: 'tanh',
+        kernelInitializer: tf.initializers.glorotUniform({ seed: nextSeed() }),
+        name: `${name}_score`
+    }).apply(x);
+    const flat = tf.layers.flatten({ name: `${name}_flatten` }).apply(scores);
+    const weights = tf.layers.activation({ activation: 'softmax', name: `${name}_weights` }).apply(flat);
+    return tf.layers.dot({ axes: [1, 1], name: `${name}_pool` }).apply([weights, x]);
+}
+
+/**
+ * Seeded initializers of a recurrent layer
+ * @param {Function} nextSeed - Returns a seed per initializer
+ * @returns {Object} Options for a GRU/LSTM layer or cell
+ */
+function recurrentInitializers(nextSeed) {
+    return {
+        kernelInitializer: tf.initializers.glorotNormal({ seed: nextSeed() }),
+        recurrentInitializer: tf.initializers.orthogonal({ seed: nextSeed() })
+    };
+}
+
+/**
+ * Create and connect one layer
+ * @param {Object} layer - Resolved layer config
+ * @param {tf.SymbolicTensor} x - Layer input
+ * @param {number} index - Position in the architecture (for names)
+ * @param {Function} nextSeed - Returns a seed per initializer
+ * @returns {tf.SymbolicTensor} Layer output
+ */
+function applyLayer(layer, x, index, nextSeed) {
+    switch (layer.type) {
+        case 'gru':
+        case 'lstm': {
+            const recurrent = tf.layers[layer.type]({
+                units: layer.units,
+                activation: 'tanh',
+                returnSequences: layer.returnSequences,
+                dropout: layer.dropout,
+                recurrentDropout: layer.recurrentDropout,
+                ...recurrentInitializers(nextSeed)
+            });
+            if (!layer.bidirectional) {
+                return recurrent.apply(x);
+            }
+
+            // The backward copy is rebuilt from the forward layer's config and would repeat
+            // its initializer seeds, so its cell gets its own
+            const bidirectional = tf.layers.bidirectional({ layer: recurrent, mergeMode: 'concat' });
+            Object.assign(bidirectional.backwardLayer.cell, recurrentInitializers(nextSeed));
+            return bidirectional.apply(x);
+        }
+        case 'conv1d':
+            // 'same' padding keeps the window length; every step is already in the past
+            return tf.layers.conv1d({
+                filters: layer.filters,
+                kernelSize: layer.kernelSize,
+                activation: layer.activation,
+                padding: 'same',
+                kernelInitializer: tf.initializers.glorotUniform({ seed: nextSeed() })
+            }).apply(x);
+        case 'layerNorm':
+            return tf.layers.layerNormalization().apply(x);
+        case 'attention':
+            return attentionPooling(x, `attention${index + 1}`, nextSeed);
+        case 'dropout':
+            // Dropout masks are seeded per batch by GRUModel.train
+            return tf.layers.dropout({ rate: layer.rate }).apply(x);
+        case 'dense':
+            return tf.layers.dense({
+                units: layer.units,
+                activation: layer.activation,
+                kernelInitializer: tf.initializers.glorotUniform({ seed: nextSeed() })
+            }).apply(x);
+        default:
+            throw new Error(`Unknown layer type "${layer.type}"`);
+    }
+}
+
+/**
+ * Build an uncompiled model for the architecture with a linear multi-day output head
+ * @param {Object} architecture - Resolved architecture
+ * @param {Array} inputShape - [sequenceLength, featureCount]
+ * @param {number} outputUnits - Forecast days
+ * @param {Function} nextSeed - Returns a seed for each random weight initializer
+ * @returns {tf.LayersModel} Model
+ */
+function buildArchitecture(architecture, inputShape, outputUnits, nextSeed) {
+    const input = tf.input({ shape: inputShape });
+    const features = architecture.layers.reduce((x, layer, i) => applyLayer(layer, x, i, nextSeed), input);
+
+    // Output layer - one unit per forecast day
+    const output = tf.layers.dense({
+        units: outputUnits,
+        activation: 'linear',
+        kernelInitializer: tf.initializers.glorotUniform({ seed: nextSeed() })
+    }).apply(features);
+
+    return tf.model({ inputs: input, outputs: output });
+}
+
+/**
+ * Per-layer output shapes and parameter counts
+ * @param {tf.LayersModel} model - Built model
+ * @returns {Array<Object>} [{ name, type, outputShape, params }]
+ */
+function describeLayers(model) {
+    return model.layers.map(layer => ({
+        name: layer.name,
+        type: layer.getClassName(),
+        outputShape: layer.outputShape,
+        params: layer.countParams()
+    }));
+}
+
+export {
+    LAYER_TYPES,
+    defaultArchitecture,
+    resolveArchitecture,
+    buildArchitecture,
+    describeLayers
+};
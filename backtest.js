@@ -0,0 +1,281 @@
+// backtest.js
+/**
+ * Walk-Forward Backtesting Module
+ * Rolling-origin evaluation of the GRU model on expanding or sliding windows
+ */
+
+import { GRUModel } from './gru.js';
+import { rmse, mae } from './metrics.js';
+import { resolveSeed, deriveSeed } from './random.js';
+
+class WalkForwardBacktester {
+    /**
+     * @param {Object} options - Backtest options
+     * @param {string} options.mode - 'expanding' (train from the start) or 'sliding' (fixed-size train window)
+     * @param {number} options.initialTrainRatio - Share of windows used to train the first fold
+     * @param {number} options.folds - Number of test folds (ignored when testSize is set)
+     * @param {number} options.testSize - Windows per test fold
+     * @param {string} options.retrain - 'full' (new model per fold) or 'finetune' (continue from previous fold)
+     * @param {number} options.epochs - Epochs for full training
+     * @param {number} options.fineTuneEpochs - Epochs for fine-tuning folds
+     * @param {number} options.gruUnits - Number of GRU units
+     * @param {Object} options.modelOptions - Architecture and optimizer options for GRUModel.buildModel
+     * @param {number} options.batchSize - Mini-batch size
+     * @param {number} options.validationRatio - Tail share of each training set used for validation
+     * @param {number} options.seed - Seed for every fold's model (default: modelOptions.seed, the global seed or a new one)
+     */
+    constructor(options = {}) {
+        this.mode = options.mode || 'expanding';
+        this.initialTrainRatio = options.initialTrainRatio ?? 0.5;
+        this.folds = options.folds ?? 5;
+        this.testSize = options.testSize ?? null;
+        this.retrain = options.retrain || 'full';
+        this.epochs = options.epochs ?? 30;
+        this.fineTuneEpochs = options.fineTuneEpochs ?? 5;
+        this.gruUnits = options.gruUnits ?? 50;
+        this.modelOptions = options.modelOptions ?? {};
+        this.batchSize = options.batchSize ?? 32;
+        this.validationRatio = options.validationRatio ?? 0.1;
+        this.seed = resolveSeed(options.seed ?? this.modelOptions.seed);
+
+        this.model = null;
+        this.isRunning = false;
+        this.cancelRequested = false;
+    }
+
+    /**
+     * Split the window indices into chronological folds
+     * Targets of the last training window must not overlap the first test window,
+     * so forecastDays - 1 windows are purged between train and test.
+     * @param {number} totalSamples - Number of windows
+     * @param {number} forecastDays - Forecast horizon
+     * @returns {Array<Object>} Folds with [trainStart, trainEnd) and [testStart, testEnd)
+     */
+    createFolds(totalSamples, forecastDays) {
+        const gap = forecastDays - 1;
+        const initialTrainSize = Math.floor(totalSamples * this.initialTrainRatio);
+        const available = totalSamples - initialTrainSize - gap;
+        const testSize = this.testSize || Math.floor(available / this.folds);
+        // The first fold must keep two windows to fit on after its purged validation tail
+        const fitSize = initialTrainSize - Math.max(1, Math.floor(initialTrainSize * this.validationRatio)) - gap;
+
+        if (fitSize < 2 || testSize < 1) {
+            throw new Error(`Not enough windows (${totalSamples}) for walk-forward backtesting`);
+        }
+
+        const folds = [];
+        let trainEnd = initialTrainSize;
+
+        while (trainEnd + gap + testSize <= totalSamples) {
+            const trainStart = this.mode === 'sliding' ? trainEnd - initialTrainSize : 0;
+            const testStart = trainEnd + gap;
+
+            folds.push({
+                fold: folds.length + 1,
+                trainStart,
+                trainEnd,
+                testStart,
+                testEnd: testStart + testSize
+            });
+
+            trainEnd += testSize;
+        }
+
+        return folds;
+    }
+
+    /**
+     * Run the walk-forward backtest
+     * @param {Object} windows - Output of DataLoader.getAllWindows (its scalers should be
+     *                           fitted on the initial training windows only)
+     * @param {Object} options - Run options
+     * @param {Function} options.denormalize - Maps (normalized target row, window index) to prices
+     * @param {Function} options.onFoldEnd - Callback after each fold with its result
+     * @param {Function} options.onEpochEnd - Callback forwarded to GRUModel.train
+     * @returns {Promise<Object>} Per-fold results, aggregate metrics and all out-of-sample forecasts
+     */
+    async run(windows, options = {}) {
+        if (this.isRunning) {
+            throw new Error('Backtest is already running');
+        }
+
+        const { denormalize = row => row, onFoldEnd = null, onEpochEnd = null } = options;
+        const { sequences, targets, forecastDays } = windows;
+        const folds = this.createFolds(sequences.length, forecastDays);
+
+        console.log(`Walk-forward backtest: ${folds.length} folds (${this.mode}, ${this.retrain})`);
+
+        this.isRunning = true;
+        this.cancelRequested = false;
+
+        const results = [];
+        const forecasts = [];
+
+        try {
+            for (const fold of folds) {
+                if (this.cancelRequested) {
+                    break;
+                }
+
+                const foldResult = await this.runFold(fold, windows, { denormalize, onEpochEnd });
+                // A fold stopped partway through training is left out of the results and aggregates
+                if (this.cancelRequested) {
+                    console.log(`Fold ${fold.fold}/${folds.length} cancelled during training; discarded`);
+                    break;
+                }
+                results.push(foldResult);
+                forecasts.push(...foldResult.forecasts);
+
+                console.log(`Fold ${fold.fold}/${folds.length}: RMSE by day ${foldResult.rmseByDay.map(v => v.toFixed(2)).join(', ')}`);
+
+                if (onFoldEnd) {
+                    onFoldEnd(foldResult, folds.length);
+                }
+            }
+        } finally {
+            this.isRunning = false;
+            if (this.model) {
+                this.model.dispose();
+                this.model = null;
+            }
+        }
+
+        return {
+            mode: this.mode,
+            retrain: this.retrain,
+            seed: this.seed,
+            cancelled: this.cancelRequested,
+            folds: results,
+            forecasts,
+            aggregate: this.aggregate(results, forecasts, forecastDays)
+        };
+    }
+
+    /**
+     * Train on one fold and forecast its test windows
+     * @param {Object} fold - Fold boundaries
+     * @param {Object} windows - All windows
+     * @param {Object} options - { denormalize, onEpochEnd }
+     * @returns {Promise<Object>} Fold result
+     */
+    async runFold(fold, windows, options) {
+        const { sequences, targets } = windows;
+        const trainSequences = sequences.slice(fold.trainStart, fold.trainEnd);
+        const trainTargets = targets.slice(fold.trainStart, fold.trainEnd);
+
+        // Chronological validation split at the end of the training window, purged of the
+        // forecastDays - 1 windows whose targets overlap the validation inputs
+        const samples = trainSequences.length;
+        const valSize = Math.max(1, Math.floor(samples * this.validationRatio));
+        const fitSize = samples - valSize - (windows.forecastDays - 1);
+
+        const xTrain = tf.tensor3d(trainSequences.slice(0, fitSize));
+        const yTrain = tf.tensor2d(trainTargets.slice(0, fitSize));
+        const xVal = tf.tensor3d(trainSequences.slice(samples - valSize));
+        const yVal = tf.tensor2d(trainTargets.slice(samples - valSize));
+        const xTest = tf.tensor3d(sequences.slice(fold.testStart, fold.testEnd));
+
+        try {
+            const fineTune = this.retrain === 'finetune' && this.model !== null;
+
+            if (!fineTune) {
+                if (this.model) {
+                    this.model.dispose();
+                }
+                this.model = new GRUModel();
+                this.model.buildFromDataset(windows, this.gruUnits, { ...this.modelOptions, seed: this.seed });
+            }
+
+            const history = await this.model.train(xTrain, yTrain, xVal, yVal, {
+                epochs: fineTune ? this.fineTuneEpochs : this.epochs,
+                batchSize: this.batchSize,
+                // Fine-tuned folds continue one model, so each fold shuffles with its own seed
+                seed: deriveSeed(this.seed, fold.fold),
+                onEpochEnd: options.onEpochEnd
+                    ? (epoch, logs, state) => options.onEpochEnd(fold, epoch, logs, state)
+                    : null
+            });
+
+            const denormalize = (row, i) => options.denormalize(row, fold.testStart + i);
+            const predicted = this.model.forecastBatch(xTest).map(denormalize);
+            const actual = targets.slice(fold.testStart, fold.testEnd).map(denormalize);
+
+            return {
+                ...fold,
+                trainSamples: trainSequences.length,
+                testSamples: actual.length,
+                fineTuned: fineTune,
+                bestEpoch: history.bestEpoch,
+                stopReason: history.stopReason,
+                rmseByDay: this.metricByDay(predicted, actual, rmse),
+                maeByDay: this.metricByDay(predicted, actual, mae),
+                forecasts: predicted.map((row, i) => ({
+                    fold: fold.fold,
+                    sampleIndex: fold.testStart + i,
+                    predicted: row,
+                    actual: actual[i]
+                }))
+            };
+        } finally {
+            [xTrain, yTrain, xVal, yVal, xTest].forEach(t => t.dispose());
+        }
+    }
+
+    /**
+     * Apply a metric to each forecast day
+     * @param {Array<Array>} predicted - Predictions [samples][days]
+     * @param {Array<Array>} actual - Actual values [samples][days]
+     * @param {Function} metric - Metric from metrics.js
+     * @returns {Array} Metric value for each forecast day
+     */
+    metricByDay(predicted, actual, metric) {
+        if (actual.length === 0) {
+            return [];
+        }
+
+        return actual[0].map((_, day) => metric(
+            predicted.map(row => row[day]),
+            actual.map(row => row[day])
+        ));
+    }
+
+    /**
+     * Aggregate fold results
+     * @param {Array} results - Fold results
+     * @param {Array} forecasts - Pooled out-of-sample forecasts
+     * @param {number} forecastDays - Forecast horizon
+     * @returns {Object} Pooled and fold-averaged metrics per forecast day
+     */
+    aggregate(results, forecasts, forecastDays) {
+        if (results.length === 0) {
+            return null;
+        }
+
+        const predicted = forecasts.map(f => f.predicted);
+        const actual = forecasts.map(f => f.actual);
+        const meanAcrossFolds = key => Array.from({ length: forecastDays }, (_, day) =>
+            results.reduce((sum, r) => sum + r[key][day], 0) / results.length
+        );
+
+        return {
+            folds: results.length,
+            samples: forecasts.length,
+            rmseByDay: this.metricByDay(predicted, actual, rmse),
+            maeByDay: this.metricByDay(predicted, actual, mae),
+            meanFoldRmseByDay: meanAcrossFolds('rmseByDay'),
+            meanFoldMaeByDay: meanAcrossFolds('maeByDay')
+        };
+    }
+
+    /**
+     * Stop the backtest after the current fold's training is cancelled
+     */
+    cancel() {
+        this.cancelRequested = true;
+        if (this.model) {
+            this.model.stopTraining();
+        }
+    }
+}
+
+export { WalkForwardBacktester };
@@ -0,0 +1,364 @@
+// baselines.js
+/**
+ * Baseline Forecasters Module
+ * Random walk, drift, seasonal naive, SMA/EMA and linear AR(p) forecasters
+ * exposing the same forecast interface as GRUModel
+ */
+
+import { rmse, mae } from './metrics.js';
+import { restoreScaler } from './scalers.js';
+import { priceChange, applyChange } from './target-transforms.js';
+
+/**
+ * Solve the normal equations (X'X + ridge) b = X'y by Gaussian elimination
+ * @param {Array<Array>} rows - Design matrix rows
+ * @param {Array} targets - Target values
+ * @param {number} ridge - Added to the diagonal to keep the system solvable
+ * @returns {Array} Coefficients
+ */
+function solveLeastSquares(rows, targets, ridge = 1e-8) {
+    const k = rows[0].length;
+    const a = Array.from({ length: k }, () => new Array(k + 1).fill(0));
+
+    rows.forEach((row, n) => {
+        for (let i = 0; i < k; i++) {
+            for (let j = 0; j < k; j++) {
+                a[i][j] += row[i] * row[j];
+            }
+            a[i][k] += row[i] * targets[n];
+        }
+    });
+    for (let i = 0; i < k; i++) {
+        a[i][i] += ridge;
+    }
+
+    for (let col = 0; col < k; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < k; r++) {
+            if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) {
+                pivot = r;
+            }
+        }
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+
+        for (let r = 0; r < k; r++) {
+            if (r !== col) {
+                const factor = a[r][col] / a[col][col];
+                for (let c = col; c <= k; c++) {
+                    a[r][c] -= factor * a[col][c];
+                }
+            }
+        }
+    }
+
+    return a.map((row, i) => row[k] / row[i]);
+}
+
+class BaselineForecaster {
+    /**
+     * @param {string} name - Display name
+     */
+    constructor(name) {
+        this.name = name;
+        this.targetIndex = 0;
+        this.forecastDays = 5;
+        this.targetTransform = 'price';
+        this.onLevels = true; // Forecasts price levels; return or difference windows are rebuilt into levels
+        this.inputScaler = null;
+        this.outputScaler = null;
+    }
+
+    /**
+     * Fit the forecaster on a training split
+     * @param {Object} datasets - Output of DataLoader.preprocessData
+     * @param {Object} options - How the target was encoded (needed unless the target is the price)
+     * @param {string} options.targetTransform - 'price', 'simple', 'log' or 'diff'
+     * @param {Object} options.params - DataLoader.normalizationParams the windows were scaled with
+     */
+    fit(datasets, options = {}) {
+        if (datasets.targetIndex === undefined || datasets.targetIndex < 0) {
+            throw new Error('Baselines need the target column among the input features');
+        }
+
+        this.targetIndex = datasets.targetIndex;
+        this.forecastDays = datasets.forecastDays;
+        this.targetTransform = options.targetTransform || 'price';
+
+        if (this.targetTransform !== 'price') {
+            if (!options.params) {
+                throw new Error(`Baselines on ${this.targetTransform} targets need the scaler parameters`);
+            }
+            this.inputScaler = restoreScaler(options.params[`feature_${this.targetIndex}`]);
+            this.outputScaler = restoreScaler(options.params.target);
+        }
+    }
+
+    /**
+     * Forecast the next days from a single input window
+     * @param {tf.Tensor|Array} window - Window tensor [1, sequenceLength, features] or nested array
+     * @param {Object} options - Forecast options
+     * @param {number} options.horizon - Number of days to forecast (defaults to forecastDays)
+     * @returns {Array} Normalized prediction for each forecast day
+     */
+    forecast(window, options = {}) {
+        const input = window instanceof tf.Tensor ? window : tf.tensor3d([window]);
+
+        try {
+            return this.forecastBatch(input, options)[0];
+        } finally {
+            if (input !== window) {
+                input.dispose();
+            }
+        }
+    }
+
+    /**
+     * Forecast the next days for every window in a batch
+     * @param {tf.Tensor} xs - Input windows [samples, sequenceLength, features]
+     * @param {Object} options - Forecast options (see forecast)
+     * @returns {Array<Array>} Normalized predictions [samples][horizon]
+     */
+    forecastBatch(xs, options = {}) {
+        const { horizon = this.forecastDays } = options;
+        const levels = this.onLevels && this.targetTransform !== 'price';
+        return this.extractTargetSeries(xs).map(series => (
+            levels ? this.forecastChanges(series, horizon) : this.forecastSeries(series, horizon)
+        ));
+    }
+
+    /**
+     * Forecast a window of returns or differences through the relative price path they imply
+     * The level forecast (e.g. no change for the random walk) is turned back into scaled changes.
+     * @param {Array} series - Scaled changes, oldest first
+     * @param {number} horizon - Number of days to forecast
+     * @returns {Array} Scaled changes per forecast day
+     */
+    forecastChanges(series, horizon) {
+        const levels = [this.targetTransform === 'diff' ? 0 : 1];
+        this.inputScaler.inverse(series).forEach(change => {
+            levels.push(applyChange(levels[levels.length - 1], change, this.targetTransform));
+        });
+
+        const forecast = this.forecastSeries(levels, horizon);
+        const changes = forecast.map((level, h) => (
+            priceChange(h === 0 ? levels[levels.length - 1] : forecast[h - 1], level, this.targetTransform)
+        ));
+        return this.outputScaler.transform(changes);
+    }
+
+    /**
+     * Extract the target feature of each window
+     * @param {tf.Tensor} xs - Input windows [samples, sequenceLength, features]
+     * @returns {Array<Array>} Target history per window [samples][sequenceLength]
+     */
+    extractTargetSeries(xs) {
+        const [samples, steps] = xs.shape;
+        return tf.tidy(() =>
+            xs.slice([0, 0, this.targetIndex], [samples, steps, 1]).reshape([samples, steps]).arraySync()
+        );
+    }
+
+    /**
+     * Forecast from one target history
+     * @param {Array} series - Target history, oldest first
+     * @param {number} horizon - Number of days to forecast
+     * @returns {Array} Predictions
+     */
+    forecastSeries(series, horizon) {
+        throw new Error(`${this.name} does not implement forecastSeries`);
+    }
+}
+
+/**
+ * Random walk: tomorrow = today
+ */
+class NaiveForecaster extends BaselineForecaster {
+    constructor() {
+        super('Random walk');
+    }
+
+    forecastSeries(series, horizon) {
+        return new Array(horizon).fill(series[series.length - 1]);
+    }
+}
+
+/**
+ * Random walk with drift estimated from the window's first and last values
+ */
+class DriftForecaster extends BaselineForecaster {
+    constructor() {
+        super('Random walk + drift');
+    }
+
+    forecastSeries(series, horizon) {
+        const last = series[series.length - 1];
+        const drift = (last - series[0]) / Math.max(series.length - 1, 1);
+        return Array.from({ length: horizon }, (_, h) => last + (h + 1) * drift);
+    }
+}
+
+/**
+ * Seasonal naive: repeat the value from one season earlier
+ */
+class SeasonalNaiveForecaster extends BaselineForecaster {
+    /**
+     * @param {number} season - Season length in days (5 = one trading week)
+     */
+    constructor(season = 5) {
+        super(`Seasonal naive (${season})`);
+        this.season = season;
+    }
+
+    forecastSeries(series, horizon) {
+        const n = series.length;
+        return Array.from({ length: horizon }, (_, h) => {
+            const lag = this.season * Math.ceil((h + 1) / this.season);
+            return series[Math.max(n + h - lag, 0)];
+        });
+    }
+}
+
+/**
+ * Simple moving average of the last k values, held flat
+ */
+class SMAForecaster extends BaselineForecaster {
+    /**
+     * @param {number} period - Averaging period in days
+     */
+    constructor(period = 20) {
+        super(`SMA (${period})`);
+        this.period = period;
+    }
+
+    forecastSeries(series, horizon) {
+        const recent = series.slice(-this.period);
+        const mean = recent.reduce((a, b) => a + b, 0) / recent.length;
+        return new Array(horizon).fill(mean);
+    }
+}
+
+/**
+ * Exponential moving average over the window, held flat
+ */
+class EMAForecaster extends BaselineForecaster {
+    /**
+     * @param {number} span - EMA span in days (alpha = 2 / (span + 1))
+     */
+    constructor(span = 20) {
+        super(`EMA (${span})`);
+        this.alpha = 2 / (span + 1);
+    }
+
+    forecastSeries(series, horizon) {
+        let ema = series[0];
+        for (let i = 1; i < series.length; i++) {
+            ema = this.alpha * series[i] + (1 - this.alpha) * ema;
+        }
+        return new Array(horizon).fill(ema);
+    }
+}
+
+/**
+ * Linear autoregressive AR(p) model fitted by least squares, forecast recursively
+ */
+class ARForecaster extends BaselineForecaster {
+    /**
+     * @param {number} order - Number of lags p
+     */
+    constructor(order = 5) {
+        super(`AR(${order})`);
+        this.order = order;
+        this.coefficients = null;
+        // Fitted on the target in its own units (prices, or returns and differences)
+        this.onLevels = false;
+    }
+
+    /**
+     * Fit the lag coefficients on the training windows' one-day-ahead targets
+     * @param {Object} datasets - Output of DataLoader.preprocessData
+     * @param {Object} options - Target encoding (see BaselineForecaster.fit)
+     */
+    fit(datasets, options = {}) {
+        super.fit(datasets, options);
+
+        const histories = this.extractTargetSeries(datasets.X_train);
+        const nextValues = datasets.y_train.arraySync().map(row => row[0]);
+
+        if (histories[0].length < this.order) {
+            throw new Error(`AR(${this.order}) needs windows of at least ${this.order} days`);
+        }
+
+        // Design matrix rows: [1, y(t), y(t-1), ..., y(t-p+1)]
+        const rows = histories.map(series => [1, ...series.slice(-this.order).reverse()]);
+        this.coefficients = solveLeastSquares(rows, nextValues);
+    }
+
+    forecastSeries(series, horizon) {
+        if (!this.coefficients) {
+            throw new Error(`${this.name} is not fitted yet`);
+        }
+
+        const history = [...series];
+        const predictions = [];
+
+        for (let h = 0; h < horizon; h++) {
+            const lags = history.slice(-this.order).reverse();
+            const value = lags.reduce((sum, lag, i) => sum + this.coefficients[i + 1] * lag, this.coefficients[0]);
+            predictions.push(value);
+            history.push(value);
+        }
+
+        return predictions;
+    }
+}
+
+/**
+ * Create the default set of baseline forecasters
+ * @returns {Array<BaselineForecaster>} Unfitted forecasters
+ */
+function createBaselineForecasters() {
+    return [
+        new NaiveForecaster(),
+        new DriftForecaster(),
+        new SeasonalNaiveForecaster(5),
+        new SMAForecaster(20),
+        new EMAForecaster(20),
+        new ARForecaster(5)
+    ];
+}
+
+/**
+ * Score forecasters on the same test windows
+ * @param {Array<Object>} forecasters - Objects with name and forecastBatch(xs)
+ * @param {tf.Tensor} xTest - Test windows
+ * @param {tf.Tensor} yTest - Normalized targets [samples, forecastDays]
+ * @param {Function} transform - Optional mapping of a prediction/target row and its index (e.g. denormalization)
+ * @returns {Array<Object>} Per-forecaster predictions and per-day RMSE/MAE
+ */
+function compareForecasters(forecasters, xTest, yTest, transform = row => row) {
+    const actual = yTest.arraySync().map(transform);
+    const days = actual[0].length;
+
+    return forecasters.map(forecaster => {
+        const predictions = forecaster.forecastBatch(xTest).map(transform);
+        const byDay = metric => Array.from({ length: days }, (_, day) => metric(
+            predictions.map(row => row[day]),
+            actual.map(row => row[day])
+        ));
+
+        return { name: forecaster.name, predictions, rmseByDay: byDay(rmse), maeByDay: byDay(mae) };
+    });
+}
+
+export {
+    BaselineForecaster,
+    NaiveForecaster,
+    DriftForecaster,
+    SeasonalNaiveForecaster,
+    SMAForecaster,
+    EMAForecaster,
+    ARForecaster,
+    createBaselineForecasters,
+    compareForecasters,
+    solveLeastSquares
+};
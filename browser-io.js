@@ -0,0 +1,71 @@
+// browser-io.js
+/**
+ * Browser File I/O Module
+ * Reads user-selected files and triggers downloads; everything else in the
+ * pipeline works on plain text and objects so it also runs in Node (see node-io.js)
+ */
+
+/**
+ * Read a file as text
+ * @param {File} file - File object
+ * @returns {Promise<string>} File content
+ */
+function readTextFile(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = () => reject(new Error(`Failed to read file ${file.name}`));
+        reader.readAsText(file);
+    });
+}
+
+/**
+ * Load several CSV files into a data loader and join them on date
+ * The first file is the primary series; the others become exogenous columns.
+ * @param {DataLoader} loader - Loader that parses the files
+ * @param {FileList|Array<File>} files - CSV file objects
+ * @param {Object} options - Join options (see DataLoader.parseSources)
+ * @returns {Promise<Array>} Joined data array
+ */
+async function loadCSVFiles(loader, files, options = {}) {
+    const list = Array.from(files || []);
+    if (list.length === 0) {
+        throw new Error('No file provided');
+    }
+
+    const sources = await Promise.all(list.map(async file => ({
+        name: file.name.replace(/\.[^.]*$/, ''),
+        text: await readTextFile(file)
+    })));
+
+    try {
+        loader.parseSources(sources, options);
+    } catch (error) {
+        console.error('CSV parsing error:', error);
+        throw error;
+    }
+
+    console.log(`Loaded ${loader.data.length} rows with features: ${loader.featureColumns.join(', ')}`);
+    return loader.data;
+}
+
+/**
+ * Offer text as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} text - File content
+ * @param {string} type - MIME type
+ */
+function downloadText(filename, text, type = 'text/plain') {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+export { readTextFile, loadCSVFiles, downloadText };
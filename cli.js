@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+// cli.js
+/**
+ * Command-Line Interface
+ * Trains and forecasts from CSV files in Node with the same pipeline as the browser app.
+ * Uses @tensorflow/tfjs-node when it is installed and the pure-JS CPU backend otherwise.
+ * Results go to stdout as JSON or CSV; progress and diagnostics go to stderr.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { dataLoader } from './data-loader.js';
+import { gruModel } from './gru.js';
+import { DEFAULT_TRAIN_SETTINGS, prepareData, trainAndEvaluate, forecastNext, toCSV } from './pipeline.js';
+import { loadTensorFlow, readCSVSources, saveModelDir, readBundle, loadModelDir } from './node-io.js';
+
+const USAGE = `Usage: sp500-gru <command> [options]
+
+Commands:
+  train     Train a model on CSV data and save it
+  forecast  Forecast the next days with a saved model
+
+Train options:
+  --csv <file>             CSV file; repeat to join exogenous series on date (required)
+  --out <dir>              Directory for the saved model (required)
+  --name <name>            Model name (default sp500-gru)
+  --target <column>        Target column (default Close)
+  --inputs <a,b>           Input columns besides the target
+  --join <inner|outer>     How to join several CSV files (default inner)
+  --seq <days>             Window length (default 60)
+  --horizon <days>         Forecast horizon (default 5)
+  --split <ratio>          Training share of the windows (default 0.8)
+  --scaling <method>       minmax, zscore, robust, log or window (default minmax)
+  --target-transform <t>   price, simple, log or diff (default price)
+  --features <a,b>         Engineered features, e.g. returns,rsi,macd
+  --gaps <strategy>        drop, ffill, interpolate or mask (default ffill)
+  --calendar <name>        nyse, business or none (default nyse)
+  --units <n>              GRU units per layer (default 50)
+  --layers <n>             Stacked GRU layers (default 1)
+  --dropout <rate>         Dropout before the output head (default 0.2)
+  --architecture <file>    JSON architecture replacing the GRU stack (see architecture.js)
+  --lr <rate>              Adam learning rate (default 0.001)
+  --batch <n>              Batch size (default 32)
+  --epochs <n>             Maximum epochs (default 50)
+  --patience <n>           Early stopping patience, 0 disables (default 10)
+  --seed <n>               Seed for weights, shuffling and dropout (default: a new seed, reported in the output)
+
+Forecast options:
+  --model <dir>            Saved model directory (required)
+  --csv <file>             Data to forecast from (default: the files the model was trained on)
+  --samples <n>            Monte Carlo dropout passes for prediction intervals (default 0: none)
+
+Common options:
+  --strategy <name>        direct, recursive or hybrid (default direct)
+  --format <json|csv>      Output format (default json)
+  --backend <node|cpu>     Force tfjs-node or the pure-JS CPU backend
+`;
+
+/**
+ * Split argv into a command and --key value options; repeated keys collect into arrays
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { command, options }
+ */
+function parseArgs(argv) {
+    const [command, ...rest] = argv;
+    const options = {};
+
+    for (let i = 0; i < rest.length; i++) {
+        const arg = rest[i];
+        if (!arg.startsWith('--')) {
+            throw new Error(`Unexpected argument "${arg}"`);
+        }
+
+        const key = arg.slice(2);
+        const next = rest[i + 1];
+        const value = next === undefined || next.startsWith('--') ? true : rest[++i];
+        options[key] = key in options ? [].concat(options[key], value) : value;
+    }
+
+    return { command, options };
+}
+
+/**
+ * Read a numeric option
+ * @param {Object} options - Parsed options
+ * @param {string} key - Option name
+ * @param {number} fallback - Default value
+ * @returns {number} Value
+ */
+function numberOption(options, key, fallback) {
+    if (options[key] === undefined) {
+        return fallback;
+    }
+
+    const value = Number(options[key]);
+    if (!Number.isFinite(value)) {
+        throw new Error(`--${key} must be a number, got "${options[key]}"`);
+    }
+    return value;
+}
+
+/**
+ * Read a list option given as repeated flags and/or comma-separated values
+ * @param {string|Array<string>} value - Option value
+ * @returns {Array<string>} Values
+ */
+function listOption(value) {
+    if (value === undefined || value === true) {
+        return [];
+    }
+    return [].concat(value).flatMap(item => item.split(',')).map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Train a model, evaluate it on the test split and save it
+ * @param {Object} options - Parsed options
+ * @param {string} backend - Backend in use
+ * @returns {Promise<Object>} Training summary and test metrics
+ */
+async function train(options, backend) {
+    const csv = listOption(options.csv);
+    if (csv.length === 0 || !options.out || options.out === true) {
+        throw new Error('train needs --csv <file> and --out <dir>');
+    }
+
+    const name = options.name || 'sp500-gru';
+    const calendar = options.calendar || 'nyse';
+    const source = {
+        csv: csv.map(file => path.resolve(file)),
+        join: options.join || 'inner',
+        fillForward: true,
+        target: options.target || null,
+        inputs: options.inputs ? listOption(options.inputs) : null,
+        gaps: {
+            defaultStrategy: options.gaps || 'ffill',
+            calendar: calendar === 'none' ? null : calendar
+        }
+    };
+
+    prepareData(dataLoader, readCSVSources(source.csv), source);
+
+    const defaults = DEFAULT_TRAIN_SETTINGS;
+    const summary = await trainAndEvaluate(dataLoader, gruModel, {
+        sequenceLength: numberOption(options, 'seq', defaults.sequenceLength),
+        forecastDays: numberOption(options, 'horizon', defaults.forecastDays),
+        trainTestSplit: numberOption(options, 'split', defaults.trainTestSplit),
+        scalingMethod: options.scaling || defaults.scalingMethod,
+        targetTransform: options['target-transform'] || defaults.targetTransform,
+        features: listOption(options.features),
+        gruUnits: numberOption(options, 'units', defaults.gruUnits),
+        layers: numberOption(options, 'layers', defaults.layers),
+        dropout: numberOption(options, 'dropout', defaults.dropout),
+        learningRate: numberOption(options, 'lr', defaults.learningRate),
+        architecture: options.architecture
+            ? JSON.parse(fs.readFileSync(options.architecture, 'utf8'))
+            : undefined,
+        batchSize: numberOption(options, 'batch', defaults.batchSize),
+        epochs: numberOption(options, 'epochs', defaults.epochs),
+        patience: numberOption(options, 'patience', defaults.patience),
+        seed: options.seed === undefined ? null : numberOption(options, 'seed', null),
+        strategy: options.strategy || defaults.strategy
+    }, {
+        onEpochEnd: (epoch, logs, epochs) => {
+            console.log(`Epoch ${epoch + 1}/${epochs} - loss ${logs.loss.toFixed(6)} - val loss ${logs.val_loss.toFixed(6)}`);
+        }
+    });
+
+    await saveModelDir(gruModel, dataLoader, options.out, name, source);
+
+    const { metrics } = summary;
+    return {
+        command: 'train',
+        model: name,
+        out: path.resolve(options.out),
+        backend,
+        ...summary,
+        // CSV output lists the per-horizon metrics
+        table: [
+            ...metrics.byDay.map(({ day, ...values }) => ({ horizon: `day ${day}`, ...values })),
+            { horizon: 'all', ...metrics.overall }
+        ]
+    };
+}
+
+/**
+ * Forecast the days after the last row with a saved model
+ * @param {Object} options - Parsed options
+ * @returns {Promise<Object>} Forecast with dates and optional interval bands
+ */
+async function forecast(options) {
+    if (!options.model || options.model === true) {
+        throw new Error('forecast needs --model <dir>');
+    }
+
+    const bundle = readBundle(options.model);
+    const source = { ...bundle.source };
+    if (options.csv) {
+        source.csv = listOption(options.csv);
+    }
+    if (!source.csv) {
+        throw new Error('The model does not record its training data; pass --csv <file>');
+    }
+    source.target = source.target || bundle.data.targetColumn;
+
+    prepareData(dataLoader, readCSVSources(source.csv), source);
+    await loadModelDir(options.model, gruModel, dataLoader);
+
+    const result = forecastNext(gruModel, dataLoader, {
+        strategy: options.strategy || 'direct',
+        samples: numberOption(options, 'samples', 0),
+        calendar: source.gaps?.calendar
+    });
+
+    return {
+        command: 'forecast',
+        model: bundle.name,
+        savedAt: bundle.savedAt,
+        ...result,
+        table: result.forecast
+    };
+}
+
+async function main(argv) {
+    const { command, options } = parseArgs(argv);
+    const commands = { train, forecast };
+
+    if (!command || command === 'help' || options.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    if (!commands[command]) {
+        throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+    }
+
+    // Module logging goes to stderr so stdout stays machine-readable
+    console.log = console.error;
+    console.warn = console.error;
+
+    const backend = await loadTensorFlow(options.backend);
+    console.log(`TensorFlow.js backend: ${backend}`);
+
+    const { table, ...result } = await commands[command](options, backend);
+    process.stdout.write(options.format === 'csv' ? toCSV(table) : `${JSON.stringify(result, null, 2)}\n`);
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+});
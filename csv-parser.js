@@ -0,0 +1,292 @@
+// csv-parser.js
+/**
+ * CSV Parser Module
+ * RFC 4180 parsing with BOM and delimiter detection, plus number and date parsing
+ */
+
+// Delimiters tried by detectDelimiter, in order of preference
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+class CSVParser {
+    /**
+     * Remove a leading byte order mark
+     * @param {string} text - Raw file content
+     * @returns {string} - Content without BOM
+     */
+    stripBOM(text) {
+        return text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+    }
+
+    /**
+     * Detect the delimiter from the first lines of the file
+     * Picks the candidate that occurs most often and the same number of times per line.
+     * The sample keeps its quotes so delimiters inside quoted fields are not counted; a line
+     * ending inside a quoted field is joined with the next one.
+     * @param {string} text - CSV content without BOM
+     * @returns {string} - Detected delimiter (',' when nothing matches)
+     */
+    detectDelimiter(text) {
+        const sample = [];
+        let pending = null;
+        for (const line of text.split(/\r?\n/)) {
+            const record = pending === null ? line : `${pending}\n${line}`;
+            // An odd number of quotes leaves the record open
+            if ((record.split('"').length - 1) % 2 === 1) {
+                pending = record;
+                continue;
+            }
+            pending = null;
+            if (record.trim() !== '') {
+                sample.push(record);
+            }
+            if (sample.length === 20) {
+                break;
+            }
+        }
+
+        let best = ',';
+        let bestScore = 0;
+
+        CANDIDATE_DELIMITERS.forEach(delimiter => {
+            const counts = sample.map(line => this.countOutsideQuotes(line, delimiter));
+            const consistent = counts.every(count => count === counts[0]);
+            const score = consistent ? counts[0] : 0;
+
+            if (score > bestScore) {
+                best = delimiter;
+                bestScore = score;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Count a character outside double-quoted sections
+     * @param {string} line - Line of text
+     * @param {string} char - Character to count
+     * @returns {number} - Occurrences
+     */
+    countOutsideQuotes(line, char) {
+        let count = 0;
+        let inQuotes = false;
+
+        for (const c of line) {
+            if (c === '"') {
+                inQuotes = !inQuotes;
+            } else if (c === char && !inQuotes) {
+                count++;
+            }
+        }
+
+        return count;
+    }
+
+    /**
+     * Split CSV text into records following RFC 4180
+     * (quoted fields may contain delimiters, newlines and "" escaped quotes)
+     * @param {string} text - CSV content
+     * @param {string} delimiter - Field delimiter
+     * @returns {Array<Object>} - Records as { line, fields } where line is the 1-based start line
+     */
+    parseRecords(text, delimiter) {
+        const records = [];
+        let fields = [];
+        let field = '';
+        let inQuotes = false;
+        let line = 1;
+        let recordLine = 1;
+
+        const endRecord = () => {
+            fields.push(field);
+            records.push({ line: recordLine, fields });
+            fields = [];
+            field = '';
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+
+            if (inQuotes) {
+                if (c === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (c === '"') {
+                    inQuotes = false;
+                } else {
+                    if (c === '\n') {
+                        line++;
+                    }
+                    field += c;
+                }
+            } else if (c === '"') {
+                inQuotes = true;
+            } else if (c === delimiter) {
+                fields.push(field);
+                field = '';
+            } else if (c === '\r' && text[i + 1] === '\n') {
+                // CRLF: handled by the \n branch
+            } else if (c === '\n' || c === '\r') {
+                endRecord();
+                line++;
+                recordLine = line;
+            } else {
+                field += c;
+            }
+        }
+
+        if (field !== '' || fields.length > 0) {
+            endRecord();
+        }
+
+        if (inQuotes) {
+            throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+        }
+
+        return records;
+    }
+
+    /**
+     * Parse CSV content into a header row and data records
+     * @param {string} text - Raw file content
+     * @param {Object} options - Parse options
+     * @param {string} options.delimiter - Force a delimiter instead of detecting it
+     * @returns {Object} - { headers, records, delimiter }; blank lines are skipped
+     */
+    parse(text, options = {}) {
+        const content = this.stripBOM(text);
+        const delimiter = options.delimiter || this.detectDelimiter(content);
+
+        const records = this.parseRecords(content, delimiter)
+            .filter(record => record.fields.some(value => value.trim() !== ''));
+
+        if (records.length < 2) {
+            throw new Error('CSV file is empty or has only headers');
+        }
+
+        const headers = records[0].fields.map(h => h.trim());
+
+        return { headers, records: records.slice(1), delimiter };
+    }
+
+    /**
+     * Check for an explicit missing-value marker (empty, NA, N/A, NaN, null, -)
+     * @param {string} value - Cell text
+     * @returns {boolean} - True if the cell is missing
+     */
+    isMissing(value) {
+        return /^(|na|n\/a|nan|null|none|-)$/i.test(value.trim());
+    }
+
+    /**
+     * Parse a numeric cell
+     * Accepts thousands separators ("4,123.45") and, for ';'-delimited files, decimal commas ("4123,45").
+     * @param {string} value - Cell text
+     * @param {string} delimiter - File delimiter
+     * @returns {number|null} - Number, or null if the cell is not numeric
+     */
+    parseNumber(value, delimiter = ',') {
+        let text = value.trim();
+        if (text === '') {
+            return null;
+        }
+
+        if (/^[+-]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(text)) {
+            text = text.replace(/,/g, '');
+        } else if (delimiter === ';' && /^[+-]?\d+(\.\d{3})*,\d+$/.test(text)) {
+            text = text.replace(/\./g, '').replace(',', '.');
+        }
+
+        const number = Number(text);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    /**
+     * Work out the day/month order of a column of slash or dot dates
+     * @param {Array<string>} values - Date cells
+     * @returns {string} - 'dmy' or 'mdy'
+     */
+    detectDateOrder(values) {
+        let dayFirst = 0;
+        let monthFirst = 0;
+
+        values.forEach(value => {
+            const match = value.trim().match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+            if (match) {
+                if (Number(match[1]) > 12) dayFirst++;
+                if (Number(match[2]) > 12) monthFirst++;
+            }
+        });
+
+        if (dayFirst > 0 && monthFirst === 0) {
+            return 'dmy';
+        }
+        if (monthFirst > 0 && dayFirst === 0) {
+            return 'mdy';
+        }
+
+        // Ambiguous: dotted dates are European, slashed dates are US
+        const dotted = values.some(value => /^\d{1,2}\.\d{1,2}\.\d{2,4}/.test(value.trim()));
+        return dotted ? 'dmy' : 'mdy';
+    }
+
+    /**
+     * Parse a date cell into a UTC timestamp
+     * Supports ISO (YYYY-MM-DD[THH:MM[:SS]]), YYYY/MM/DD, US (MM/DD/YYYY) and EU (DD.MM.YYYY, DD/MM/YYYY).
+     * @param {string} value - Date cell
+     * @param {string} order - 'mdy' or 'dmy' for day/month-first formats
+     * @returns {number|null} - Milliseconds since epoch (UTC midnight for dates), or null if invalid
+     */
+    parseDate(value, order = 'mdy') {
+        const text = value.trim();
+        let year;
+        let month;
+        let day;
+        let time = [0, 0, 0];
+
+        let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+        if (match) {
+            [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+            if (match[4] !== undefined) {
+                time = [Number(match[4]), Number(match[5]), Number(match[6] || 0)];
+            }
+        } else {
+            match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/);
+            if (!match) {
+                return null;
+            }
+
+            const first = Number(match[1]);
+            const second = Number(match[2]);
+            [month, day] = order === 'dmy' ? [second, first] : [first, second];
+            year = Number(match[3]);
+
+            if (match[3].length === 2) {
+                year += year < 50 ? 2000 : 1900;
+            }
+        }
+
+        const timestamp = Date.UTC(year, month - 1, day, ...time);
+        const date = new Date(timestamp);
+
+        // Reject rolled-over dates such as 2023-02-30
+        if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+            return null;
+        }
+
+        return timestamp;
+    }
+
+    /**
+     * Format a timestamp as YYYY-MM-DD
+     * @param {number} timestamp - Milliseconds since epoch
+     * @returns {string} - ISO date
+     */
+    formatDate(timestamp) {
+        return new Date(timestamp).toISOString().split('T')[0];
+    }
+}
+
+// Export singleton instance
+export const csvParser = new CSVParser();
+export { CSVParser };
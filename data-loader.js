@@ -4,131 +4,608 @@
  * Handles CSV parsing, normalization, and dataset preparation
  */
 
+import { csvParser } from './csv-parser.js';
+import { GapHandler } from './gap-handler.js';
+import { createScaler, restoreScaler } from './scalers.js';
+import { toTargetSeries, reconstructPrices } from './target-transforms.js';
+import { featureEngineer } from './features.js';
+import { createRandom, resolveSeed } from './random.js';
+
+// Price columns of the primary source scaled against the window's last close in per-window mode
+const WINDOW_PRICE_COLUMNS = /^(open|high|low|close|adj[ _]?close)$/i;
+
 class DataLoader {
     constructor() {
         this.data = null;
         this.featureColumns = [];
-        this.targetColumn = 'Close'; // S&P 500 closing price
+        this.targetColumn = 'Close'; // S&P 500 closing price unless selectColumns picks another
         this.sequenceLength = 60; // 60-day window
         this.forecastDays = 5; // Predict next 5 days
         this.trainTestSplit = 0.8;
+        this.validationRatio = 0.1; // Tail share of the training windows held out for early stopping
+        this.scalingMethod = 'minmax';
+        this.targetTransform = 'price'; // 'price', 'simple' or 'log' returns, or 'diff'
         this.normalizationParams = {};
+        this.normalizationRanges = {}; // Range of each series over the rows the scalers were fitted on
+        this.normalizationLocked = false;
+        this.splitIndex = undefined;
+        this.rejectedRows = [];
+        this.parseReport = null;
+        this.gapReport = null;
+        this.engineeredFeatures = []; // Feature ids from features.js
+        this.baseData = null;
+        this.baseFeatureColumns = null;
+        this.featureReport = null;
+        this.parsedData = null; // Rows as parsed (and joined), before column selection
+        this.sources = [];
+        this.availableColumns = [];
     }
 
     /**
-     * Load and parse CSV file from file input
-     * @param {File} file - CSV file object
-     * @returns {Promise<Array>} - Parsed data array
+     * Parse CSV data and extract features
+     * @param {string} csvText - CSV content
      */
-    async loadCSV(file) {
-        return new Promise((resolve, reject) => {
-            if (!file) {
-                reject(new Error('No file provided'));
-                return;
-            }
+    parseCSV(csvText) {
+        this.parseSources([{ name: 'data', text: csvText }]);
+    }
 
-            const reader = new FileReader();
+    /**
+     * Parse one or more CSV sources, join them on date and pick default columns
+     * Columns of every source after the first are prefixed with the source name (e.g. VIX_Close).
+     * Rows are sorted by date and deduplicated; rows that cannot be parsed
+     * are skipped and listed in this.rejectedRows with their line numbers.
+     * Empty or NA cells are kept as null for handleGaps.
+     * @param {Array<Object>} sources - [{ name, text }], primary series first
+     * @param {Object} options - Join options
+     * @param {string} options.join - 'inner' (dates in every source) or 'outer' (dates in any source)
+     * @param {boolean} options.fillForward - Forward-fill exogenous columns across dates they lack (outer join)
+     * @param {string} options.targetColumn - Target column (defaults to the current one if present, else Close)
+     */
+    parseSources(sources, options = {}) {
+        console.log('Parsing CSV data...');
+        
+        // New data invalidates any restored normalization
+        this.normalizationParams = {};
+        this.normalizationRanges = {};
+        this.normalizationLocked = false;
+        this.rejectedRows = [];
+        
+        const tables = sources.map((source, index) => {
+            const prefix = index === 0 ? '' : `${source.name.replace(/[^\w^]+/g, '_')}_`;
+            const table = this.parseTable(source.text, prefix);
             
-            reader.onload = (e) => {
-                try {
-                    const csvData = e.target.result;
-                    this.parseCSV(csvData);
-                    console.log(`Loaded ${this.data.length} rows with features: ${this.featureColumns.join(', ')}`);
-                    resolve(this.data);
-                } catch (error) {
-                    console.error('CSV parsing error:', error);
-                    reject(error);
-                }
-            };
+            if (sources.length > 1) {
+                table.rejectedRows.forEach(row => { row.source = source.name; });
+            }
+            this.rejectedRows.push(...table.rejectedRows);
             
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsText(file);
+            return { name: source.name, primary: index === 0, ...table };
         });
+        
+        const rows = tables.length === 1 ? tables[0].rows : this.joinSources(tables, options);
+        if (rows.length === 0) {
+            throw new Error('No valid rows found in the CSV data');
+        }
+        
+        this.sources = tables.map(({ name, primary, columns, rows }) => ({ name, primary, columns, rows: rows.length }));
+        this.availableColumns = tables.flatMap(table => table.columns);
+        this.parsedData = rows;
+        
+        this.selectColumns(options.targetColumn);
+        this.reportParse(tables.reduce((sum, table) => sum + table.records, 0), tables[0].delimiter);
     }
 
     /**
-     * Parse CSV data and extract features
+     * Parse a single CSV into rows of numeric columns
      * @param {string} csvText - CSV content
+     * @param {string} prefix - Prefix for column names
+     * @returns {Object} - { rows, columns, hasDates, rejectedRows, records, delimiter }
      */
-    parseCSV(csvText) {
-        console.log('Parsing CSV data...');
-        
-        const lines = csvText.trim().split('\n').filter(line => line.trim() !== '');
-        if (lines.length < 2) {
-            throw new Error('CSV file is empty or has only headers');
-        }
-
-        // Handle headers - try comma separation first
-        const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
+    parseTable(csvText, prefix = '') {
+        const { headers, records, delimiter } = csvParser.parse(csvText);
+        const rejectedRows = [];
+        const reject = (line, reason) => rejectedRows.push({ line, reason });
+        const result = { columns: [], hasDates: false, rejectedRows, records: records.length, delimiter };
         
         // If we only have one column, it's likely just prices
         if (headers.length === 1) {
-            console.log('Single column detected - assuming price data only');
-            this.featureColumns = ['Close'];
+            const column = `${prefix}Close`;
+            console.log(`Single column detected (${headers[0]}) - assuming price data only`);
             
             const rows = [];
-            for (let i = 1; i < lines.length; i++) {
-                const value = parseFloat(lines[i].trim().replace(/"/g, ''));
-                if (!isNaN(value) && value > 0) {
-                    rows.push({
-                        'Close': value,
-                        'Date': `Day ${i}` // Generate placeholder dates
-                    });
+            records.forEach(({ line, fields }) => {
+                if (csvParser.isMissing(fields[0])) {
+                    rows.push({ [column]: null });
+                    return;
                 }
-            }
+                const value = csvParser.parseNumber(fields[0], delimiter);
+                if (value === null || value <= 0) {
+                    reject(line, `invalid price "${fields[0]}"`);
+                } else {
+                    rows.push({ [column]: value });
+                }
+            });
             
-            this.data = rows;
-            return;
+            return { ...result, rows, columns: [column] };
         }
 
-        // Multi-column CSV - identify feature columns
-        this.featureColumns = headers.filter(h => 
-            h !== 'Date' && 
-            h !== this.targetColumn && 
-            h.toLowerCase().includes('price') || 
-            h.toLowerCase().includes('close') ||
-            h.toLowerCase().includes('value')
-        );
+        // Multi-column CSV - find the date column and the numeric columns
+        const dateIndex = headers.findIndex(h => /^(date|datetime|time|timestamp)$/i.test(h));
+        
+        // Text columns (tickers, notes) are ignored rather than rejecting every row
+        const isNumericColumn = index => {
+            const values = records.map(record => record.fields[index] || '').filter(v => v.trim() !== '');
+            const numbers = values.filter(v => csvParser.parseNumber(v, delimiter) !== null);
+            return values.length > 0 && numbers.length >= values.length / 2;
+        };
+        const numericIndices = headers.map((h, index) => index)
+            .filter(index => index !== dateIndex && isNumericColumn(index));
         
-        // If no feature columns found, use all numeric columns except Date
-        if (this.featureColumns.length === 0) {
-            this.featureColumns = headers.filter(h => h !== 'Date');
+        if (numericIndices.length === 0) {
+            throw new Error('CSV file has no numeric columns');
         }
         
-        console.log('Feature columns identified:', this.featureColumns);
+        const columns = numericIndices.map(index => `${prefix}${headers[index]}`);
+        const dateOrder = dateIndex >= 0
+            ? csvParser.detectDateOrder(records.map(record => record.fields[dateIndex] || ''))
+            : null;
 
         // Parse data rows
         const rows = [];
-        for (let i = 1; i < lines.length; i++) {
-            const values = lines[i].split(',').map(v => v.trim().replace(/"/g, ''));
+        records.forEach(({ line, fields }) => {
+            if (fields.length !== headers.length) {
+                reject(line, `expected ${headers.length} fields but found ${fields.length}`);
+                return;
+            }
+            
             const row = {};
             
-            headers.forEach((header, index) => {
-                if (index < values.length) {
-                    const val = values[index];
-                    const numVal = parseFloat(val);
-                    // Use numeric value if valid, otherwise use the string
-                    row[header] = !isNaN(numVal) ? numVal : val;
+            if (dateIndex >= 0) {
+                const timestamp = csvParser.parseDate(fields[dateIndex], dateOrder);
+                if (timestamp === null) {
+                    reject(line, `invalid date "${fields[dateIndex]}"`);
+                    return;
                 }
-            });
+                row.timestamp = timestamp;
+                row.Date = csvParser.formatDate(timestamp);
+            }
             
-            // Make sure we have the target column
-            if (!row.hasOwnProperty(this.targetColumn) && this.featureColumns.length > 0) {
-                row[this.targetColumn] = row[this.featureColumns[0]];
+            for (let i = 0; i < numericIndices.length; i++) {
+                const index = numericIndices[i];
+                if (csvParser.isMissing(fields[index])) {
+                    row[columns[i]] = null;
+                    continue;
+                }
+                const value = csvParser.parseNumber(fields[index], delimiter);
+                if (value === null) {
+                    reject(line, `invalid number "${fields[index]}" in ${headers[index]}`);
+                    return;
+                }
+                row[columns[i]] = value;
             }
             
+            row.line = line;
             rows.push(row);
+        });
+        
+        const cleaned = dateIndex >= 0 ? this.sortAndDeduplicate(rows, rejectedRows) : rows;
+        cleaned.forEach(row => delete row.line);
+        
+        return { ...result, rows: cleaned, columns, hasDates: dateIndex >= 0 };
+    }
+
+    /**
+     * Sort rows by date and keep the last row for each duplicated date
+     * @param {Array} rows - Parsed rows with timestamp and line
+     * @param {Array} rejectedRows - Receives the replaced duplicates
+     * @returns {Array} - Sorted, unique rows
+     */
+    sortAndDeduplicate(rows, rejectedRows) {
+        const byDate = new Map();
+        
+        rows.forEach(row => {
+            const previous = byDate.get(row.timestamp);
+            if (previous) {
+                rejectedRows.push({
+                    line: previous.line,
+                    reason: `duplicate date ${row.Date} (kept line ${row.line})`
+                });
+            }
+            byDate.set(row.timestamp, row);
+        });
+        
+        return [...byDate.values()].sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Align several parsed sources on date
+     * Primary columns missing on a date stay null for handleGaps; exogenous columns
+     * are forward-filled when fillForward is set.
+     * @param {Array<Object>} tables - Output of parseTable per source, primary first
+     * @param {Object} options - { join: 'inner' | 'outer', fillForward }
+     * @returns {Array} - Joined rows, oldest first
+     */
+    joinSources(tables, options = {}) {
+        const { join = 'inner', fillForward = true } = options;
+        
+        if (join !== 'inner' && join !== 'outer') {
+            throw new Error(`Unknown join "${join}" (expected inner or outer)`);
+        }
+        
+        const undated = tables.filter(table => !table.hasDates).map(table => table.name);
+        if (undated.length > 0) {
+            throw new Error(`Every file needs a date column to be joined (missing in ${undated.join(', ')})`);
+        }
+        
+        const byDate = tables.map(table => new Map(table.rows.map(row => [row.timestamp, row])));
+        let timestamps = [...new Set(tables.flatMap(table => table.rows.map(row => row.timestamp)))];
+        if (join === 'inner') {
+            timestamps = timestamps.filter(t => byDate.every(rows => rows.has(t)));
+        }
+        timestamps.sort((a, b) => a - b);
+        
+        const last = {};
+        const rows = timestamps.map(timestamp => {
+            const row = { timestamp, Date: csvParser.formatDate(timestamp) };
+            
+            tables.forEach((table, i) => {
+                const source = byDate[i].get(timestamp);
+                table.columns.forEach(column => {
+                    let value = source ? source[column] : null;
+                    if (!table.primary && fillForward) {
+                        value = value ?? last[column] ?? null;
+                        last[column] = value;
+                    }
+                    row[column] = value;
+                });
+            });
+            
+            return row;
+        });
+        
+        console.log(
+            `Joined ${tables.length} sources (${join}): ` +
+            `${tables.map(table => `${table.name} ${table.rows.length}`).join(', ')} -> ${rows.length} rows`
+        );
+        
+        return rows;
+    }
+
+    /**
+     * Choose the target column and the input columns
+     * Restarts from the parsed rows, so gap handling and feature engineering run again.
+     * @param {string} targetColumn - Target column (defaults to the current target if present, else Close)
+     * @param {Array<string>} inputColumns - Input columns besides the target (defaults to price-like
+     *                                       primary columns plus each exogenous source's close)
+     */
+    selectColumns(targetColumn = null, inputColumns = null) {
+        if (!this.parsedData) {
+            throw new Error('No data loaded');
+        }
+        
+        const available = this.availableColumns;
+        const target = targetColumn
+            || (available.includes(this.targetColumn) ? this.targetColumn : this.getDefaultTarget());
+        
+        if (!available.includes(target)) {
+            throw new Error(`Column ${target} not found (available: ${available.join(', ')})`);
+        }
+        
+        const inputs = inputColumns || this.getDefaultInputs(target);
+        const unknown = inputs.filter(column => !available.includes(column));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown input column(s): ${unknown.join(', ')}`);
         }
         
+        this.targetColumn = target;
+        // The target's own history is always an input
+        this.featureColumns = [target, ...inputs.filter(column => column !== target)];
+        this.data = this.parsedData;
+        
+        this.gapReport = null;
+        this.baseData = null;
+        this.baseFeatureColumns = null;
+        this.featureReport = null;
+        this.normalizationParams = {};
+        this.normalizationRanges = {};
+        this.normalizationLocked = false;
+        
+        console.log(`Target column: ${target}`);
+        console.log('Feature columns identified:', this.featureColumns);
+    }
+
+    /**
+     * Default target: the primary source's Close, else its first price-like or numeric column
+     * @returns {string} - Column name
+     */
+    getDefaultTarget() {
+        const primary = this.sources.find(source => source.primary).columns;
+        return primary.find(c => c.toLowerCase() === 'close')
+            || primary.find(c => /price|close|value/i.test(c))
+            || primary[0];
+    }
+
+    /**
+     * Default inputs: price-like primary columns (all primary columns if none)
+     * plus the close of every exogenous source
+     * @param {string} target - Target column
+     * @returns {Array<string>} - Input columns
+     */
+    getDefaultInputs(target) {
+        const isPriceLike = column => /price|close|value/i.test(column);
+        const inputs = [];
+        
+        this.sources.forEach(source => {
+            const columns = source.columns.filter(column => column !== target);
+            if (source.primary) {
+                const priceLike = columns.filter(isPriceLike);
+                inputs.push(...(priceLike.length > 0 ? priceLike : columns));
+            } else if (columns.length > 0) {
+                inputs.push(columns.find(c => /_close$/i.test(c)) || columns.find(isPriceLike) || columns[0]);
+            }
+        });
+        
+        return inputs;
+    }
+
+    /**
+     * Log and store a summary of the last parse
+     * @param {number} recordCount - Number of data records in the files
+     * @param {string} delimiter - Detected delimiter of the primary file
+     */
+    reportParse(recordCount, delimiter) {
+        this.rejectedRows.sort((a, b) => a.line - b.line);
+        this.parseReport = {
+            delimiter,
+            records: recordCount,
+            accepted: this.data.length,
+            rejected: this.rejectedRows.length,
+            sources: this.sources
+        };
+        
+        console.log(`Parsed ${this.data.length} data rows (${this.rejectedRows.length} rejected)`);
+        this.rejectedRows.slice(0, 10).forEach(({ line, reason, source }) => {
+            console.warn(`${source ? `${source} ` : ''}Line ${line}: ${reason}`);
+        });
+    }
+
+    /**
+     * Fill or drop missing values and check dates against a trading calendar
+     * Masked columns add a <column>_missing indicator feature.
+     * @param {Object} options - GapHandler options (defaultStrategy, strategies, calendar, fillCalendarGaps)
+     * @returns {Object} - Gap report
+     */
+    handleGaps(options = {}) {
+        if (!this.data || this.data.length === 0) {
+            throw new Error('No data loaded');
+        }
+
+        // Engineered columns are rebuilt afterwards from the cleaned rows
+        if (this.baseData) {
+            this.data = this.baseData;
+            this.featureColumns = this.baseFeatureColumns;
+        }
+
+        const handler = new GapHandler(options);
+        const { rows, columns, report } = handler.process(this.data, this.featureColumns);
+
+        if (rows.length === 0) {
+            throw new Error('No rows left after gap handling');
+        }
+
         this.data = rows;
-        console.log(`Parsed ${rows.length} data rows`);
+        this.featureColumns = columns;
+        this.gapReport = report;
+        this.baseData = null;
+        this.baseFeatureColumns = null;
+        this.featureReport = null;
+
+        const missing = Object.values(report.columns).reduce((sum, c) => sum + c.missing, 0);
+        console.log(
+            `Gap handling: ${missing} missing values, ${report.insertedRows} rows inserted, ` +
+            `${report.droppedRows} rows dropped, ${report.missingTradingDays} trading days missing`
+        );
+
+        return report;
+    }
+
+    /**
+     * Add engineered features (indicators, calendar) to the cleaned rows
+     * Always starts from the rows as they were before any earlier engineering,
+     * so the selection can be changed or restored from a saved model.
+     * @param {Array<string>} ids - Feature ids (defaults to this.engineeredFeatures)
+     * @returns {Object} - Feature report { features, skipped, columns, droppedRows }
+     */
+    engineerFeatures(ids = this.engineeredFeatures) {
+        if (!this.data || this.data.length === 0) {
+            throw new Error('No data loaded');
+        }
+
+        // Indicators need gap-free rows
+        if (!this.gapReport) {
+            this.handleGaps();
+        }
+
+        if (!this.baseData) {
+            this.baseData = this.data;
+            this.baseFeatureColumns = [...this.featureColumns];
+        }
+
+        const { rows, columns, report } = featureEngineer.apply(this.baseData, ids, this.targetColumn);
+        if (rows.length === 0) {
+            throw new Error('Not enough rows to compute the selected features');
+        }
+
+        this.data = rows;
+        this.featureColumns = [...this.baseFeatureColumns, ...columns];
+        this.engineeredFeatures = [...ids];
+        this.featureReport = report;
+
+        if (columns.length > 0) {
+            console.log(`Engineered ${columns.length} features, dropped ${report.droppedRows} warm-up rows`);
+        }
+
+        return report;
+    }
+
+    /**
+     * Feature columns the loaded data would have with a given feature selection
+     * @param {Array<string>} ids - Feature ids
+     * @returns {Array<string>} - Base plus derived feature columns
+     */
+    getFeatureColumnsFor(ids) {
+        const rows = this.baseData || this.data;
+        const base = this.baseFeatureColumns || this.featureColumns;
+        return [...base, ...featureEngineer.columnsFor(ids, Object.keys(rows[0]))];
+    }
+
+    /**
+     * Append new trading days and rebuild the cleaned and engineered rows
+     * Rows dated on or before the last loaded date are skipped, so the whole updated file
+     * can be passed too; undated rows are all appended. The fitted scalers are kept and locked,
+     * and new values outside the range they were fitted on are reported as drift.
+     * @param {string} csvText - CSV with the loaded columns (exogenous ones under their prefixed names)
+     * @param {Object} gapOptions - GapHandler options, as used when the data was loaded
+     * @returns {Object} - { added, skipped, rejectedRows, firstDate, lastDate, rows, drift }
+     */
+    appendRows(csvText, gapOptions = {}) {
+        if (!this.parsedData || !this.data) {
+            throw new Error('No data loaded');
+        }
+        if (Object.keys(this.normalizationParams).length === 0) {
+            throw new Error('Preprocess the data or load a model before appending rows');
+        }
+
+        const table = this.parseTable(csvText);
+        const selected = (this.baseFeatureColumns || this.featureColumns)
+            .filter(column => this.availableColumns.includes(column));
+        const missing = selected.filter(column => !table.columns.includes(column));
+        if (missing.length > 0) {
+            throw new Error(`New rows lack column(s): ${missing.join(', ')}`);
+        }
+
+        const last = this.parsedData[this.parsedData.length - 1];
+        const dated = last.timestamp !== undefined;
+        if (dated !== table.hasDates) {
+            throw new Error(dated
+                ? 'New rows need a date column like the loaded data'
+                : 'The loaded data has no dates, so new rows cannot have a date column');
+        }
+
+        const newRows = (dated ? table.rows.filter(row => row.timestamp > last.timestamp) : table.rows)
+            .map(row => {
+                const appended = dated ? { timestamp: row.timestamp, Date: row.Date } : {};
+                this.availableColumns.forEach(column => {
+                    appended[column] = row[column] ?? null;
+                });
+                return appended;
+            });
+
+        const summary = {
+            added: newRows.length,
+            skipped: table.rows.length - newRows.length,
+            rejectedRows: table.rejectedRows,
+            firstDate: newRows.length > 0 ? newRows[0].Date ?? null : null,
+            lastDate: newRows.length > 0 ? newRows[newRows.length - 1].Date ?? null : null
+        };
+        if (newRows.length === 0) {
+            return { ...summary, rows: 0, drift: null };
+        }
+
+        // Gap handling and features run again over all rows; undo everything if that fails
+        const previous = {
+            parsedData: this.parsedData,
+            data: this.data,
+            featureColumns: this.featureColumns,
+            gapReport: this.gapReport,
+            baseData: this.baseData,
+            baseFeatureColumns: this.baseFeatureColumns,
+            featureReport: this.featureReport
+        };
+
+        try {
+            this.parsedData = [...this.parsedData, ...newRows];
+            this.data = this.parsedData;
+            this.featureColumns = selected;
+            this.gapReport = null;
+            this.baseData = null;
+            this.baseFeatureColumns = null;
+            this.featureReport = null;
+
+            this.handleGaps(gapOptions);
+            this.engineerFeatures(this.engineeredFeatures);
+
+            if (this.featureColumns.join() !== previous.featureColumns.join()) {
+                throw new Error(
+                    `The new rows change the feature columns to [${this.featureColumns.join(', ')}]; ` +
+                    'retrain instead of updating'
+                );
+            }
+        } catch (error) {
+            Object.assign(this, previous);
+            throw error;
+        }
+
+        this.normalizationLocked = true;
+        const rows = Math.max(this.data.length - previous.data.length, 0);
+        console.log(`Appended ${newRows.length} rows (${summary.skipped} already loaded)`);
+
+        return { ...summary, rows, drift: rows > 0 ? this.detectDrift(rows) : null };
+    }
+
+    /**
+     * Compare the last rows with the range each feature's scaler was fitted on
+     * Per-window price columns have no fitted range and are not checked.
+     * @param {number} count - Number of trailing rows to check
+     * @returns {Object} - { rows, drifted: [column], columns: [{ column, min, max, newMin, newMax,
+     *   outside, excess }] } with excess the largest overshoot as a share of the fitted range
+     */
+    detectDrift(count) {
+        const { features } = this.extractSeries();
+        const columns = [];
+
+        features.forEach((values, index) => {
+            const name = `feature_${index}`;
+            const params = this.normalizationParams[name];
+            if (!params || params.method === 'window') {
+                return;
+            }
+            const minmax = (params.method || 'minmax') === 'minmax';
+            const range = this.normalizationRanges[name] || (minmax ? { min: params.min, max: params.max } : null);
+            if (!range) {
+                return;
+            }
+
+            const recent = values.slice(-count);
+            const newMin = Math.min(...recent);
+            const newMax = Math.max(...recent);
+            columns.push({
+                column: this.featureColumns[index],
+                min: range.min,
+                max: range.max,
+                newMin,
+                newMax,
+                outside: recent.filter(value => value < range.min || value > range.max).length,
+                excess: Math.max(range.min - newMin, newMax - range.max, 0) / ((range.max - range.min) || 1)
+            });
+        });
+
+        const drifted = columns.filter(column => column.outside > 0).map(column => column.column);
+        if (drifted.length > 0) {
+            console.warn(`Drift: ${drifted.join(', ')} outside the range the scalers were fitted on`);
+        }
+
+        return { rows: count, drifted, columns };
     }
 
     /**
      * Generate sample CSV data for S&P 500
+     * @param {number} seed - Seed for the price path (default: global seed or a new one)
      * @returns {string} - Sample CSV content
      */
-    generateSampleCSV() {
+    generateSampleCSV(seed = null) {
+        const random = createRandom(resolveSeed(seed));
+        
         // Generate realistic S&P 500 data (last 1000 trading days)
         let startPrice = 4000;
         let volatility = 0.015;
@@ -144,11 +621,11 @@ class DataLoader {
             const open = startPrice;
             
             // Generate price movement
-            const dailyReturn = (Math.random() - 0.5) * 2 * volatility + drift;
+            const dailyReturn = (random() - 0.5) * 2 * volatility + drift;
             const close = open * (1 + dailyReturn);
-            const high = Math.max(open, close) * (1 + Math.random() * 0.01);
-            const low = Math.min(open, close) * (1 - Math.random() * 0.01);
-            const volume = Math.floor(Math.random() * 1000000) + 500000;
+            const high = Math.max(open, close) * (1 + random() * 0.01);
+            const low = Math.min(open, close) * (1 - random() * 0.01);
+            const volume = Math.floor(random() * 1000000) + 500000;
             
             csvContent += `${dateStr},${open.toFixed(2)},${high.toFixed(2)},${low.toFixed(2)},${close.toFixed(2)},${volume}\n`;
             
@@ -163,27 +640,9 @@ class DataLoader {
         return csvContent;
     }
 
-    /**
-     * Download sample CSV file
-     */
-    downloadSampleCSV() {
-        const csvContent = this.generateSampleCSV();
-        const blob = new Blob([csvContent], { type: 'text/csv' });
-        const url = URL.createObjectURL(blob);
-        
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'sp500_sample_data.csv';
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        
-        console.log('Sample CSV downloaded');
-    }
-
     /**
      * Preprocess data for model training
+     * Scalers are fitted only on the rows covered by the training windows and their targets.
      * @returns {Object} - Processed datasets
      */
     preprocessData() {
@@ -191,88 +650,283 @@ class DataLoader {
             throw new Error('No data loaded');
         }
 
+        // Missing values must never reach the scaler
+        if (!this.gapReport) {
+            this.handleGaps();
+        }
+        if (!this.featureReport) {
+            this.engineerFeatures();
+        }
+
         console.log(`Preprocessing ${this.data.length} data points...`);
 
-        // Extract features and target
-        const features = this.featureColumns.map(col => 
-            this.data.map(row => row[col])
-        );
-        
-        const target = this.data.map(row => row[this.targetColumn]);
+        if (this.scalingMethod === 'window' && this.targetTransform !== 'price') {
+            throw new Error('Per-window scaling needs price targets; choose another scaler for returns or differences');
+        }
+
+        const { features, target } = this.extractSeries();
 
         console.log(`Features shape: ${features.length} x ${features[0].length}`);
         console.log(`Target shape: ${target.length}`);
 
-        // Normalize data
-        const normalizedFeatures = this.normalizeFeatures(features);
-        const normalizedTarget = this.normalizeArray(target, 'target');
+        // Split before fitting so test prices never shape the scalers
+        const totalSamples = this.countWindows();
+        this.splitIndex = Math.floor(totalSamples * this.trainTestSplit);
+        
+        if (!this.normalizationLocked) {
+            const fitRows = this.getFitRowCount(this.splitIndex);
+            this.normalizationParams = this.fitScalers(features, target, fitRows);
+            this.normalizationRanges = this.fitRanges(features, target, fitRows);
+        }
 
-        // Create sequences for multi-day prediction
-        return this.createMultiDaySequences(normalizedFeatures, normalizedTarget);
+        return this.createMultiDaySequences(features, target);
     }
 
     /**
-     * Normalize feature arrays
-     * @param {Array} features - Array of feature arrays
-     * @returns {Array} - Normalized features
+     * Extract feature and target series from the loaded rows
+     * With a return or difference target the target column is transformed in the inputs too,
+     * so recursive forecasts feed predictions back in the same units, and the first row is dropped.
+     * @returns {Object} - { features: [feature][row], target: [row] }
      */
-    normalizeFeatures(features) {
-        return features.map((featureArray, index) => 
-            this.normalizeArray(featureArray, `feature_${index}`)
-        );
+    extractSeries() {
+        const offset = this.getRowOffset();
+        const target = toTargetSeries(this.data.map(row => row[this.targetColumn]), this.targetTransform);
+
+        return {
+            features: this.featureColumns.map(col => col === this.targetColumn
+                ? target
+                : this.data.slice(offset).map(row => row[col])),
+            target
+        };
+    }
+
+    /**
+     * Rows lost at the start of the series by the target transform
+     * @returns {number} - 1 for returns and differences, 0 for prices
+     */
+    getRowOffset() {
+        return this.targetTransform === 'price' ? 0 : 1;
+    }
+
+    /**
+     * Number of complete windows (inputs plus targets) in the loaded data
+     * @returns {number} - Window count
+     */
+    countWindows() {
+        const totalSamples = this.data.length - this.getRowOffset() - this.sequenceLength - this.forecastDays + 1;
+        if (totalSamples < 2) {
+            throw new Error(
+                `Need at least ${this.getRowOffset() + this.sequenceLength + this.forecastDays + 1} rows for ` +
+                `${this.sequenceLength}-day windows and a ${this.forecastDays}-day horizon`
+            );
+        }
+        return totalSamples;
+    }
+
+    /**
+     * Rows seen by the first n windows, including their targets
+     * @param {number} windowCount - Number of training windows
+     * @returns {number} - Row count
+     */
+    getFitRowCount(windowCount) {
+        return windowCount + this.sequenceLength + this.forecastDays - 1;
     }
 
     /**
-     * Normalize an array and store parameters
-     * @param {Array} array - Array to normalize
-     * @param {string} name - Name for parameter storage
+     * Fit one scaler per feature plus the target on the leading rows
+     * With per-window scaling only the target and the primary price columns are scaled per
+     * window; every other feature keeps a min-max scaler fitted like the global methods.
+     * @param {Array} features - Raw feature arrays
+     * @param {Array} target - Raw target values
+     * @param {number} fitRows - Number of leading rows to fit on
+     * @returns {Object} - Scaler states keyed feature_<i> and target
+     */
+    fitScalers(features, target, fitRows) {
+        const fit = (values, name, method = this.scalingMethod) => {
+            const train = values.slice(0, fitRows);
+            const invalid = train.findIndex(val => typeof val !== 'number' || !Number.isFinite(val));
+            if (invalid >= 0) {
+                throw new Error(`${name} has a missing or non-numeric value at row ${invalid}`);
+            }
+            return createScaler(method).fit(train).getState();
+        };
+
+        const params = {};
+        features.forEach((featureArray, index) => {
+            const column = this.featureColumns[index];
+            params[`feature_${index}`] = fit(featureArray, column, this.getFeatureScaling(column));
+        });
+        params.target = fit(target, this.targetColumn);
+
+        return params;
+    }
+
+    /**
+     * Scaling method for an input column
+     * @param {string} column - Feature column
+     * @returns {string} - Scaling method
+     */
+    getFeatureScaling(column) {
+        if (this.scalingMethod !== 'window') {
+            return this.scalingMethod;
+        }
+        return column === this.targetColumn || WINDOW_PRICE_COLUMNS.test(column) ? 'window' : 'minmax';
+    }
+
+    /**
+     * Range of each series over the rows the scalers are fitted on, kept to detect drift in later rows
+     * @param {Array} features - Raw feature arrays
+     * @param {Array} target - Raw target values
+     * @param {number} fitRows - Number of leading rows the scalers are fitted on
+     * @returns {Object} - { min, max } keyed like the scaler states
+     */
+    fitRanges(features, target, fitRows) {
+        const range = values => {
+            const train = values.slice(0, fitRows);
+            return { min: Math.min(...train), max: Math.max(...train) };
+        };
+
+        const ranges = {};
+        features.forEach((featureArray, index) => {
+            ranges[`feature_${index}`] = range(featureArray);
+        });
+        ranges.target = range(target);
+
+        return ranges;
+    }
+
+    /**
+     * Scale an array with stored parameters
+     * Per-window scaling returns the array unchanged; buildWindows scales each window.
+     * @param {Array} array - Raw values
+     * @param {string} name - Parameter name
+     * @param {Object} params - Scaler states (defaults to the fitted ones)
      * @returns {Array} - Normalized array
      */
-    normalizeArray(array, name) {
-        const min = Math.min(...array);
-        const max = Math.max(...array);
-        
-        // Store normalization parameters
-        this.normalizationParams[name] = { min, max, range: max - min || 1 };
-        
-        return array.map(val => (val - min) / (max - min || 1));
+    normalizeArray(array, name, params = this.normalizationParams) {
+        if (!params[name]) {
+            throw new Error(`Normalization parameters not found for ${name}`);
+        }
+
+        const scaler = restoreScaler(params[name]);
+        return scaler.method === 'window' ? array : scaler.transform(array);
     }
 
     /**
      * Denormalize an array
+     * Target rows with a return or difference transform are turned back into a price path
+     * starting from the reference close.
      * @param {Array} normalizedArray - Normalized array
      * @param {string} name - Parameter name
+     * @param {number} reference - Raw last target price of the window (per-window scaling and target transforms)
+     * @param {Object} params - Scaler states (defaults to the fitted ones)
      * @returns {Array} - Denormalized array
      */
-    denormalizeArray(normalizedArray, name) {
-        const params = this.normalizationParams[name];
-        if (!params) {
+    denormalizeArray(normalizedArray, name, reference = null, params = this.normalizationParams) {
+        if (!params[name]) {
             throw new Error(`Normalization parameters not found for ${name}`);
         }
         
-        return normalizedArray.map(val => val * params.range + params.min);
+        const values = restoreScaler(params[name]).inverse(normalizedArray, reference);
+        if (name !== 'target' || this.targetTransform === 'price') {
+            return values;
+        }
+        
+        if (reference === null) {
+            throw new Error(`Rebuilding prices from ${this.targetTransform} targets needs the last close`);
+        }
+        return reconstructPrices(values, reference, this.targetTransform);
     }
 
     /**
-     * Create sequences for multi-day prediction
-     * @param {Array} normalizedFeatures - Normalized features
-     * @param {Array} normalizedTarget - Normalized target
-     * @returns {Object} - Training and testing datasets
+     * Raw target value at the end of a window's input, the reference for per-window scaling
+     * @param {number} windowIndex - Window index in chronological order
+     * @returns {number} - Last observed target price of the window
+     */
+    getWindowReference(windowIndex) {
+        return this.data[windowIndex + this.getRowOffset() + this.sequenceLength - 1][this.targetColumn];
+    }
+
+    /**
+     * Date of the row a window's reference comes from
+     * @param {number} windowIndex - Window index in chronological order
+     * @returns {string|null} - Date, or null when the data has no dates
+     */
+    getWindowDate(windowIndex) {
+        return this.data[windowIndex + this.getRowOffset() + this.sequenceLength - 1].Date ?? null;
+    }
+
+    /**
+     * Create a (row, index) => prices mapper for consecutive windows' target rows
+     * @param {number} firstWindow - Index of the window that row 0 belongs to
+     * @param {Object} params - Scaler states (defaults to the fitted ones)
+     * @returns {Function} - Denormalizer usable with Array.map
+     */
+    createTargetDenormalizer(firstWindow = 0, params = this.normalizationParams) {
+        return (row, index) => this.denormalizeArray(
+            row, 'target', this.getWindowReference(firstWindow + index), params
+        );
+    }
+
+    /**
+     * Cut a chronological validation tail from the training windows
+     * Early stopping and model selection use it, so the test windows are only seen by the final evaluation.
+     * forecastDays - 1 windows are purged so validation targets never overlap fitted targets.
+     * @param {Object} datasets - Output of preprocessData, or { X_train, y_train, forecastDays } for a subset
+     * @param {number} validationRatio - Tail share of the training windows
+     * @returns {Object} - { xFit, yFit, xVal, yVal } tensors; the caller disposes them
+     */
+    splitValidation(datasets, validationRatio = this.validationRatio) {
+        const samples = datasets.X_train.shape[0];
+        const valSize = Math.max(1, Math.floor(samples * validationRatio));
+        const fitSize = samples - valSize - (datasets.forecastDays - 1);
+
+        if (fitSize < 2) {
+            throw new Error(`Not enough training windows (${samples}) for a validation split`);
+        }
+
+        return {
+            xFit: datasets.X_train.slice(0, fitSize),
+            yFit: datasets.y_train.slice(0, fitSize),
+            xVal: datasets.X_train.slice(samples - valSize),
+            yVal: datasets.y_train.slice(samples - valSize)
+        };
+    }
+
+    /**
+     * Build every input window and its multi-day target
+     * @param {Array} features - Raw feature arrays
+     * @param {Array} target - Raw target values
+     * @param {Object} params - Scaler states (defaults to the fitted ones)
+     * @returns {Object} - { sequences, targets } as nested arrays in chronological order
      */
-    createMultiDaySequences(normalizedFeatures, normalizedTarget) {
+    buildWindows(features, target, params = this.normalizationParams) {
+        const scalers = features.map((_, index) => restoreScaler(params[`feature_${index}`]));
+        const targetScaler = restoreScaler(params.target);
+        const perWindow = targetScaler.method === 'window';
+
+        // Per-window price columns are scaled inside the loop against the window's last close
+        const normalizedFeatures = features.map((featureArray, index) => scalers[index].method === 'window'
+            ? featureArray
+            : scalers[index].transform(featureArray));
+        const normalizedTarget = perWindow ? target : targetScaler.transform(target);
+
         const sequences = [];
         const targets = [];
         
-        const totalSamples = normalizedTarget.length - this.sequenceLength - this.forecastDays + 1;
+        const totalSamples = target.length - this.sequenceLength - this.forecastDays + 1;
         
         console.log(`Creating sequences: ${totalSamples} samples`);
         
         for (let i = 0; i < totalSamples; i++) {
+            const last = i + this.sequenceLength - 1;
             const sequence = [];
             for (let j = 0; j < this.sequenceLength; j++) {
                 const timeStep = [];
-                normalizedFeatures.forEach(feature => {
-                    timeStep.push(feature[i + j]);
+                normalizedFeatures.forEach((feature, index) => {
+                    timeStep.push(scalers[index].method === 'window'
+                        ? scalers[index].transformValue(feature[i + j], target[last])
+                        : feature[i + j]);
                 });
                 sequence.push(timeStep);
             }
@@ -283,11 +937,23 @@ class DataLoader {
                 i + this.sequenceLength, 
                 i + this.sequenceLength + this.forecastDays
             );
-            targets.push(nextValues);
+            targets.push(perWindow ? targetScaler.transform(nextValues, target[last]) : nextValues);
         }
+        
+        return { sequences, targets };
+    }
+
+    /**
+     * Create sequences for multi-day prediction
+     * @param {Array} features - Raw feature arrays
+     * @param {Array} target - Raw target values
+     * @returns {Object} - Training and testing datasets
+     */
+    createMultiDaySequences(features, target) {
+        const { sequences, targets } = this.buildWindows(features, target);
 
         // Split into train/test
-        const splitIndex = Math.floor(sequences.length * this.trainTestSplit);
+        const splitIndex = this.splitIndex;
         
         const X_train = sequences.slice(0, splitIndex);
         const y_train = targets.slice(0, splitIndex);
@@ -302,12 +968,131 @@ class DataLoader {
             y_train: tf.tensor2d(y_train),
             X_test: tf.tensor3d(X_test),
             y_test: tf.tensor2d(y_test),
+            ...this.getDatasetInfo()
+        };
+    }
+
+    /**
+     * Get all windows without a train/test split, e.g. for walk-forward backtesting
+     * Scalers are fitted on the first fitWindows windows only, separately from the
+     * loader's own parameters, so the backtest never sees later price levels.
+     * @param {Object} options - Window options
+     * @param {number} options.fitWindows - Windows whose rows fit the scalers (defaults to the train split)
+     * @returns {Object} - { sequences, targets, denormalize(row, windowIndex) } plus dataset shape info and
+     *                     the plain state denormalize uses (references, params, targetTransform)
+     */
+    getAllWindows(options = {}) {
+        if (!this.data || this.data.length === 0) {
+            throw new Error('No data loaded');
+        }
+
+        const { features, target } = this.extractSeries();
+        const totalSamples = this.countWindows();
+        const fitWindows = options.fitWindows ?? Math.floor(totalSamples * this.trainTestSplit);
+        const params = this.fitScalers(features, target, this.getFitRowCount(fitWindows));
+
+        const { sequences, targets } = this.buildWindows(features, target, params);
+        const references = sequences.map((_, windowIndex) => this.getWindowReference(windowIndex));
+
+        return {
+            sequences,
+            targets,
+            denormalize: (row, windowIndex) => this.denormalizeArray(
+                row, 'target', references[windowIndex], params
+            ),
+            references,
+            params,
+            targetTransform: this.targetTransform,
+            ...this.getDatasetInfo()
+        };
+    }
+
+    /**
+     * Get all windows for another window length without changing the loader's own settings
+     * @param {number} sequenceLength - Window length in days
+     * @param {Object} options - Options for getAllWindows
+     * @returns {Object} - Output of getAllWindows for that window length
+     */
+    getWindowsFor(sequenceLength, options = {}) {
+        const previous = this.sequenceLength;
+        this.sequenceLength = sequenceLength;
+        
+        try {
+            return this.getAllWindows(options);
+        } finally {
+            this.sequenceLength = previous;
+        }
+    }
+
+    /**
+     * Shape information shared by every dataset this loader produces
+     * @returns {Object} - Feature names, target index, sequence length and horizon
+     */
+    getDatasetInfo() {
+        return {
             featureNames: this.featureColumns,
+            targetIndex: this.featureColumns.indexOf(this.targetColumn),
             sequenceLength: this.sequenceLength,
             forecastDays: this.forecastDays
         };
     }
 
+    /**
+     * Identify the cleaned rows a run was trained on, before engineered features
+     * Two runs with the same hash saw the same dates and values.
+     * @returns {Object} - { hash, rows, columns, firstDate, lastDate }
+     */
+    getFingerprint() {
+        if (!this.data || this.data.length === 0) {
+            throw new Error('No data loaded');
+        }
+
+        const rows = this.baseData || this.data;
+        const columns = this.baseFeatureColumns || this.featureColumns;
+
+        // FNV-1a over the dates and values
+        let hash = 0x811C9DC5;
+        const update = text => {
+            for (let i = 0; i < text.length; i++) {
+                hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+            }
+        };
+        update(columns.join(','));
+        rows.forEach(row => update(`|${row.Date ?? ''}:${columns.map(column => row[column]).join(',')}`));
+
+        return {
+            hash: (hash >>> 0).toString(16).padStart(8, '0'),
+            rows: rows.length,
+            columns: [...columns],
+            firstDate: rows[0].Date ?? null,
+            lastDate: rows[rows.length - 1].Date ?? null
+        };
+    }
+
+    /**
+     * Get the target prices covered by the training windows' inputs
+     * @returns {Array} - Training target values, oldest first
+     */
+    getTrainTargetValues() {
+        if (this.splitIndex === undefined) {
+            throw new Error('Data has not been split yet');
+        }
+
+        return this.data
+            .slice(0, this.getRowOffset() + this.splitIndex + this.sequenceLength)
+            .map(row => row[this.targetColumn]);
+    }
+
+    /**
+     * Get the last observed target price of consecutive windows
+     * @param {number} firstWindow - Index of the first window
+     * @param {number} count - Number of windows
+     * @returns {Array} - Raw last target value per window
+     */
+    getLastObserved(firstWindow, count) {
+        return Array.from({ length: count }, (_, i) => this.getWindowReference(firstWindow + i));
+    }
+
     /**
      * Get the latest window for prediction
      * @returns {tf.Tensor} - Latest window tensor
@@ -317,15 +1102,16 @@ class DataLoader {
             throw new Error('No data loaded');
         }
 
-        // Get last sequenceLength days of features
-        const latestFeatures = this.featureColumns.map(col => 
-            this.data.slice(-this.sequenceLength).map(row => row[col])
+        // Get last sequenceLength days of features (transformed like the training inputs)
+        const { features, target } = this.extractSeries();
+        const latestFeatures = features.map(featureArray => 
+            featureArray.slice(-this.sequenceLength)
         );
 
-        // Normalize using stored parameters
+        // Normalize using stored parameters (per-window price columns use the last close)
         const normalizedFeatures = latestFeatures.map((featureArray, index) => {
-            const params = this.normalizationParams[`feature_${index}`];
-            return featureArray.map(val => (val - params.min) / params.range);
+            const scaler = restoreScaler(this.normalizationParams[`feature_${index}`]);
+            return scaler.transform(featureArray, target[target.length - 1]);
         });
 
         // Create time steps
@@ -338,6 +1124,13 @@ class DataLoader {
         return tf.tensor3d([sequence]);
     }
 
+    /**
+     * Raw last target price, the reference for denormalizing forecasts from getLatestWindow
+     * @returns {number} - Last observed target price
+     */
+    getLatestReference() {
+        return this.data[this.data.length - 1][this.targetColumn];
+    }
     /**
      * Get data statistics
      * @returns {Object} - Data statistics
@@ -366,6 +1159,70 @@ class DataLoader {
         };
     }
 
+    /**
+     * Get the preprocessing state a trained model depends on
+     * @returns {Object} - Serializable schema and normalization state
+     */
+    getState() {
+        return {
+            featureColumns: [...this.featureColumns],
+            targetColumn: this.targetColumn,
+            sequenceLength: this.sequenceLength,
+            forecastDays: this.forecastDays,
+            trainTestSplit: this.trainTestSplit,
+            scalingMethod: this.scalingMethod,
+            targetTransform: this.targetTransform,
+            engineeredFeatures: [...this.engineeredFeatures],
+            normalizationParams: JSON.parse(JSON.stringify(this.normalizationParams)),
+            normalizationRanges: JSON.parse(JSON.stringify(this.normalizationRanges))
+        };
+    }
+
+    /**
+     * Check that saved state matches the loaded CSV's feature schema
+     * @param {Object} state - State from getState
+     */
+    validateState(state) {
+        if (!this.data || this.data.length === 0) {
+            throw new Error('Load the CSV the model was trained on before loading the model');
+        }
+
+        if (state.targetColumn !== this.targetColumn) {
+            throw new Error(
+                `Target mismatch: model predicts ${state.targetColumn} but the loader targets ${this.targetColumn}; ` +
+                'select the model\'s target column first'
+            );
+        }
+        const saved = state.featureColumns.join(', ');
+        const current = this.getFeatureColumnsFor(state.engineeredFeatures || []).join(', ');
+        if (saved !== current) {
+            throw new Error(`Feature schema mismatch: model expects [${saved}] but the loaded CSV has [${current}]`);
+        }
+    }
+
+    /**
+     * Restore saved state and lock normalization to the saved parameters
+     * @param {Object} state - State from getState
+     */
+    applyState(state) {
+        this.validateState(state);
+
+        const engineered = state.engineeredFeatures || [];
+        if (!this.featureReport || engineered.join() !== this.engineeredFeatures.join()) {
+            this.engineerFeatures(engineered);
+        }
+
+        this.sequenceLength = state.sequenceLength;
+        this.forecastDays = state.forecastDays;
+        this.trainTestSplit = state.trainTestSplit;
+        this.scalingMethod = state.scalingMethod || 'minmax';
+        this.targetTransform = state.targetTransform || 'price';
+        this.normalizationParams = JSON.parse(JSON.stringify(state.normalizationParams));
+        // Bundles saved before ranges were recorded only support drift checks on min-max scalers
+        this.normalizationRanges = JSON.parse(JSON.stringify(state.normalizationRanges || {}));
+        this.normalizationLocked = true;
+    }
+
     /**
      * Clean up resources
      */
@@ -375,8 +1232,16 @@ class DataLoader {
         }
         this.featureColumns = [];
         this.normalizationParams = {};
+        this.normalizationRanges = {};
+        this.normalizationLocked = false;
+        this.gapReport = null;
+        this.baseData = null;
+        this.baseFeatureColumns = null;
+        this.featureReport = null;
+        this.parsedData = null;
     }
 }
 
 // Export singleton instance
 export const dataLoader = new DataLoader();
+export { DataLoader };
@@ -0,0 +1,463 @@
+// ensemble.js
+/**
+ * Ensemble Module
+ * Several GRUModels differing by seed, window length or architecture, combined by mean,
+ * median, validation-weighted averaging or stacking behind GRUModel's forecast interface.
+ * The spread of the member forecasts gives the prediction intervals.
+ */
+
+import { GRUModel, FORECAST_STRATEGIES, INTERVAL_LEVELS, appendVersion } from './gru.js';
+import { solveLeastSquares } from './baselines.js';
+import { rmse } from './metrics.js';
+import { resolveSeed, deriveSeed } from './random.js';
+
+const COMBINE_METHODS = ['mean', 'median', 'weighted', 'stacking'];
+const MEMBER_VARIATIONS = ['seed', 'window', 'architecture'];
+
+// GRU stacks cycled through when members vary by architecture (units relative to the base)
+const ARCHITECTURE_VARIANTS = [
+    { units: 1, layers: 1 },
+    { units: 0.5, layers: 2 },
+    { units: 2, layers: 1 },
+    { units: 1, layers: 2 }
+];
+
+/**
+ * Standard normal quantile (Acklam's rational approximation, relative error below 1.2e-9)
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number} z with P(Z <= z) = p
+ */
+function normalQuantile(p) {
+    const a = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2,
+        1.383577518672690e2, -3.066479806614716e1, 2.506628277459239];
+    const b = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2,
+        6.680131188771972e1, -1.328068155288572e1];
+    const c = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838,
+        -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996, 3.754408661907416];
+    const tail = q => (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+        ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+
+    if (p < 0.02425) {
+        return tail(Math.sqrt(-2 * Math.log(p)));
+    }
+    if (p > 1 - 0.02425) {
+        return -tail(Math.sqrt(-2 * Math.log(1 - p)));
+    }
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Model options for each ensemble member
+ * Every member gets its own seed derived from the base seed. Window lengths are spread from the
+ * full window down to half of it; architecture variants replace any custom layer list with GRU stacks.
+ * @param {Object} baseOptions - Model options (see GRUModel.buildModel) plus sequenceLength
+ * @param {Object} options - Ensemble options
+ * @param {number} options.size - Number of members
+ * @param {string} options.vary - 'seed', 'window' or 'architecture'
+ * @returns {Array<Object>} Model options per member, each with seed and sequenceLength
+ */
+function createMemberOptions(baseOptions, options = {}) {
+    const { size = 5, vary = 'seed' } = options;
+    const { sequenceLength, gruUnits = 50 } = baseOptions;
+    const seed = resolveSeed(baseOptions.seed);
+
+    if (!MEMBER_VARIATIONS.includes(vary)) {
+        throw new Error(`Unknown member variation "${vary}" (expected ${MEMBER_VARIATIONS.join(', ')})`);
+    }
+    if (!Number.isInteger(size) || size < 2) {
+        throw new Error('An ensemble needs at least 2 members');
+    }
+
+    return Array.from({ length: size }, (_, i) => {
+        const member = { ...baseOptions, seed: deriveSeed(seed, `member${i}`), sequenceLength };
+
+        if (vary === 'window') {
+            member.sequenceLength = Math.max(2, Math.round(sequenceLength * (1 - i / (2 * size))));
+        } else if (vary === 'architecture') {
+            const variant = ARCHITECTURE_VARIANTS[i % ARCHITECTURE_VARIANTS.length];
+            member.architecture = undefined;
+            member.gruUnits = Math.max(1, Math.round(gruUnits * variant.units));
+            member.layers = variant.layers;
+        }
+        return member;
+    });
+}
+
+class GRUEnsemble {
+    /**
+     * @param {Object} options - Ensemble options
+     * @param {string} options.combine - 'mean', 'median', 'weighted' (inverse validation MSE) or 'stacking'
+     * @param {string} options.vary - What the members differ by, recorded in the config
+     * @param {number} options.ridge - Stacking ridge penalty per validation window
+     */
+    constructor(options = {}) {
+        this.combine = options.combine || 'mean';
+        this.vary = options.vary || 'seed';
+        this.ridge = options.ridge ?? 0.01;
+        this.members = [];
+        this.weights = null;
+        this.validation = null;
+        this.seed = null;
+        this.lineage = []; // Versions of the ensemble as a whole, as in GRUModel
+
+        if (!COMBINE_METHODS.includes(this.combine)) {
+            throw new Error(`Unknown combine method "${this.combine}" (expected ${COMBINE_METHODS.join(', ')})`);
+        }
+    }
+
+    /**
+     * Config of the first member with the ensemble's window and combination settings
+     * @returns {Object|null} Config
+     */
+    get config() {
+        if (this.members.length === 0) {
+            return null;
+        }
+        return {
+            ...this.members[0].model.config,
+            sequenceLength: Math.max(...this.members.map(member => member.sequenceLength)),
+            seed: this.seed,
+            ensemble: {
+                size: this.members.length,
+                vary: this.vary,
+                combine: this.combine,
+                weights: this.weights,
+                members: this.members.map(member => member.model.config)
+            }
+        };
+    }
+
+    /**
+     * Loss curves averaged over the members that reached each epoch
+     * @returns {Object} History shaped like GRUModel.history
+     */
+    get history() {
+        const histories = this.members.map(member => member.model.history);
+        const epochs = Math.max(0, ...histories.map(history => history.loss.length));
+        const average = key => Array.from({ length: epochs }, (_, epoch) => {
+            const values = histories.filter(history => epoch < history[key].length).map(history => history[key][epoch]);
+            return values.reduce((sum, value) => sum + value, 0) / values.length;
+        });
+        const stopReasons = [...new Set(histories.map(history => history.stopReason).filter(Boolean))];
+
+        return {
+            loss: average('loss'),
+            val_loss: average('val_loss'),
+            epochs: Array.from({ length: epochs }, (_, epoch) => epoch + 1),
+            learningRate: [],
+            bestEpoch: null,
+            stopReason: stopReasons.join(', ') || null,
+            seed: this.seed
+        };
+    }
+
+    /**
+     * Build one GRUModel per member option set for a preprocessed dataset
+     * Members with shorter windows read the most recent steps of each dataset window.
+     * @param {Object} datasets - Output of DataLoader.preprocessData (or its shape info)
+     * @param {Array<Object>} memberOptions - Output of createMemberOptions
+     * @param {number} seed - Base seed the member seeds were derived from
+     */
+    buildFromDataset(datasets, memberOptions, seed = null) {
+        this.dispose();
+        this.seed = seed ?? memberOptions[0].seed;
+
+        memberOptions.forEach(options => {
+            const sequenceLength = options.sequenceLength ?? datasets.sequenceLength;
+            if (sequenceLength > datasets.sequenceLength) {
+                throw new Error(`Member window ${sequenceLength} is longer than the dataset window ${datasets.sequenceLength}`);
+            }
+
+            const model = new GRUModel();
+            model.buildFromDataset({ ...datasets, sequenceLength }, options.gruUnits, options);
+            this.members.push({ model, sequenceLength });
+        });
+    }
+
+    /**
+     * Input windows cut to a member's window length
+     * @param {number} index - Member index
+     * @param {tf.Tensor} xs - Windows [samples, sequenceLength, features]
+     * @returns {tf.Tensor} xs itself, or a new tensor the caller disposes
+     */
+    memberInput(index, xs) {
+        const { sequenceLength } = this.members[index];
+        const [, steps] = xs.shape;
+        return sequenceLength === steps ? xs : xs.slice([0, steps - sequenceLength, 0], [-1, sequenceLength, -1]);
+    }
+
+    /**
+     * Drop the members after the first count, e.g. those a cancelled training never reached
+     * @param {number} count - Members to keep
+     */
+    truncate(count) {
+        if (count < 1) {
+            throw new Error('An ensemble needs at least one trained member');
+        }
+        this.members.splice(count).forEach(member => member.model.dispose());
+    }
+
+    /**
+     * Fit the combination weights and record validation RMSE per member and for the ensemble
+     * weighted: weights proportional to 1 / validation MSE; stacking: per-day ridge regression
+     * with intercept of the targets on the member forecasts.
+     * @param {tf.Tensor} xVal - Validation windows
+     * @param {tf.Tensor} yVal - Normalized validation targets [samples, forecastDays]
+     */
+    fitCombiner(xVal, yVal) {
+        const forecasts = this.memberForecasts(xVal);
+        const actual = yVal.arraySync();
+        const flatActual = actual.flat();
+        const memberRmse = forecasts.map(predictions => rmse(predictions.flat(), flatActual));
+
+        this.weights = null;
+        if (this.combine === 'weighted') {
+            const inverse = memberRmse.map(value => 1 / Math.max(value ** 2, 1e-12));
+            const total = inverse.reduce((sum, value) => sum + value, 0);
+            this.weights = inverse.map(value => value / total);
+        } else if (this.combine === 'stacking') {
+            this.weights = actual[0].map((_, day) => solveLeastSquares(
+                actual.map((_, s) => [1, ...forecasts.map(predictions => predictions[s][day])]),
+                actual.map(row => row[day]),
+                this.ridge * actual.length
+            ));
+        }
+
+        this.validation = {
+            memberRmse,
+            ensembleRmse: rmse(this.combineForecasts(forecasts).flat(), flatActual)
+        };
+        console.log(`Ensemble (${this.combine}) validation RMSE ${this.validation.ensembleRmse.toFixed(6)}, ` +
+            `members ${memberRmse.map(value => value.toFixed(6)).join(', ')}`);
+    }
+
+    /**
+     * Forecasts of every member for a batch of windows
+     * @param {tf.Tensor} xs - Input windows [samples, sequenceLength, features]
+     * @param {Object} options - Forecast options (see GRUModel.forecast)
+     * @returns {Array<Array<Array>>} Normalized predictions [member][samples][horizon]
+     */
+    memberForecasts(xs, options = {}) {
+        if (this.members.length === 0) {
+            throw new Error('Ensemble not built yet');
+        }
+
+        return this.members.map((member, i) => {
+            const input = this.memberInput(i, xs);
+            try {
+                return member.model.forecastBatch(input, options);
+            } finally {
+                if (input !== xs) {
+                    input.dispose();
+                }
+            }
+        });
+    }
+
+    /**
+     * Combine member forecasts with the ensemble's method
+     * @param {Array<Array<Array>>} forecasts - [member][samples][horizon]
+     * @returns {Array<Array>} Combined predictions [samples][horizon]
+     */
+    combineForecasts(forecasts) {
+        if ((this.combine === 'weighted' || this.combine === 'stacking') && !this.weights) {
+            throw new Error(`${this.combine} ensemble has not been fitted on validation data`);
+        }
+
+        return forecasts[0].map((row, s) => row.map((_, day) => {
+            const values = forecasts.map(predictions => predictions[s][day]);
+
+            if (this.combine === 'median') {
+                const sorted = [...values].sort((a, b) => a - b);
+                const middle = Math.floor(sorted.length / 2);
+                return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+            }
+            if (this.combine === 'weighted') {
+                return values.reduce((sum, value, i) => sum + this.weights[i] * value, 0);
+            }
+            if (this.combine === 'stacking') {
+                // Recursive forecasts past the head reuse the last day's weights
+                const weights = this.weights[Math.min(day, this.weights.length - 1)];
+                return values.reduce((sum, value, i) => sum + weights[i + 1] * value, weights[0]);
+            }
+            return values.reduce((sum, value) => sum + value, 0) / values.length;
+        }));
+    }
+
+    /**
+     * Run the members on a batch of windows and combine their outputs as tensors
+     * Used where gradients must flow through the ensemble; the median has none.
+     * @param {tf.Tensor} xs - Input windows [samples, sequenceLength, features]
+     * @returns {tf.Tensor} Combined output [samples, forecastDays]
+     */
+    runModel(xs) {
+        if (this.combine === 'median') {
+            throw new Error('Median ensembles have no differentiable output');
+        }
+        if ((this.combine === 'weighted' || this.combine === 'stacking') && !this.weights) {
+            throw new Error(`${this.combine} ensemble has not been fitted on validation data`);
+        }
+
+        return tf.tidy(() => {
+            const outputs = this.members.map((member, i) => member.model.runModel(this.memberInput(i, xs)));
+
+            if (this.combine === 'weighted') {
+                return tf.addN(outputs.map((output, i) => output.mul(this.weights[i])));
+            }
+            if (this.combine === 'stacking') {
+                // Per-day intercepts and member weights, [forecastDays] each
+                const column = k => tf.tensor1d(this.weights.map(weights => weights[k]));
+                return tf.addN(outputs.map((output, i) => output.mul(column(i + 1)))).add(column(0));
+            }
+            return tf.addN(outputs).div(outputs.length);
+        });
+    }
+
+    /**
+     * Forecast the next days from a single input window
+     * @param {tf.Tensor|Array} window - Window tensor [1, sequenceLength, features] or nested array
+     * @param {Object} options - Forecast options (see GRUModel.forecast)
+     * @returns {Array} Normalized prediction for each forecast day
+     */
+    forecast(window, options = {}) {
+        const input = window instanceof tf.Tensor ? window : tf.tensor3d([window]);
+
+        try {
+            return this.forecastBatch(input, options)[0];
+        } finally {
+            if (input !== window) {
+                input.dispose();
+            }
+        }
+    }
+
+    /**
+     * Combined forecasts for every window in a batch
+     * @param {tf.Tensor} xs - Input windows [samples, sequenceLength, features]
+     * @param {Object} options - Forecast options (see GRUModel.forecast)
+     * @returns {Array<Array>} Normalized predictions [samples][horizon]
+     */
+    forecastBatch(xs, options = {}) {
+        return this.combineForecasts(this.memberForecasts(xs, options));
+    }
+
+    /**
+     * Interval forecasts from the spread of the members around the combined forecast
+     * Bands are the combined forecast plus or minus z times the members' standard deviation.
+     * Monte Carlo options such as samples are ignored.
+     * @param {tf.Tensor} xs - Input windows [samples, sequenceLength, features]
+     * @param {Object} options - Forecast options (see GRUModel.forecast) plus:
+     * @param {Array} options.levels - Central interval levels in percent
+     * @returns {Array<Object>} Per window: { mean, median, bands: { level: { lower, upper } }, members }, all normalized
+     */
+    forecastIntervals(xs, options = {}) {
+        const { levels = INTERVAL_LEVELS, samples, ...forecastOptions } = options;
+        const forecasts = this.memberForecasts(xs, forecastOptions);
+        const combined = this.combineForecasts(forecasts);
+        const n = forecasts.length;
+
+        return combined.map((row, s) => {
+            const members = forecasts.map(predictions => predictions[s]);
+            const means = row.map((_, day) => members.reduce((sum, member) => sum + member[day], 0) / n);
+            const spread = row.map((_, day) => Math.sqrt(
+                members.reduce((sum, member) => sum + (member[day] - means[day]) ** 2, 0) / Math.max(n - 1, 1)
+            ));
+            const bands = {};
+
+            levels.forEach(level => {
+                const z = normalQuantile(0.5 + level / 200);
+                bands[level] = {
+                    lower: row.map((value, day) => value - z * spread[day]),
+                    upper: row.map((value, day) => value + z * spread[day])
+                };
+            });
+
+            return {
+                mean: means,
+                median: row.map((_, day) => {
+                    const sorted = members.map(member => member[day]).sort((a, b) => a - b);
+                    const middle = Math.floor(n / 2);
+                    return n % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+                }),
+                bands,
+                members
+            };
+        });
+    }
+
+    /**
+     * Compare forecast strategies on a test split
+     * @param {tf.Tensor} xTest - Test windows
+     * @param {tf.Tensor} yTest - Normalized targets [samples, forecastDays]
+     * @param {Function} transform - Optional mapping of a prediction/target row and its index (e.g. denormalization)
+     * @returns {Object} Per-strategy predictions and per-day RMSE
+     */
+    compareStrategies(xTest, yTest, transform = row => row) {
+        const actual = yTest.arraySync().map(transform);
+        const results = {};
+
+        FORECAST_STRATEGIES.forEach(strategy => {
+            const predictions = this.forecastBatch(xTest, { strategy }).map(transform);
+            const rmseByDay = actual[0].map((_, day) => rmse(
+                predictions.map(row => row[day]),
+                actual.map(row => row[day])
+            ));
+
+            results[strategy] = { predictions, rmseByDay };
+        });
+
+        return results;
+    }
+
+    /**
+     * Record a new version of the members' weights in the lineage
+     * @param {string} kind - 'train' or 'update'
+     * @param {Object} details - Data fingerprint, epochs, rows added, drift, ...
+     * @returns {Object} Lineage entry
+     */
+    recordVersion(kind, details = {}) {
+        if (this.members.length === 0) {
+            throw new Error('Ensemble not built yet');
+        }
+        return appendVersion(this.lineage, kind, details);
+    }
+
+    /**
+     * Per-layer output shapes and parameter counts, member layers prefixed with the member number
+     * @returns {Array<Object>} [{ name, type, outputShape, params }]
+     */
+    getLayerSummary() {
+        return this.members.flatMap((member, i) => member.model.getLayerSummary()
+            .map(layer => ({ ...layer, name: `m${i + 1}/${layer.name}` })));
+    }
+
+    /**
+     * Get ensemble summary
+     * @returns {string} Member architectures and combination
+     */
+    getSummary() {
+        if (this.members.length === 0) {
+            return 'Ensemble not built yet';
+        }
+
+        return `Ensemble of ${this.members.length} (${this.vary}, ${this.combine})\n` +
+            this.members.map((member, i) => `Member ${i + 1}, window ${member.sequenceLength}:\n${member.model.getSummary()}`).join('');
+    }
+
+    /**
+     * Dispose every member
+     */
+    dispose() {
+        this.members.forEach(member => member.model.dispose());
+        this.members = [];
+        this.weights = null;
+        this.validation = null;
+        this.lineage = [];
+    }
+}
+
+export { GRUEnsemble, createMemberOptions, normalQuantile, COMBINE_METHODS, MEMBER_VARIATIONS };
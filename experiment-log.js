@@ -0,0 +1,227 @@
+// experiment-log.js
+/**
+ * Experiment Log Module
+ * Records every training run (config, data fingerprint, seed, per-epoch losses,
+ * test metrics and forecast) in IndexedDB, with JSON export and import
+ */
+
+const DB_NAME = 'sp500-gru-experiments';
+const STORE_NAME = 'runs';
+const LOG_FORMAT = 'sp500-gru-experiment-log';
+const LOG_VERSION = 1;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+class ExperimentLog {
+    /**
+     * @param {string} dbName - IndexedDB database name
+     */
+    constructor(dbName = DB_NAME) {
+        this.dbName = dbName;
+        this.db = null;
+    }
+
+    /**
+     * Open the database once, creating the runs store on first use
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    open() {
+        if (!this.db) {
+            if (typeof indexedDB === 'undefined') {
+                return Promise.reject(new Error('IndexedDB is not available'));
+            }
+
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                store.createIndex('createdAt', 'createdAt');
+            };
+            this.db = promisify(request).catch(error => {
+                this.db = null;
+                throw error;
+            });
+        }
+        return this.db;
+    }
+
+    /**
+     * Run fn against the runs store and wait for the transaction to commit
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} fn - (store) => IDBRequest or undefined
+     * @returns {Promise<*>} Result of the request fn returned
+     */
+    async transaction(mode, fn) {
+        const db = await this.open();
+        const tx = db.transaction(STORE_NAME, mode);
+        const request = fn(tx.objectStore(STORE_NAME));
+        const result = request ? promisify(request) : Promise.resolve();
+
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+        return result;
+    }
+
+    /**
+     * Build the record of a finished training run
+     * @param {GRUModel} gruModel - Trained model
+     * @param {DataLoader} dataLoader - Loader the model was trained on
+     * @param {Object} details - Run details
+     * @param {Object} details.training - Training options (epochs, batchSize, patience)
+     * @param {Object} details.metrics - Test metrics from evaluateByHorizon
+     * @param {Object} details.forecast - { strategy, lastDate, lastClose, prices } for the days after the data
+     * @param {number} details.seconds - Training time
+     * @returns {Object} Run record
+     */
+    createRun(gruModel, dataLoader, details = {}) {
+        const { config, history } = gruModel;
+        const { normalizationParams, normalizationRanges, ...data } = dataLoader.getState();
+        const lineage = gruModel.lineage || [];
+        const version = lineage.length > 0 ? lineage[lineage.length - 1] : null;
+        let architecture = config.gruUnits !== undefined
+            ? `${config.layers}x${config.gruUnits} GRU`
+            : config.architecture.map(layer => layer.type).join('-');
+        if (config.ensemble) {
+            architecture = `${config.ensemble.size}-member ${config.ensemble.combine} ensemble (${config.ensemble.vary})`;
+        }
+        const createdAt = new Date().toISOString();
+
+        return {
+            id: `${createdAt}-${history.seed}`,
+            createdAt,
+            label: `${architecture}, window ${config.sequenceLength}, seed ${history.seed}` +
+                (version && version.kind === 'update' ? `, update v${version.version}` : ''),
+            seed: history.seed,
+            config: {
+                model: JSON.parse(JSON.stringify(config)),
+                data,
+                training: { ...details.training }
+            },
+            data: dataLoader.getFingerprint(),
+            history: {
+                loss: [...history.loss],
+                val_loss: [...history.val_loss],
+                learningRate: [...(history.learningRate || [])],
+                bestEpoch: history.bestEpoch,
+                stopReason: history.stopReason
+            },
+            version: version ? JSON.parse(JSON.stringify(version)) : null,
+            metrics: details.metrics || null,
+            forecast: details.forecast || null,
+            seconds: details.seconds ?? null
+        };
+    }
+
+    /**
+     * Store a run
+     * @param {Object} run - Run record
+     * @returns {Promise<Object>} The stored run
+     */
+    async add(run) {
+        this.validateRun(run);
+        await this.transaction('readwrite', store => store.put(run));
+        console.log(`Logged run ${run.label}`);
+        return run;
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} All runs, oldest first
+     */
+    list() {
+        return this.transaction('readonly', store => store.index('createdAt').getAll());
+    }
+
+    /**
+     * Delete runs
+     * @param {Array<string>} ids - Run ids
+     */
+    async remove(ids) {
+        await this.transaction('readwrite', store => {
+            ids.forEach(id => store.delete(id));
+        });
+    }
+
+    /**
+     * Delete every run
+     */
+    async clear() {
+        await this.transaction('readwrite', store => store.clear());
+    }
+
+    /**
+     * Check that a record has the fields the runs view reads
+     * @param {Object} run - Run record
+     */
+    validateRun(run) {
+        if (!run || typeof run.id !== 'string' || !run.createdAt) {
+            throw new Error('Run is missing its id or creation time');
+        }
+        if (!run.history || !Array.isArray(run.history.loss) || !Array.isArray(run.history.val_loss)) {
+            throw new Error(`Run ${run.id} is missing its loss history`);
+        }
+        if (!run.config || !run.config.model) {
+            throw new Error(`Run ${run.id} is missing its model config`);
+        }
+    }
+
+    /**
+     * Serialize the whole log
+     * @returns {Promise<string>} JSON text
+     */
+    async exportJSON() {
+        const runs = await this.list();
+        return JSON.stringify({
+            format: LOG_FORMAT,
+            version: LOG_VERSION,
+            exportedAt: new Date().toISOString(),
+            runs
+        }, null, 2);
+    }
+
+    /**
+     * Merge an exported log; runs whose id is already logged are skipped
+     * @param {string} text - JSON text from exportJSON
+     * @returns {Promise<Object>} { added, skipped }
+     */
+    async importJSON(text) {
+        let log;
+        try {
+            log = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Experiment log is not valid JSON: ${error.message}`);
+        }
+
+        if (!log || log.format !== LOG_FORMAT || !Array.isArray(log.runs)) {
+            throw new Error('Not an exported experiment log');
+        }
+        if (log.version > LOG_VERSION) {
+            throw new Error(`Experiment log version ${log.version} is newer than supported version ${LOG_VERSION}`);
+        }
+        log.runs.forEach(run => this.validateRun(run));
+
+        const existing = new Set((await this.list()).map(run => run.id));
+        const added = log.runs.filter(run => !existing.has(run.id));
+
+        await this.transaction('readwrite', store => {
+            added.forEach(run => store.put(run));
+        });
+
+        console.log(`Imported ${added.length} runs (${log.runs.length - added.length} already logged)`);
+        return { added: added.length, skipped: log.runs.length - added.length };
+    }
+}
+
+export const experimentLog = new ExperimentLog();
+export { ExperimentLog, LOG_FORMAT, LOG_VERSION };
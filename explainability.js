@@ -0,0 +1,208 @@
+// explainability.js
+/**
+ * Explainability Module
+ * Attributions of a forecast to the days and features of its input window
+ * (integrated gradients or occlusion) and permutation feature importance on a test split
+ */
+
+import { rmse } from './metrics.js';
+import { createRandom, deriveSeed, resolveSeed } from './random.js';
+
+const ATTRIBUTION_METHODS = ['integrated-gradients', 'occlusion'];
+
+/**
+ * Reference input that attributions are measured against
+ * @param {tf.Tensor} window - Window [1, sequenceLength, features]
+ * @param {string} baseline - 'zeros' or 'mean' (each feature held at its window mean)
+ * @returns {tf.Tensor} Baseline window [1, sequenceLength, features]
+ */
+function baselineWindow(window, baseline) {
+    if (baseline === 'zeros') {
+        return tf.zerosLike(window);
+    }
+    if (baseline === 'mean') {
+        return tf.tidy(() => tf.mean(window, 1, true).tile([1, window.shape[1], 1]));
+    }
+    throw new Error(`Unknown attribution baseline "${baseline}" (expected zeros, mean)`);
+}
+
+/**
+ * Integrated gradients of each forecast day with respect to every input value
+ * Gradients are averaged along the straight path from the baseline to the window
+ * (Riemann midpoint rule) and scaled by the input's distance from the baseline.
+ * The attributions of a day sum to its forecast minus the baseline forecast, up to
+ * the integration error reported as gap.
+ * @param {Object} model - GRUModel or GRUEnsemble (anything with runModel(xs) returning a tensor)
+ * @param {tf.Tensor} window - Window [1, sequenceLength, features], e.g. DataLoader.getLatestWindow()
+ * @param {Object} options - Attribution options
+ * @param {number} options.steps - Points along the path
+ * @param {string} options.baseline - 'zeros' or 'mean'
+ * @returns {Object} { method, byDay: [day][step][feature], prediction, baselinePrediction, gap }, normalized
+ */
+function integratedGradients(model, window, options = {}) {
+    const { steps = 32, baseline = 'zeros' } = options;
+    const reference = baselineWindow(window, baseline);
+
+    try {
+        const [, sequenceLength, featureCount] = window.shape;
+        const prediction = tf.tidy(() => model.runModel(window).arraySync()[0]);
+        const baselinePrediction = tf.tidy(() => model.runModel(reference).arraySync()[0]);
+
+        const byDay = prediction.map((_, day) => tf.tidy(() => {
+            const alphas = tf.linspace(0.5 / steps, 1 - 0.5 / steps, steps).reshape([steps, 1, 1]);
+            const difference = window.sub(reference);
+            const path = reference.add(alphas.mul(difference));
+            const gradient = tf.grad(xs => model.runModel(xs).slice([0, day], [-1, 1]).sum())(path);
+
+            return gradient.mean(0).mul(difference.reshape([sequenceLength, featureCount])).arraySync();
+        }));
+
+        const gap = byDay.map((attributions, day) => {
+            const total = attributions.flat().reduce((sum, value) => sum + value, 0);
+            return prediction[day] - baselinePrediction[day] - total;
+        });
+
+        return { method: 'integrated-gradients', byDay, prediction, baselinePrediction, gap };
+    } finally {
+        reference.dispose();
+    }
+}
+
+/**
+ * Occlusion attributions: the drop in each forecast day when one input value is set to the baseline
+ * Works with any forecaster, including median ensembles, as it only needs forecastBatch.
+ * @param {Object} model - Object with forecastBatch(xs)
+ * @param {tf.Tensor} window - Window [1, sequenceLength, features]
+ * @param {Object} options - Attribution options
+ * @param {string} options.baseline - 'zeros' or 'mean'
+ * @param {number} options.span - Consecutive days occluded together
+ * @returns {Object} { method, byDay: [day][step][feature], prediction, baselinePrediction }, normalized
+ */
+function occlusion(model, window, options = {}) {
+    const { baseline = 'zeros', span = 1 } = options;
+    const reference = baselineWindow(window, baseline);
+    const [, sequenceLength, featureCount] = window.shape;
+    const values = window.arraySync()[0];
+    const replacement = reference.arraySync()[0];
+    reference.dispose();
+
+    // One occluded copy of the window per (step, feature), then the whole baseline
+    const occluded = [];
+    for (let step = 0; step < sequenceLength; step++) {
+        for (let feature = 0; feature < featureCount; feature++) {
+            occluded.push(values.map((row, t) => row.map((value, f) => (
+                f === feature && t >= step && t < step + span ? replacement[t][f] : value
+            ))));
+        }
+    }
+    occluded.push(replacement);
+
+    const prediction = model.forecastBatch(window)[0];
+    const batch = tf.tensor3d(occluded);
+    let forecasts;
+    try {
+        forecasts = model.forecastBatch(batch);
+    } finally {
+        batch.dispose();
+    }
+
+    const byDay = prediction.map((value, day) => Array.from({ length: sequenceLength }, (_, step) => (
+        Array.from({ length: featureCount }, (_, feature) => value - forecasts[step * featureCount + feature][day])
+    )));
+
+    return { method: 'occlusion', byDay, prediction, baselinePrediction: forecasts[forecasts.length - 1] };
+}
+
+/**
+ * Attribute a window's forecast with either method
+ * @param {Object} model - GRUModel or GRUEnsemble
+ * @param {tf.Tensor} window - Window [1, sequenceLength, features]
+ * @param {Object} options - { method, ...options of integratedGradients or occlusion }
+ * @returns {Object} Attributions
+ */
+function explainWindow(model, window, options = {}) {
+    const { method = 'integrated-gradients', ...methodOptions } = options;
+
+    if (!ATTRIBUTION_METHODS.includes(method)) {
+        throw new Error(`Unknown attribution method "${method}" (expected ${ATTRIBUTION_METHODS.join(', ')})`);
+    }
+    if (window.shape[0] !== 1) {
+        throw new Error(`Attributions explain one window at a time, got ${window.shape[0]}`);
+    }
+    return method === 'occlusion'
+        ? occlusion(model, window, methodOptions)
+        : integratedGradients(model, window, methodOptions);
+}
+
+/**
+ * Permutation feature importance: the rise in test RMSE when one feature's windows are
+ * shuffled across samples, breaking its link to the targets while keeping its distribution
+ * @param {Object} model - Object with forecastBatch(xs, options)
+ * @param {tf.Tensor} xTest - Test windows [samples, sequenceLength, features]
+ * @param {tf.Tensor} yTest - Normalized targets [samples, forecastDays]
+ * @param {Object} options - Importance options
+ * @param {Array<string>} options.featureNames - Names of the input features
+ * @param {Function} options.transform - Mapping of a prediction/target row and its index (e.g. denormalization)
+ * @param {number} options.repeats - Shuffles per feature, averaged
+ * @param {string} options.strategy - Forecast strategy
+ * @param {number} options.seed - Seed for the shuffles (default: global seed or a new one)
+ * @returns {Object} { baseRmse, seed, features: [{ feature, importance, std, rmseByDay }] } sorted by importance
+ */
+function permutationImportance(model, xTest, yTest, options = {}) {
+    const { transform = row => row, repeats = 3, strategy = 'direct' } = options;
+    const [samples, , featureCount] = xTest.shape;
+    const featureNames = options.featureNames || Array.from({ length: featureCount }, (_, i) => `feature_${i}`);
+    const seed = resolveSeed(options.seed);
+    const random = createRandom(deriveSeed(seed, 'permutation'));
+
+    const actual = yTest.arraySync().map(transform);
+    const score = xs => {
+        const predictions = model.forecastBatch(xs, { strategy }).map(transform);
+        return actual[0].map((_, day) => rmse(predictions.map(row => row[day]), actual.map(row => row[day])));
+    };
+    const overall = byDay => Math.sqrt(byDay.reduce((sum, value) => sum + value ** 2, 0) / byDay.length);
+    const baseByDay = score(xTest);
+    const baseRmse = overall(baseByDay);
+
+    const features = featureNames.map((feature, index) => {
+        const runs = Array.from({ length: repeats }, () => {
+            // Fisher-Yates over the sample axis
+            const order = Array.from({ length: samples }, (_, i) => i);
+            for (let i = samples - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [order[i], order[j]] = [order[j], order[i]];
+            }
+
+            const permuted = tf.tidy(() => {
+                const parts = tf.split(xTest, featureCount, 2);
+                parts[index] = tf.gather(parts[index], tf.tensor1d(order, 'int32'));
+                return tf.concat(parts, 2);
+            });
+            try {
+                return score(permuted);
+            } finally {
+                permuted.dispose();
+            }
+        });
+
+        const increases = runs.map(byDay => overall(byDay) - baseRmse);
+        const importance = increases.reduce((sum, value) => sum + value, 0) / repeats;
+        const std = Math.sqrt(increases.reduce((sum, value) => sum + (value - importance) ** 2, 0) / Math.max(repeats - 1, 1));
+
+        return {
+            feature,
+            importance,
+            std,
+            rmseByDay: baseByDay.map((_, day) => runs.reduce((sum, byDay) => sum + byDay[day], 0) / repeats)
+        };
+    });
+
+    return {
+        baseRmse,
+        baseRmseByDay: baseByDay,
+        seed,
+        features: features.sort((a, b) => b.importance - a.importance)
+    };
+}
+
+export { explainWindow, integratedGradients, occlusion, permutationImportance, ATTRIBUTION_METHODS };
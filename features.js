@@ -0,0 +1,369 @@
+// features.js
+/**
+ * Feature Engineering Module
+ * Technical indicators and calendar features derived from the price series
+ * before normalization
+ */
+
+/**
+ * Simple moving average
+ * @param {Array} values - Series
+ * @param {number} period - Window length
+ * @returns {Array} SMA, null until period values are available
+ */
+function sma(values, period) {
+    const result = new Array(values.length).fill(null);
+    let sum = 0;
+
+    values.forEach((value, i) => {
+        sum += value;
+        if (i >= period) {
+            sum -= values[i - period];
+        }
+        if (i >= period - 1) {
+            result[i] = sum / period;
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Exponential moving average seeded with the SMA of the first period values
+ * Leading nulls in the input are skipped.
+ * @param {Array} values - Series
+ * @param {number} period - Span (alpha = 2 / (period + 1))
+ * @returns {Array} EMA, null during warm-up
+ */
+function ema(values, period) {
+    const alpha = 2 / (period + 1);
+    const result = new Array(values.length).fill(null);
+    const start = values.findIndex(value => value !== null);
+    if (start < 0 || values.length - start < period) {
+        return result;
+    }
+
+    let current = values.slice(start, start + period).reduce((a, b) => a + b, 0) / period;
+    result[start + period - 1] = current;
+
+    for (let i = start + period; i < values.length; i++) {
+        current = alpha * values[i] + (1 - alpha) * current;
+        result[i] = current;
+    }
+
+    return result;
+}
+
+/**
+ * Rolling population standard deviation
+ * @param {Array} values - Series (leading nulls allowed)
+ * @param {number} period - Window length
+ * @returns {Array} Standard deviation, null until a full window is available
+ */
+function rollingStd(values, period) {
+    return values.map((_, i) => {
+        if (i < period - 1) {
+            return null;
+        }
+        const window = values.slice(i - period + 1, i + 1);
+        if (window.some(value => value === null)) {
+            return null;
+        }
+        const mean = window.reduce((a, b) => a + b, 0) / period;
+        return Math.sqrt(window.reduce((acc, v) => acc + (v - mean) ** 2, 0) / period);
+    });
+}
+
+/**
+ * Wilder smoothing (RSI, ATR)
+ * @param {Array} values - Series (leading nulls allowed)
+ * @param {number} period - Smoothing period
+ * @returns {Array} Smoothed series, null during warm-up
+ */
+function wilder(values, period) {
+    const result = new Array(values.length).fill(null);
+    const start = values.findIndex(value => value !== null);
+    if (start < 0 || values.length - start < period) {
+        return result;
+    }
+
+    let current = values.slice(start, start + period).reduce((a, b) => a + b, 0) / period;
+    result[start + period - 1] = current;
+
+    for (let i = start + period; i < values.length; i++) {
+        current = (current * (period - 1) + values[i]) / period;
+        result[i] = current;
+    }
+
+    return result;
+}
+
+/**
+ * Percentage change over a lag
+ * @param {Array} values - Series
+ * @param {number} lag - Lag in days
+ * @returns {Array} Returns, null for the first lag values
+ */
+function pctChange(values, lag) {
+    return values.map((value, i) => i >= lag ? value / values[i - lag] - 1 : null);
+}
+
+/**
+ * Combine two series element-wise, propagating nulls
+ * @param {Array} a - First series
+ * @param {Array} b - Second series
+ * @param {Function} fn - Combiner
+ * @returns {Array} Combined series
+ */
+function combine(a, b, fn) {
+    return a.map((value, i) => value === null || b[i] === null ? null : fn(value, b[i]));
+}
+
+// Available features: id, UI label, source columns needed and a compute function
+// returning { columnName: values } for the rows
+const FEATURE_DEFINITIONS = [
+    {
+        id: 'returns',
+        label: 'Lagged returns (1, 5, 20 days)',
+        requires: [],
+        compute: ({ close }) => ({
+            return_1: pctChange(close, 1),
+            return_5: pctChange(close, 5),
+            return_20: pctChange(close, 20)
+        })
+    },
+    {
+        id: 'volatility',
+        label: 'Rolling volatility (20 days)',
+        requires: [],
+        compute: ({ close }) => ({
+            volatility_20: rollingStd(pctChange(close, 1), 20)
+        })
+    },
+    {
+        id: 'sma',
+        label: 'Price / SMA (20, 50)',
+        requires: [],
+        compute: ({ close }) => ({
+            sma_ratio_20: combine(close, sma(close, 20), (c, s) => c / s - 1),
+            sma_ratio_50: combine(close, sma(close, 50), (c, s) => c / s - 1)
+        })
+    },
+    {
+        id: 'ema',
+        label: 'Price / EMA (12, 26)',
+        requires: [],
+        compute: ({ close }) => ({
+            ema_ratio_12: combine(close, ema(close, 12), (c, e) => c / e - 1),
+            ema_ratio_26: combine(close, ema(close, 26), (c, e) => c / e - 1)
+        })
+    },
+    {
+        id: 'rsi',
+        label: 'RSI (14)',
+        requires: [],
+        compute: ({ close }) => {
+            const changes = close.map((value, i) => i > 0 ? value - close[i - 1] : null);
+            const gains = wilder(changes.map(c => c === null ? null : Math.max(c, 0)), 14);
+            const losses = wilder(changes.map(c => c === null ? null : Math.max(-c, 0)), 14);
+            return {
+                rsi_14: combine(gains, losses, (g, l) => l === 0 ? 100 : 100 - 100 / (1 + g / l))
+            };
+        }
+    },
+    {
+        id: 'macd',
+        label: 'MACD (12, 26, 9)',
+        requires: [],
+        compute: ({ close }) => {
+            // Scaled by price so the indicator is comparable across decades
+            const line = combine(combine(ema(close, 12), ema(close, 26), (f, s) => f - s), close, (m, c) => m / c);
+            const signal = ema(line, 9);
+            return {
+                macd: line.map((value, i) => signal[i] === null ? null : value),
+                macd_signal: signal,
+                macd_hist: combine(line, signal, (m, s) => m - s)
+            };
+        }
+    },
+    {
+        id: 'bollinger',
+        label: 'Bollinger %B (20, 2σ)',
+        requires: [],
+        compute: ({ close }) => {
+            const mean = sma(close, 20);
+            const std = rollingStd(close, 20);
+            return {
+                bollinger_pctb: close.map((c, i) => mean[i] === null
+                    ? null
+                    : std[i] === 0 ? 0.5 : (c - (mean[i] - 2 * std[i])) / (4 * std[i]))
+            };
+        }
+    },
+    {
+        id: 'atr',
+        label: 'ATR (14) / price',
+        requires: ['High', 'Low'],
+        compute: ({ close, high, low }) => {
+            const trueRange = close.map((_, i) => i === 0
+                ? null
+                : Math.max(high[i] - low[i], Math.abs(high[i] - close[i - 1]), Math.abs(low[i] - close[i - 1])));
+            return {
+                atr_14: combine(wilder(trueRange, 14), close, (atr, c) => atr / c)
+            };
+        }
+    },
+    {
+        id: 'volume',
+        label: 'Volume z-score (20 days)',
+        requires: ['Volume'],
+        compute: ({ volume }) => {
+            const mean = sma(volume, 20);
+            const std = rollingStd(volume, 20);
+            return {
+                volume_z_20: volume.map((v, i) => mean[i] === null ? null : std[i] === 0 ? 0 : (v - mean[i]) / std[i])
+            };
+        }
+    },
+    {
+        id: 'calendar',
+        label: 'Day of week and month',
+        requires: ['timestamp'],
+        compute: ({ timestamp }) => {
+            const dates = timestamp.map(t => new Date(t));
+            const cycle = (values, period, fn) => values.map(v => fn(2 * Math.PI * v / period));
+            const weekdays = dates.map(d => d.getUTCDay());
+            const months = dates.map(d => d.getUTCMonth());
+            return {
+                weekday_sin: cycle(weekdays, 7, Math.sin),
+                weekday_cos: cycle(weekdays, 7, Math.cos),
+                month_sin: cycle(months, 12, Math.sin),
+                month_cos: cycle(months, 12, Math.cos)
+            };
+        }
+    }
+];
+
+class FeatureEngineer {
+    /**
+     * @param {Array<Object>} definitions - Feature definitions
+     */
+    constructor(definitions = FEATURE_DEFINITIONS) {
+        this.definitions = definitions;
+    }
+
+    /**
+     * Look up a feature definition
+     * @param {string} id - Feature id
+     * @returns {Object} Definition
+     */
+    getDefinition(id) {
+        const definition = this.definitions.find(d => d.id === id);
+        if (!definition) {
+            throw new Error(`Unknown feature "${id}"`);
+        }
+        return definition;
+    }
+
+    /**
+     * Find a source column case-insensitively
+     * @param {Array<string>} available - Column names in the rows
+     * @param {string} name - Wanted column
+     * @returns {string|undefined} Matching column name
+     */
+    findColumn(available, name) {
+        return available.find(column => column.toLowerCase() === name.toLowerCase());
+    }
+
+    /**
+     * Split feature ids into those the data supports and those it lacks columns for
+     * @param {Array<string>} ids - Selected feature ids
+     * @param {Array<string>} available - Column names in the rows
+     * @returns {Object} { supported, skipped: [{ id, missing }] }
+     */
+    checkSupport(ids, available) {
+        const supported = [];
+        const skipped = [];
+
+        ids.forEach(id => {
+            const missing = this.getDefinition(id).requires.filter(name => !this.findColumn(available, name));
+            if (missing.length > 0) {
+                skipped.push({ id, missing });
+            } else {
+                supported.push(id);
+            }
+        });
+
+        return { supported, skipped };
+    }
+
+    /**
+     * Compute the selected features and add them to copies of the rows
+     * Leading warm-up rows where any new feature is undefined are dropped.
+     * @param {Array<Object>} rows - Clean rows, oldest first
+     * @param {Array<string>} ids - Selected feature ids
+     * @param {string} targetColumn - Price column indicators are computed from
+     * @returns {Object} { rows, columns: new column names, report }
+     */
+    apply(rows, ids, targetColumn) {
+        const available = rows.length > 0 ? Object.keys(rows[0]) : [];
+        const { supported, skipped } = this.checkSupport(ids, available);
+        const series = name => {
+            const column = this.findColumn(available, name);
+            return rows.map(row => row[column]);
+        };
+
+        const inputs = {
+            close: rows.map(row => row[targetColumn]),
+            get high() { return series('High'); },
+            get low() { return series('Low'); },
+            get volume() { return series('Volume'); },
+            get timestamp() { return series('timestamp'); }
+        };
+
+        const computed = {};
+        supported.forEach(id => Object.assign(computed, this.getDefinition(id).compute(inputs)));
+        const columns = Object.keys(computed);
+
+        // Drop the warm-up period of the slowest indicator
+        let warmUp = 0;
+        columns.forEach(column => {
+            const first = computed[column].findIndex(value => value !== null && Number.isFinite(value));
+            warmUp = Math.max(warmUp, first < 0 ? rows.length : first);
+        });
+
+        const result = rows.slice(warmUp).map((row, i) => {
+            const next = { ...row };
+            columns.forEach(column => { next[column] = computed[column][warmUp + i]; });
+            return next;
+        });
+
+        skipped.forEach(({ id, missing }) => {
+            console.warn(`Skipping feature ${id}: needs column(s) ${missing.join(', ')}`);
+        });
+
+        return {
+            rows: result,
+            columns,
+            report: { features: supported, skipped, columns, droppedRows: warmUp }
+        };
+    }
+
+    /**
+     * Column names the selected features add for the given source columns
+     * @param {Array<string>} ids - Selected feature ids
+     * @param {Array<string>} available - Column names in the rows
+     * @returns {Array<string>} Derived column names
+     */
+    columnsFor(ids, available) {
+        const { supported } = this.checkSupport(ids, available);
+        const sample = {
+            close: [1], high: [1], low: [1], volume: [1], timestamp: [0]
+        };
+        return supported.flatMap(id => Object.keys(this.getDefinition(id).compute(sample)));
+    }
+}
+
+// Export singleton instance
+export const featureEngineer = new FeatureEngineer();
+export { FeatureEngineer, FEATURE_DEFINITIONS };
@@ -0,0 +1,235 @@
+// gap-handler.js
+/**
+ * Gap Handling Module
+ * Fills or drops missing values per column and checks dates against a trading calendar
+ */
+
+import { TradingCalendar } from './trading-calendar.js';
+import { csvParser } from './csv-parser.js';
+
+const GAP_STRATEGIES = ['drop', 'ffill', 'interpolate', 'mask'];
+
+// Calendar gaps and off-calendar dates listed individually in the report
+const REPORT_LIMIT = 20;
+
+class GapHandler {
+    /**
+     * @param {Object} options - Gap handling options
+     * @param {string} options.defaultStrategy - Strategy for columns without their own entry
+     * @param {Object} options.strategies - Per-column strategy, e.g. { Volume: 'interpolate' }
+     * @param {string|null} options.calendar - 'nyse', 'business' or null to skip the calendar check
+     * @param {boolean} options.fillCalendarGaps - Insert rows for missing trading days so the strategies fill them
+     */
+    constructor(options = {}) {
+        this.defaultStrategy = options.defaultStrategy || 'ffill';
+        this.strategies = options.strategies || {};
+        this.calendar = options.calendar === undefined ? 'nyse' : options.calendar;
+        this.fillCalendarGaps = options.fillCalendarGaps ?? false;
+
+        [this.defaultStrategy, ...Object.values(this.strategies)].forEach(strategy => {
+            if (!GAP_STRATEGIES.includes(strategy)) {
+                throw new Error(`Unknown gap strategy "${strategy}" (expected ${GAP_STRATEGIES.join(', ')})`);
+            }
+        });
+    }
+
+    /**
+     * Strategy for a column
+     * @param {string} column - Column name
+     * @returns {string} - Gap strategy
+     */
+    strategyFor(column) {
+        return this.strategies[column] || this.defaultStrategy;
+    }
+
+    /**
+     * Check calendar gaps, then fill or drop missing values
+     * Missing values are null, undefined or non-finite numbers.
+     * @param {Array<Object>} rows - Parsed rows, oldest first
+     * @param {Array<string>} columns - Columns to clean
+     * @returns {Object} - { rows, columns, report }; columns gains a <column>_missing indicator per masked column
+     */
+    process(rows, columns) {
+        const report = {
+            calendar: null,
+            inputRows: rows.length,
+            insertedRows: 0,
+            droppedRows: 0,
+            outputRows: 0,
+            calendarGaps: [],
+            missingTradingDays: 0,
+            nonTradingDays: [],
+            columns: {},
+            maskColumns: []
+        };
+
+        let cleaned = rows.map(row => ({ ...row }));
+
+        if (this.calendar && cleaned.length > 0 && cleaned[0].timestamp !== undefined) {
+            cleaned = this.checkCalendar(cleaned, columns, report);
+        }
+
+        const drop = new Array(cleaned.length).fill(false);
+        const outputColumns = [...columns];
+
+        columns.forEach(column => {
+            const values = cleaned.map(row => row[column]);
+            const missing = values.filter(value => !this.isPresent(value)).length;
+            const strategy = this.strategyFor(column);
+            const stats = { missing, strategy, filled: 0, dropped: 0 };
+            report.columns[column] = stats;
+
+            if (missing === 0) {
+                return;
+            }
+
+            let filled;
+            if (strategy === 'drop') {
+                filled = values;
+            } else if (strategy === 'interpolate') {
+                filled = this.interpolate(values);
+            } else {
+                filled = this.forwardFill(values, strategy === 'mask');
+            }
+
+            filled.forEach((value, i) => {
+                if (!this.isPresent(value)) {
+                    if (!drop[i]) stats.dropped++;
+                    drop[i] = true;
+                } else if (!this.isPresent(values[i])) {
+                    stats.filled++;
+                }
+                cleaned[i][column] = value;
+            });
+
+            if (strategy === 'mask') {
+                const maskColumn = `${column}_missing`;
+                cleaned.forEach((row, i) => { row[maskColumn] = this.isPresent(values[i]) ? 0 : 1; });
+                outputColumns.push(maskColumn);
+                report.maskColumns.push(maskColumn);
+            }
+        });
+
+        const result = cleaned.filter((row, i) => !drop[i]);
+        result.forEach(row => { delete row.inserted; });
+
+        report.droppedRows = cleaned.length - result.length;
+        report.outputRows = result.length;
+
+        return { rows: result, columns: outputColumns, report };
+    }
+
+    /**
+     * Compare row dates with the trading calendar
+     * @param {Array<Object>} rows - Rows with timestamps, oldest first
+     * @param {Array<string>} columns - Value columns (left missing on inserted rows)
+     * @param {Object} report - Report to update
+     * @returns {Array<Object>} - Rows, with missing trading days inserted when fillCalendarGaps is set
+     */
+    checkCalendar(rows, columns, report) {
+        const calendar = new TradingCalendar(this.calendar);
+        const result = [];
+
+        report.calendar = this.calendar;
+
+        rows.forEach((row, i) => {
+            if (!calendar.isTradingDay(row.timestamp)) {
+                report.nonTradingDays.push(row.Date);
+            }
+
+            if (i > 0) {
+                const missingDays = calendar.tradingDaysBetween(rows[i - 1].timestamp, row.timestamp);
+                if (missingDays.length > 0) {
+                    report.missingTradingDays += missingDays.length;
+                    report.calendarGaps.push({
+                        after: rows[i - 1].Date,
+                        before: row.Date,
+                        missing: missingDays.length
+                    });
+
+                    if (this.fillCalendarGaps) {
+                        missingDays.forEach(timestamp => {
+                            const inserted = { timestamp, Date: csvParser.formatDate(timestamp), inserted: true };
+                            columns.forEach(column => { inserted[column] = null; });
+                            result.push(inserted);
+                        });
+                        report.insertedRows += missingDays.length;
+                    }
+                }
+            }
+
+            result.push(row);
+        });
+
+        if (report.calendarGaps.length > 0) {
+            console.warn(`${report.missingTradingDays} ${this.calendar} trading days missing in ${report.calendarGaps.length} gaps`);
+        }
+        if (report.nonTradingDays.length > 0) {
+            console.warn(`${report.nonTradingDays.length} rows fall on non-trading days, first: ${report.nonTradingDays[0]}`);
+        }
+
+        report.calendarGaps = report.calendarGaps.slice(0, REPORT_LIMIT);
+        report.nonTradingDays = report.nonTradingDays.slice(0, REPORT_LIMIT);
+
+        return result;
+    }
+
+    /**
+     * Carry the last valid value forward
+     * @param {Array} values - Column values
+     * @param {boolean} backfillStart - Fill leading gaps with the first valid value instead of leaving them missing
+     * @returns {Array} - Filled values (leading gaps stay null unless backfilled)
+     */
+    forwardFill(values, backfillStart = false) {
+        let last = backfillStart ? values.find(value => this.isPresent(value)) ?? null : null;
+
+        return values.map(value => {
+            if (this.isPresent(value)) {
+                last = value;
+                return value;
+            }
+            return last;
+        });
+    }
+
+    /**
+     * Linearly interpolate between neighbouring valid values
+     * Trailing gaps are forward-filled; leading gaps stay null.
+     * @param {Array} values - Column values
+     * @returns {Array} - Interpolated values
+     */
+    interpolate(values) {
+        const result = [...values];
+        let previous = -1;
+
+        values.forEach((value, i) => {
+            if (!this.isPresent(value)) {
+                return;
+            }
+            if (previous >= 0 && i - previous > 1) {
+                const step = (value - values[previous]) / (i - previous);
+                for (let j = previous + 1; j < i; j++) {
+                    result[j] = values[previous] + step * (j - previous);
+                }
+            }
+            previous = i;
+        });
+
+        for (let j = previous + 1; previous >= 0 && j < values.length; j++) {
+            result[j] = values[previous];
+        }
+
+        return result.map(value => this.isPresent(value) ? value : null);
+    }
+
+    /**
+     * Check for a usable value
+     * @param {*} value - Cell value
+     * @returns {boolean} - True for finite numbers
+     */
+    isPresent(value) {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+}
+
+export { GapHandler, GAP_STRATEGIES };
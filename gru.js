@@ -4,6 +4,44 @@
  * All training happens client-side in the browser
  */
 
+import { TrainingController } from './training-controller.js';
+import { rmse } from './metrics.js';
+import { defaultArchitecture, resolveArchitecture, buildArchitecture, describeLayers } from './architecture.js';
+import { resolveSeed, createRandom, deriveSeed, createSeedSequence, shuffleInPlace } from './random.js';
+
+// Multi-day forecasting strategies
+const FORECAST_STRATEGIES = ['direct', 'recursive', 'hybrid'];
+
+// Default central prediction interval levels (percent)
+const INTERVAL_LEVELS = [50, 80, 95];
+
+/**
+ * Linearly interpolated quantile of a sorted array
+ * @param {Array} sorted - Values sorted ascending
+ * @param {number} q - Quantile in [0, 1]
+ * @returns {number} Quantile value
+ */
+function quantile(sorted, q) {
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Add a version to a model lineage as a child of its latest version
+ * @param {Array<Object>} lineage - Lineage, oldest first; the entry is appended
+ * @param {string} kind - 'train' (new weights) or 'update' (fine-tuned on appended data)
+ * @param {Object} details - Data fingerprint, epochs, rows added, drift, ...
+ * @returns {Object} Entry { version, parent, kind, createdAt, ...details }
+ */
+function appendVersion(lineage, kind, details = {}) {
+    const parent = lineage.length > 0 ? lineage[lineage.length - 1].version : null;
+    const entry = { version: (parent ?? 0) + 1, parent, kind, createdAt: new Date().toISOString(), ...details };
+    lineage.push(entry);
+    return entry;
+}
+
 class GRUModel {
     constructor() {
         this.model = null;
@@ -13,6 +51,9 @@ class GRUModel {
             epochs: []
         };
         this.isTraining = false;
+        this.controller = null;
+        this.config = null;
+        this.lineage = []; // Versions since the weights were initialized, oldest first
         this.dataStats = {
             mean: 0,
             std: 1,
@@ -22,48 +63,164 @@ class GRUModel {
     }
 
     /**
-     * Build the GRU model architecture
+     * Build the model architecture
+     * Without options.architecture this is a stack of GRU layers, dropout and the output head.
      * @param {number} sequenceLength - Length of input sequences
-     * @param {number} gruUnits - Number of units in GRU layer
+     * @param {number} featureCount - Number of features per time step
+     * @param {number} forecastDays - Number of days predicted by the output head
+     * @param {number} gruUnits - Number of units in each GRU layer
+     * @param {Object} options - Architecture and optimizer options
+     * @param {number} options.layers - Number of stacked GRU layers
+     * @param {number} options.dropout - Dropout rate before the output head
+     * @param {Object} options.architecture - Declarative layer list replacing the GRU stack (see architecture.js)
+     * @param {number} options.learningRate - Adam learning rate
+     * @param {number} options.seed - Seed for the initial weights and later training (default: global seed or a new one)
      * @returns {tf.LayersModel} Compiled model
      */
-    buildModel(sequenceLength = 20, gruUnits = 50) {
+    buildModel(sequenceLength = 60, featureCount = 1, forecastDays = 5, gruUnits = 50, options = {}) {
+        const { layers = 1, dropout = 0.2, learningRate = 0.001 } = options;
+        const architecture = resolveArchitecture(
+            options.architecture || defaultArchitecture(gruUnits, { layers, dropout })
+        );
+
         // Clear any existing model from memory
         if (this.model) {
-            this.model.dispose();
+            this.disposeModel();
         }
 
-        const model = tf.sequential();
-        
-        // GRU layer for sequence processing
-        model.add(tf.layers.gru({
-            units: gruUnits,
-            inputShape: [sequenceLength, 1],
-            activation: 'tanh',
-            returnSequences: false,
-            kernelInitializer: 'glorotNormal'
-        }));
+        const seed = resolveSeed(options.seed);
+        const model = buildArchitecture(architecture, [sequenceLength, featureCount], forecastDays, createSeedSequence(seed));
+        this.compileModel(model, learningRate);
         
-        // Dropout for regularization
-        model.add(tf.layers.dropout({rate: 0.2}));
-        
-        // Output layer for return prediction
-        model.add(tf.layers.dense({
-            units: 1,
-            activation: 'linear'
-        }));
-        
-        // Compile model with Adam optimizer and MSE loss
+        this.model = model;
+        this.lineage = [];
+        // A single feature is assumed to be the target unless the dataset says otherwise
+        this.config = {
+            sequenceLength,
+            featureCount,
+            forecastDays,
+            ...(options.architecture ? {} : { gruUnits, layers, dropout }),
+            architecture,
+            learningRate,
+            seed,
+            targetIndex: featureCount === 1 ? 0 : -1
+        };
+        return model;
+    }
+
+    /**
+     * Compile model with Adam optimizer and MSE loss (MAE tracked per epoch)
+     * @param {tf.LayersModel} model - Model to compile
+     * @param {number} learningRate - Adam learning rate
+     */
+    compileModel(model, learningRate = 0.001) {
         model.compile({
-            optimizer: tf.train.adam(0.001),
+            optimizer: tf.train.adam(learningRate),
             loss: 'meanSquaredError',
-            metrics: ['mse']
+            metrics: ['mae']
         });
+    }
+
+    /**
+     * Build the model from the shape of a preprocessed dataset
+     * @param {Object} datasets - Output of DataLoader.preprocessData
+     * @param {number} gruUnits - Number of units in each GRU layer
+     * @param {Object} options - Architecture and optimizer options (see buildModel)
+     * @returns {tf.LayersModel} Compiled model
+     */
+    buildFromDataset(datasets, gruUnits = 50, options = {}) {
+        const { featureNames, sequenceLength, forecastDays } = datasets;
         
-        this.model = model;
+        if (!featureNames || featureNames.length === 0) {
+            throw new Error('Dataset has no feature columns');
+        }
+        
+        const model = this.buildModel(sequenceLength, featureNames.length, forecastDays, gruUnits, options);
+        this.config.featureNames = [...featureNames];
+        this.config.targetIndex = datasets.targetIndex;
+        
+        console.log(`Model built for input [${sequenceLength}, ${featureNames.length}] -> output [${forecastDays}]`);
         return model;
     }
 
+    /**
+     * Get the serializable state saved alongside the weights
+     * @returns {Object} Config, output scaling stats, training history and version lineage
+     */
+    getState() {
+        if (!this.model) {
+            throw new Error('Model not built yet');
+        }
+        
+        return {
+            config: JSON.parse(JSON.stringify(this.config)),
+            dataStats: { ...this.dataStats },
+            history: JSON.parse(JSON.stringify(this.history)),
+            lineage: JSON.parse(JSON.stringify(this.lineage))
+        };
+    }
+
+    /**
+     * Adopt a model loaded from storage together with its saved state
+     * @param {tf.LayersModel} model - Loaded layers model
+     * @param {Object} state - State from getState
+     */
+    setLoadedModel(model, state) {
+        if (this.isTraining) {
+            throw new Error('Cannot replace the model while training');
+        }
+        
+        const [, steps, features] = model.inputs[0].shape;
+        if (steps !== state.config.sequenceLength || features !== state.config.featureCount) {
+            throw new Error('Saved config does not match the loaded model input shape');
+        }
+        
+        if (this.model) {
+            this.disposeModel();
+        }
+        
+        // Compile so the loaded model can be fine-tuned as well as used for prediction
+        this.compileModel(model, state.config.learningRate);
+        
+        this.model = model;
+        this.config = state.config;
+        this.dataStats = state.dataStats;
+        this.history = state.history;
+        this.lineage = state.lineage || [];
+    }
+
+    /**
+     * Record a new version of the weights in the lineage
+     * @param {string} kind - 'train' or 'update'
+     * @param {Object} details - Data fingerprint, epochs, rows added, drift, ...
+     * @returns {Object} Lineage entry
+     */
+    recordVersion(kind, details = {}) {
+        if (!this.model) {
+            throw new Error('Model not built yet');
+        }
+        return appendVersion(this.lineage, kind, details);
+    }
+
+    /**
+     * Check that tensors match the shape the model was built for
+     * @param {tf.Tensor} xs - Input tensor [samples, sequenceLength, features]
+     * @param {tf.Tensor} ys - Target tensor [samples, forecastDays]
+     */
+    validateShapes(xs, ys) {
+        const { sequenceLength, featureCount, forecastDays } = this.config;
+        const [, xSteps, xFeatures] = xs.shape;
+        
+        if (xSteps !== sequenceLength || xFeatures !== featureCount) {
+            throw new Error(
+                `Input shape [${xSteps}, ${xFeatures}] does not match model input [${sequenceLength}, ${featureCount}]`
+            );
+        }
+        if (ys && ys.shape[1] !== forecastDays) {
+            throw new Error(`Target has ${ys.shape[1]} days but model predicts ${forecastDays}`);
+        }
+    }
+
     /**
      * Prepare sequences from returns data
      * @param {Array} returns - Array of daily returns
@@ -121,99 +278,412 @@ class GRUModel {
 
     /**
      * Train the model
+     * Early stopping, learning-rate reduction and best-weights restore choose epochs by the validation
+     * loss, so the validation windows must not be the ones the model is later tested on.
      * @param {tf.Tensor} xTrain - Training features
      * @param {tf.Tensor} yTrain - Training labels
      * @param {tf.Tensor} xVal - Validation features
      * @param {tf.Tensor} yVal - Validation labels
-     * @param {number} epochs - Number of training epochs
-     * @param {Function} onEpochEnd - Callback after each epoch
-     * @returns {Promise} Training history
+     * @param {Object} options - Training options
+     * @param {number} options.epochs - Number of training epochs
+     * @param {number} options.batchSize - Mini-batch size
+     * @param {Function} options.onEpochEnd - Callback after each epoch
+     * @param {Function} options.onTrainEnd - Callback when training finishes
+     * @param {Object} options.controller - TrainingController options (patience, minDelta, reduceLrPatience, ...)
+     * @param {number} options.seed - Seed for shuffling and dropout (defaults to the seed the model was built with)
+     * @returns {Promise<Object>} Training history with best epoch, stop reason and seed
      */
-    async train(xTrain, yTrain, xVal, yVal, epochs = 50, onEpochEnd = null) {
+    async train(xTrain, yTrain, xVal, yVal, options = {}) {
+        if (!this.model) {
+            throw new Error('Model not built yet');
+        }
         if (this.isTraining) {
             throw new Error('Model is already training');
         }
         
+        const { epochs = 50, batchSize = 32, onEpochEnd = null, onTrainEnd = null } = options;
+        const seed = resolveSeed(options.seed ?? this.config.seed);
+        
+        this.validateShapes(xTrain, yTrain);
         this.isTraining = true;
-        this.history = { loss: [], val_loss: [], epochs: [] };
+        this.history = {
+            loss: [],
+            val_loss: [],
+            epochs: [],
+            learningRate: [],
+            bestEpoch: null,
+            stopReason: null,
+            seed
+        };
+        
+        this.controller = new TrainingController(options.controller);
+        this.controller.attach(this.model);
+        
+        // Shuffling and dropout draw from the run's own generators, never from Math.random
+        const random = createRandom(deriveSeed(seed, 'train'));
+        const nextSeed = createSeedSequence(deriveSeed(seed, 'dropout'));
+        const dropoutLayers = this.seedDropout(nextSeed);
+        const order = Array.from({ length: xTrain.shape[0] }, (_, i) => i);
+        const callbacks = {
+            onBatchBegin: async () => {
+                dropoutLayers.forEach(layer => {
+                    layer.seed = nextSeed();
+                });
+            },
+            onBatchEnd: async () => {
+                if (this.controller.cancelRequested) {
+                    this.model.stopTraining = true;
+                }
+            },
+            onEpochEnd: async (epoch, logs) => {
+                const state = this.controller.onEpochEnd(epoch, logs);
+                
+                // Store history
+                this.history.loss.push(logs.loss);
+                this.history.val_loss.push(logs.val_loss);
+                this.history.epochs.push(epoch + 1);
+                this.history.learningRate.push(state.learningRate);
+                
+                // Call user callback if provided
+                if (onEpochEnd) {
+                    onEpochEnd(epoch, logs, state);
+                }
+            }
+        };
         
         try {
-            const batchSize = Math.min(32, xTrain.shape[0]);
-            
-            const history = await this.model.fit(xTrain, yTrain, {
-                epochs: epochs,
-                batchSize: batchSize,
-                validationData: [xVal, yVal],
-                callbacks: {
-                    onEpochEnd: async (epoch, logs) => {
-                        // Store history
-                        this.history.loss.push(logs.loss);
-                        this.history.val_loss.push(logs.val_loss);
-                        this.history.epochs.push(epoch + 1);
-                        
-                        // Call user callback if provided
-                        if (onEpochEnd) {
-                            onEpochEnd(epoch, logs);
-                        }
-                        
-                        // Force garbage collection periodically
-                        if (epoch % 5 === 0) {
-                            tf.engine().startScope();
-                            tf.engine().endScope();
-                        }
-                    }
+            // One fit() per epoch on a seeded permutation of the training windows
+            for (let epoch = 0; epoch < epochs && !this.controller.cancelRequested; epoch++) {
+                const indices = tf.tensor1d(shuffleInPlace(order, random), 'int32');
+                const xs = xTrain.gather(indices);
+                const ys = yTrain.gather(indices);
+                indices.dispose();
+                
+                try {
+                    await this.model.fit(xs, ys, {
+                        epochs: epoch + 1,
+                        initialEpoch: epoch,
+                        batchSize: Math.min(batchSize, xTrain.shape[0]),
+                        shuffle: false,
+                        validationData: [xVal, yVal],
+                        callbacks
+                    });
+                } finally {
+                    xs.dispose();
+                    ys.dispose();
                 }
-            });
+                
+                // Set by early stopping, learning-rate collapse or cancellation
+                if (this.model.stopTraining) {
+                    break;
+                }
+            }
+            
+            const result = this.controller.finish();
+            this.history.bestEpoch = result.bestEpoch >= 0 ? result.bestEpoch + 1 : null;
+            this.history.stopReason = result.stopReason;
+            
+            console.log(`Training finished: ${result.stopReason}` +
+                (this.history.bestEpoch ? `, best epoch ${this.history.bestEpoch}` : ''));
             
             this.isTraining = false;
-            return history;
+            
+            if (onTrainEnd) {
+                onTrainEnd(this.history);
+            }
+            
+            return this.history;
         } catch (error) {
+            this.controller.disposeBestWeights();
             this.isTraining = false;
             throw error;
+        } finally {
+            this.seedDropout(null);
+            this.controller = null;
         }
     }
 
+    /**
+     * Seed the dropout masks of training from a sequence, or go back to unseeded masks
+     * Recurrent cells draw a seed per mask; Dropout layers get one per batch from the caller.
+     * Unseeded masks (Monte Carlo forecasts) come from Math.random as before.
+     * @param {Function|null} nextSeed - Seed sequence from createSeedSequence, or null
+     * @returns {Array<tf.layers.Layer>} Dropout layers, to seed before each batch
+     */
+    seedDropout(nextSeed) {
+        const cells = this.model.layers.flatMap(layer => {
+            if (layer.getClassName() === 'Bidirectional') {
+                return [layer.forwardLayer.cell, layer.backwardLayer.cell];
+            }
+            return layer.cell ? [layer.cell] : [];
+        });
+        cells.forEach(cell => {
+            cell.dropoutFunc = nextSeed ? (x, rate) => tf.dropout(x, rate, undefined, nextSeed()) : undefined;
+        });
+
+        const dropoutLayers = this.model.layers.filter(layer => layer.getClassName() === 'Dropout');
+        if (!nextSeed) {
+            dropoutLayers.forEach(layer => {
+                layer.seed = undefined;
+            });
+        }
+        return dropoutLayers;
+    }
+
+    /**
+     * Copy the weights out as plain typed arrays (transferable to and from a worker)
+     * @returns {Array<Object>} [{ shape, values: Float32Array }] in model.getWeights order
+     */
+    getWeightData() {
+        if (!this.model) {
+            throw new Error('Model not built yet');
+        }
+        
+        return this.model.getWeights().map(weight => ({
+            shape: weight.shape,
+            values: new Float32Array(weight.dataSync())
+        }));
+    }
+
+    /**
+     * Adopt weights and history from a training run elsewhere (e.g. the training worker)
+     * The model must already be built with the same architecture.
+     * @param {Array<Object>} weights - Output of getWeightData
+     * @param {Object} history - Training history
+     */
+    setTrainedWeights(weights, history) {
+        if (!this.model) {
+            throw new Error('Model not built yet');
+        }
+        
+        const tensors = weights.map(({ values, shape }) => tf.tensor(values, shape));
+        try {
+            this.model.setWeights(tensors);
+        } finally {
+            tensors.forEach(t => t.dispose());
+        }
+        this.history = history;
+    }
+
+    /**
+     * Cancel a running training; fit stops after the current batch
+     * and the best weights seen so far are restored
+     * @returns {boolean} Whether a running training was cancelled
+     */
+    stopTraining() {
+        if (!this.isTraining || !this.controller) {
+            return false;
+        }
+        
+        this.controller.cancel();
+        return true;
+    }
+
     /**
      * Predict next n days using recursive prediction
-     * @param {Array} lastSequence - Last known sequence of returns
+     * @param {Array} lastSequence - Last known sequence of normalized values (single feature)
      * @param {number} nDays - Number of days to predict
-     * @returns {Array} Array of predicted returns
+     * @returns {Array} Array of denormalized predictions
      */
     predictNextDays(lastSequence, nDays = 5) {
+        const window = lastSequence.map(val => [val]);
+        const predictions = this.forecast(window, { strategy: 'recursive', horizon: nDays });
+        
+        // Denormalize predictions
+        return predictions.map(val => val * this.dataStats.std + this.dataStats.mean);
+    }
+
+    /**
+     * Forecast the next days from a single input window
+     * @param {tf.Tensor|Array} window - Window tensor [1, sequenceLength, features] or nested array [sequenceLength][features]
+     * @param {Object} options - Forecast options
+     * @param {string} options.strategy - 'direct', 'recursive' or 'hybrid'
+     * @param {number} options.horizon - Number of days to forecast (defaults to forecastDays)
+     * @param {boolean} options.mcDropout - Keep dropout active to draw a Monte Carlo sample
+     * @returns {Array} Normalized prediction for each forecast day
+     */
+    forecast(window, options = {}) {
+        const input = window instanceof tf.Tensor ? window : tf.tensor3d([window]);
+        
+        try {
+            return this.forecastBatch(input, options)[0];
+        } finally {
+            if (input !== window) {
+                input.dispose();
+            }
+        }
+    }
+
+    /**
+     * Forecast the next days for every window in a batch
+     *
+     * - direct: one pass through the multi-output head, day h read from head h
+     * - recursive: day-1 head only, feeding each prediction back into the window
+     * - hybrid: day h read from the day-1 head after rolling the window forward
+     *   with the direct predictions for the preceding days
+     *
+     * @param {tf.Tensor} xs - Input windows [samples, sequenceLength, features]
+     * @param {Object} options - Forecast options (see forecast)
+     * @returns {Array<Array>} Normalized predictions [samples][horizon]
+     */
+    forecastBatch(xs, options = {}) {
         if (!this.model) {
             throw new Error('Model not trained yet');
         }
         
-        const predictions = [];
-        let currentSequence = [...lastSequence];
+        const { strategy = 'direct', horizon = this.config.forecastDays, mcDropout = false } = options;
+        const run = input => this.runModel(input, mcDropout);
         
-        for (let i = 0; i < nDays; i++) {
-            // Prepare input tensor
-            const inputTensor = tf.tensor3d(
-                [currentSequence.map(val => [val])],
-                [1, currentSequence.length, 1]
-            );
-            
-            // Make prediction
-            const prediction = this.model.predict(inputTensor);
-            const predValue = prediction.dataSync()[0];
+        if (!FORECAST_STRATEGIES.includes(strategy)) {
+            throw new Error(`Unknown forecast strategy: ${strategy}`);
+        }
+        if (strategy !== 'recursive' && horizon > this.config.forecastDays) {
+            throw new Error(`${strategy} strategy can forecast at most ${this.config.forecastDays} days`);
+        }
+        
+        this.validateShapes(xs);
+        
+        if (strategy === 'direct') {
+            return tf.tidy(() => run(xs).slice([0, 0], [-1, horizon]).arraySync());
+        }
+        
+        if (this.config.targetIndex === undefined || this.config.targetIndex < 0) {
+            throw new Error(`${strategy} strategy needs the target column among the input features`);
+        }
+        
+        const direct = strategy === 'hybrid'
+            ? tf.tidy(() => run(xs))
+            : null;
+        const steps = [];
+        let current = xs;
+        
+        for (let h = 0; h < horizon; h++) {
+            const stepPrediction = tf.tidy(() => run(current).slice([0, 0], [-1, 1]));
             
-            // Denormalize prediction
-            const denormPred = predValue * this.dataStats.std + this.dataStats.mean;
-            predictions.push(denormPred);
+            // Value written into the window for the next step
+            const feedback = direct
+                ? tf.tidy(() => direct.slice([0, h], [-1, 1]))
+                : stepPrediction;
+            const next = this.rollWindow(current, feedback);
             
-            // Update sequence for next prediction
-            currentSequence.shift();
-            currentSequence.push(predValue);
+            if (current !== xs) {
+                current.dispose();
+            }
+            if (feedback !== stepPrediction) {
+                feedback.dispose();
+            }
             
-            // Clean up tensors
-            inputTensor.dispose();
-            prediction.dispose();
+            steps.push(stepPrediction);
+            current = next;
+        }
+        
+        const predictions = tf.tidy(() => tf.concat(steps, 1).arraySync());
+        
+        steps.forEach(step => step.dispose());
+        if (current !== xs) {
+            current.dispose();
+        }
+        if (direct) {
+            direct.dispose();
         }
         
         return predictions;
     }
 
+    /**
+     * Run the network on a batch of windows
+     * @param {tf.Tensor} xs - Input windows
+     * @param {boolean} mcDropout - Apply dropout as in training (Monte Carlo dropout)
+     * @returns {tf.Tensor} Output [samples, forecastDays]
+     */
+    runModel(xs, mcDropout = false) {
+        return mcDropout ? this.model.apply(xs, { training: true }) : this.model.predict(xs);
+    }
+
+    /**
+     * Interval forecasts via Monte Carlo dropout
+     * @param {tf.Tensor} xs - Input windows [samples, sequenceLength, features]
+     * @param {Object} options - Forecast options (see forecast) plus:
+     * @param {number} options.samples - Number of Monte Carlo passes
+     * @param {Array} options.levels - Central interval levels in percent
+     * @returns {Array<Object>} Per window: { mean, median, bands: { level: { lower, upper } } }, all normalized
+     */
+    forecastIntervals(xs, options = {}) {
+        const { samples = 100, levels = INTERVAL_LEVELS, ...forecastOptions } = options;
+        
+        if (samples < 2) {
+            throw new Error('Monte Carlo dropout needs at least 2 samples');
+        }
+        
+        // draws[s][window][day]
+        const draws = [];
+        for (let s = 0; s < samples; s++) {
+            draws.push(this.forecastBatch(xs, { ...forecastOptions, mcDropout: true }));
+        }
+        
+        return draws[0].map((row, w) => {
+            const sorted = row.map((_, day) => draws.map(draw => draw[w][day]).sort((a, b) => a - b));
+            const bands = {};
+            
+            levels.forEach(level => {
+                const alpha = (1 - level / 100) / 2;
+                bands[level] = {
+                    lower: sorted.map(values => quantile(values, alpha)),
+                    upper: sorted.map(values => quantile(values, 1 - alpha))
+                };
+            });
+            
+            return {
+                mean: sorted.map(values => values.reduce((a, b) => a + b, 0) / values.length),
+                median: sorted.map(values => quantile(values, 0.5)),
+                bands
+            };
+        });
+    }
+
+    /**
+     * Shift windows one step forward, appending a new time step
+     * that repeats the last one with the target feature replaced
+     * @param {tf.Tensor} xs - Windows [samples, sequenceLength, features]
+     * @param {tf.Tensor} values - Normalized target values [samples, 1]
+     * @returns {tf.Tensor} Rolled windows
+     */
+    rollWindow(xs, values) {
+        return tf.tidy(() => {
+            const [samples, steps, features] = xs.shape;
+            const lastStep = xs.slice([0, steps - 1, 0], [samples, 1, features]);
+            const maskValues = Array.from({ length: features }, (_, i) => (i === this.config.targetIndex ? 1 : 0));
+            const mask = tf.tensor3d([[maskValues]]);
+            const newStep = lastStep.mul(tf.sub(1, mask)).add(values.reshape([samples, 1, 1]).mul(mask));
+            
+            return tf.concat([xs.slice([0, 1, 0], [samples, steps - 1, features]), newStep], 1);
+        });
+    }
+
+    /**
+     * Compare forecast strategies on a test split
+     * @param {tf.Tensor} xTest - Test windows
+     * @param {tf.Tensor} yTest - Normalized targets [samples, forecastDays]
+     * @param {Function} transform - Optional mapping of a prediction/target row and its index (e.g. denormalization)
+     * @returns {Object} Per-strategy predictions and per-day RMSE
+     */
+    compareStrategies(xTest, yTest, transform = row => row) {
+        const actual = yTest.arraySync().map(transform);
+        const results = {};
+        
+        FORECAST_STRATEGIES.forEach(strategy => {
+            const predictions = this.forecastBatch(xTest, { strategy }).map(transform);
+            const rmseByDay = actual[0].map((_, day) => this.calculateRMSE(
+                predictions.map(row => row[day]),
+                actual.map(row => row[day])
+            ));
+            
+            results[strategy] = { predictions, rmseByDay };
+        });
+        
+        return results;
+    }
+
     /**
      * Make predictions on test data
      * @param {tf.Tensor} xTest - Test features
@@ -241,25 +711,18 @@ class GRUModel {
      * @returns {number} RMSE value
      */
     calculateRMSE(predictions, actual) {
-        if (predictions.length !== actual.length) {
-            throw new Error('Predictions and actual arrays must have same length');
-        }
-        
-        let sumSquaredError = 0;
-        for (let i = 0; i < predictions.length; i++) {
-            const error = predictions[i] - actual[i];
-            sumSquaredError += error * error;
-        }
-        
-        return Math.sqrt(sumSquaredError / predictions.length);
+        return rmse(predictions, actual);
     }
 
     /**
      * Generate synthetic S&P 500 returns data for demonstration
      * @param {number} nDays - Number of days to generate
-     * @returns {Object} Generated data with dates and returns
+     * @param {number} seed - Seed for the random shocks (default: global seed or a new one)
+     * @returns {Object} Generated data with dates, returns and the seed used
      */
-    generateSyntheticData(nDays = 750) {
+    generateSyntheticData(nDays = 750, seed = null) {
+        const usedSeed = resolveSeed(seed);
+        const random = createRandom(usedSeed);
         const dates = [];
         const prices = [4000]; // Start at 4000
         const returns = [];
@@ -282,7 +745,7 @@ class GRUModel {
                                  (currentDate - new Date(currentDate.getFullYear(), 0, 0)) / 86400000;
                 const seasonal = Math.sin(2 * Math.PI * dayOfYear / 365) * seasonality;
                 
-                const randomShock = (Math.random() - 0.5) * volatility;
+                const randomShock = (random() - 0.5) * volatility;
                 const dailyReturn = drift + seasonal + randomShock;
                 
                 returns.push(dailyReturn);
@@ -296,21 +759,45 @@ class GRUModel {
         return {
             dates: dates.slice(1), // Remove first date since no return
             prices: prices,
-            returns: returns
+            returns: returns,
+            seed: usedSeed
         };
     }
 
+    /**
+     * Dispose the layers model and its optimizer state
+     * (compile() does not take ownership of an optimizer instance)
+     */
+    disposeModel() {
+        if (this.model.optimizer) {
+            this.model.optimizer.dispose();
+        }
+        this.model.dispose();
+    }
+
     /**
      * Clean up model and tensors from memory
      */
     dispose() {
         if (this.model) {
-            this.model.dispose();
+            this.disposeModel();
             this.model = null;
         }
+        this.config = null;
         this.history = { loss: [], val_loss: [], epochs: [] };
-        tf.engine().startScope();
-        tf.engine().endScope();
+        this.lineage = [];
+    }
+
+    /**
+     * Per-layer output shapes and parameter counts
+     * @returns {Array<Object>} [{ name, type, outputShape, params }]
+     */
+    getLayerSummary() {
+        if (!this.model) {
+            throw new Error('Model not built yet');
+        }
+        
+        return describeLayers(this.model);
     }
 
     /**
@@ -322,14 +809,21 @@ class GRUModel {
             return 'Model not built yet';
         }
         
-        let summary = 'Model Layers:\n';
-        this.model.layers.forEach((layer, i) => {
-            summary += `${i + 1}. ${layer.name} (${layer.getClassName()})\n`;
+        const { sequenceLength, featureCount, forecastDays } = this.config;
+        let summary = `Input: [${sequenceLength}, ${featureCount}] -> Output: [${forecastDays}]\n`;
+        summary += 'Model Layers:\n';
+        this.getLayerSummary().forEach((layer, i) => {
+            summary += `${i + 1}. ${layer.name} (${layer.type}) ` +
+                `[${layer.outputShape.slice(1).join(', ')}] - ${layer.params.toLocaleString()} params\n`;
         });
+        summary += `Total params: ${this.model.countParams().toLocaleString()}\n`;
         
         return summary;
     }
 }
 
 // Export the class for use in other modules
-export { GRUModel };
+export { GRUModel, FORECAST_STRATEGIES, INTERVAL_LEVELS, appendVersion };
+
+// Shared instance used by the app
+export const gruModel = new GRUModel();
@@ -0,0 +1,307 @@
+// hyperparameter-search.js
+/**
+ * Hyperparameter Search Module
+ * Grid, random and successive-halving search over window length and model settings,
+ * scored on a chronological validation split of the training windows
+ */
+
+import { GRUModel } from './gru.js';
+import { resolveSeed, createRandom, deriveSeed } from './random.js';
+
+const SEARCH_METHODS = ['grid', 'random', 'halving'];
+
+// Values tried for each hyperparameter
+const DEFAULT_SEARCH_SPACE = {
+    sequenceLength: [20, 40, 60],
+    gruUnits: [32, 64],
+    layers: [1, 2],
+    dropout: [0, 0.2],
+    learningRate: [0.001, 0.003],
+    batchSize: [32, 64]
+};
+
+/**
+ * Order trial results best first: later halving rungs before earlier ones, then by validation loss
+ * Trials without a finite validation loss are left out.
+ * @param {Array<Object>} results - Trial results
+ * @returns {Array<Object>} Sorted copy
+ */
+function rankTrials(results) {
+    return results
+        .filter(result => Number.isFinite(result.valLoss))
+        .sort((a, b) => b.rung - a.rung || a.valLoss - b.valLoss);
+}
+
+class HyperparameterSearch {
+    /**
+     * @param {Object} options - Search options
+     * @param {string} options.method - 'grid', 'random' or 'halving'
+     * @param {Object} options.space - Values per hyperparameter (see DEFAULT_SEARCH_SPACE)
+     * @param {number} options.trials - Configurations sampled by random search and halving
+     * @param {number} options.epochs - Epochs per trial (the final rung for halving)
+     * @param {number} options.minEpochs - Epochs of the first halving rung
+     * @param {number} options.eta - Halving factor: keep the best 1/eta configurations per rung
+     * @param {number} options.trainRatio - Share of windows the search may use (the rest is the test split)
+     * @param {number} options.validationRatio - Tail share of those windows used for scoring
+     * @param {number} options.patience - Early stopping patience per trial
+     * @param {number} options.seed - Seed for sampling configurations and for every trial's model
+     */
+    constructor(options = {}) {
+        this.method = options.method || 'random';
+        this.space = { ...DEFAULT_SEARCH_SPACE, ...options.space };
+        this.trials = options.trials ?? 10;
+        this.epochs = options.epochs ?? 20;
+        this.minEpochs = options.minEpochs ?? 3;
+        this.eta = options.eta ?? 3;
+        this.trainRatio = options.trainRatio ?? 0.8;
+        this.validationRatio = options.validationRatio ?? 0.15;
+        this.patience = options.patience ?? 5;
+        this.seed = resolveSeed(options.seed);
+
+        if (!SEARCH_METHODS.includes(this.method)) {
+            throw new Error(`Unknown search method "${this.method}" (expected ${SEARCH_METHODS.join(', ')})`);
+        }
+
+        this.results = [];
+        this.model = null;
+        this.isRunning = false;
+        this.cancelRequested = false;
+    }
+
+    /**
+     * Every combination of the search space
+     * @returns {Array<Object>} Configurations
+     */
+    createGrid() {
+        return Object.entries(this.space).reduce(
+            (configs, [name, values]) => configs.flatMap(config => values.map(value => ({ ...config, [name]: value }))),
+            [{}]
+        );
+    }
+
+    /**
+     * Draw distinct configurations from the grid
+     * @param {number} count - Number of configurations
+     * @returns {Array<Object>} Configurations
+     */
+    sampleConfigs(count) {
+        const grid = this.createGrid();
+        const random = createRandom(deriveSeed(this.seed, 'sample'));
+
+        // Partial Fisher-Yates shuffle
+        for (let i = 0; i < Math.min(count, grid.length); i++) {
+            const j = i + Math.floor(random() * (grid.length - i));
+            [grid[i], grid[j]] = [grid[j], grid[i]];
+        }
+
+        return grid.slice(0, count);
+    }
+
+    /**
+     * Run the search
+     * @param {Function} getWindows - Returns DataLoader.getAllWindows-style windows for a window length
+     * @param {Object} options - Run options
+     * @param {Function} options.onTrialEnd - Callback with each trial result and the number of trials planned
+     * @param {Function} options.onEpochEnd - Callback (trial, epoch, logs) during training
+     * @returns {Promise<Array>} Trial results, best first
+     */
+    async run(getWindows, options = {}) {
+        if (this.isRunning) {
+            throw new Error('Search is already running');
+        }
+
+        const { onTrialEnd = null, onEpochEnd = null } = options;
+        const cache = new Map();
+        const getData = sequenceLength => {
+            if (!cache.has(sequenceLength)) {
+                cache.set(sequenceLength, this.splitWindows(getWindows(sequenceLength)));
+            }
+            return cache.get(sequenceLength);
+        };
+
+        this.isRunning = true;
+        this.cancelRequested = false;
+        this.results = [];
+        let trialCount = 0;
+
+        // Returns null for a discarded trial
+        const runTrial = async (config, epochs, rung, planned) => {
+            const trial = { id: ++trialCount, rung, epochs, config };
+            const result = await this.runTrial(trial, getData(config.sequenceLength), {
+                onEpochEnd: onEpochEnd ? (epoch, logs) => onEpochEnd(trial, epoch, logs) : null
+            });
+            // A trial stopped partway through training, or one that diverged, is left out of the results
+            if (this.cancelRequested) {
+                console.log(`Trial ${result.id} cancelled during training; discarded`);
+                return null;
+            }
+            if (!Number.isFinite(result.valLoss)) {
+                console.log(`Trial ${result.id}: val loss is not finite (${result.stopReason}); discarded`);
+                return null;
+            }
+            this.results.push(result);
+
+            console.log(`Trial ${result.id}: val loss ${result.valLoss.toFixed(6)} ${JSON.stringify(config)}`);
+            if (onTrialEnd) {
+                onTrialEnd(result, planned);
+            }
+            return result;
+        };
+
+        try {
+            if (this.method === 'halving') {
+                await this.runHalving(runTrial);
+            } else {
+                const configs = this.method === 'grid' ? this.createGrid() : this.sampleConfigs(this.trials);
+                for (const config of configs) {
+                    if (this.cancelRequested) break;
+                    await runTrial(config, this.epochs, 0, configs.length);
+                }
+            }
+        } finally {
+            this.isRunning = false;
+            cache.forEach(data => [data.xTrain, data.yTrain, data.xVal, data.yVal].forEach(t => t.dispose()));
+        }
+
+        return this.getRanked();
+    }
+
+    /**
+     * Successive halving: train many configurations briefly, keep the best 1/eta with eta times the epochs
+     * @param {Function} runTrial - (config, epochs, rung, planned) => Promise<result|null>
+     */
+    async runHalving(runTrial) {
+        let configs = this.sampleConfigs(this.trials);
+        let epochs = Math.min(this.minEpochs, this.epochs);
+        let rung = 0;
+
+        // Trials across all rungs, for progress reporting
+        let planned = 0;
+        for (let n = configs.length, e = epochs; n >= 1; n = Math.ceil(n / this.eta), e = Math.min(e * this.eta, this.epochs)) {
+            planned += n;
+            if (n === 1 || e === this.epochs) break;
+        }
+
+        while (configs.length > 0 && !this.cancelRequested) {
+            const rungResults = [];
+            for (const config of configs) {
+                if (this.cancelRequested) break;
+                const result = await runTrial(config, epochs, rung, planned);
+                if (result) {
+                    rungResults.push(result);
+                }
+            }
+
+            if (configs.length === 1 || epochs >= this.epochs) {
+                break;
+            }
+
+            configs = rungResults
+                .sort((a, b) => a.valLoss - b.valLoss)
+                .slice(0, Math.ceil(configs.length / this.eta))
+                .map(result => result.config);
+            epochs = Math.min(epochs * this.eta, this.epochs);
+            rung++;
+        }
+    }
+
+    /**
+     * Split the search's windows into fit and validation tensors
+     * forecastDays - 1 windows are purged so validation targets never overlap training targets.
+     * @param {Object} windows - Output of DataLoader.getAllWindows
+     * @returns {Object} { xTrain, yTrain, xVal, yVal, info: the windows }
+     */
+    splitWindows(windows) {
+        const { sequences, targets, forecastDays } = windows;
+        const available = Math.floor(sequences.length * this.trainRatio);
+        const valSize = Math.max(1, Math.floor(available * this.validationRatio));
+        const fitSize = available - valSize - (forecastDays - 1);
+
+        if (fitSize < 2) {
+            throw new Error(`Not enough windows (${sequences.length}) for a hyperparameter search`);
+        }
+
+        return {
+            xTrain: tf.tensor3d(sequences.slice(0, fitSize)),
+            yTrain: tf.tensor2d(targets.slice(0, fitSize)),
+            xVal: tf.tensor3d(sequences.slice(available - valSize, available)),
+            yVal: tf.tensor2d(targets.slice(available - valSize, available)),
+            info: windows
+        };
+    }
+
+    /**
+     * Train and score one configuration
+     * Every trial uses the search seed, so configurations start from comparable randomness.
+     * @param {Object} trial - { id, rung, epochs, config }
+     * @param {Object} data - Output of splitWindows
+     * @param {Object} options - { onEpochEnd }
+     * @returns {Promise<Object>} Trial result with the best validation loss
+     */
+    async runTrial(trial, data, options = {}) {
+        const { config } = trial;
+        const startTime = Date.now();
+
+        this.model = new GRUModel();
+
+        try {
+            this.model.buildFromDataset(data.info, config.gruUnits, {
+                layers: config.layers,
+                dropout: config.dropout,
+                learningRate: config.learningRate,
+                seed: this.seed
+            });
+
+            const history = await this.model.train(data.xTrain, data.yTrain, data.xVal, data.yVal, {
+                epochs: trial.epochs,
+                batchSize: config.batchSize,
+                controller: { patience: this.patience },
+                onEpochEnd: options.onEpochEnd
+            });
+
+            const best = history.bestEpoch ? history.bestEpoch - 1 : history.val_loss.length - 1;
+
+            return {
+                ...trial,
+                valLoss: history.val_loss[best] ?? NaN,
+                trainLoss: history.loss[best] ?? NaN,
+                bestEpoch: history.bestEpoch,
+                epochsRun: history.val_loss.length,
+                stopReason: history.stopReason,
+                seed: this.seed,
+                seconds: (Date.now() - startTime) / 1000
+            };
+        } finally {
+            this.model.dispose();
+            this.model = null;
+        }
+    }
+
+    /**
+     * Results ordered best first (later halving rungs before earlier ones)
+     * @returns {Array<Object>} Trial results
+     */
+    getRanked() {
+        return rankTrials(this.results);
+    }
+
+    /**
+     * Best configuration found so far
+     * @returns {Object|null} Best trial result
+     */
+    getBest() {
+        return this.getRanked()[0] || null;
+    }
+
+    /**
+     * Stop after the current trial's training is cancelled
+     */
+    cancel() {
+        this.cancelRequested = true;
+        if (this.model) {
+            this.model.stopTraining();
+        }
+    }
+}
+
+export { HyperparameterSearch, SEARCH_METHODS, DEFAULT_SEARCH_SPACE, rankTrials };
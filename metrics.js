@@ -0,0 +1,217 @@
+// metrics.js
+/**
+ * Forecast Evaluation Metrics Module
+ * Point-forecast error metrics broken down by forecast day, plus interval coverage
+ */
+
+/**
+ * Check that two series can be compared
+ * @param {Array} predictions - Predicted values
+ * @param {Array} actual - Actual values
+ */
+function assertSameLength(predictions, actual) {
+    if (predictions.length !== actual.length) {
+        throw new Error('Predictions and actual arrays must have same length');
+    }
+    if (actual.length === 0) {
+        throw new Error('Cannot compute metrics on empty arrays');
+    }
+}
+
+/**
+ * Root mean squared error
+ * @param {Array} predictions - Predicted values
+ * @param {Array} actual - Actual values
+ * @returns {number} RMSE
+ */
+function rmse(predictions, actual) {
+    assertSameLength(predictions, actual);
+    const sum = actual.reduce((acc, value, i) => acc + (predictions[i] - value) ** 2, 0);
+    return Math.sqrt(sum / actual.length);
+}
+
+/**
+ * Mean absolute error
+ * @param {Array} predictions - Predicted values
+ * @param {Array} actual - Actual values
+ * @returns {number} MAE
+ */
+function mae(predictions, actual) {
+    assertSameLength(predictions, actual);
+    const sum = actual.reduce((acc, value, i) => acc + Math.abs(predictions[i] - value), 0);
+    return sum / actual.length;
+}
+
+/**
+ * Mean absolute percentage error, skipping zero actuals
+ * @param {Array} predictions - Predicted values
+ * @param {Array} actual - Actual values
+ * @returns {number} MAPE in percent
+ */
+function mape(predictions, actual) {
+    assertSameLength(predictions, actual);
+    let sum = 0;
+    let count = 0;
+    actual.forEach((value, i) => {
+        if (value !== 0) {
+            sum += Math.abs((predictions[i] - value) / value);
+            count++;
+        }
+    });
+    return count > 0 ? (sum / count) * 100 : NaN;
+}
+
+/**
+ * Symmetric mean absolute percentage error
+ * @param {Array} predictions - Predicted values
+ * @param {Array} actual - Actual values
+ * @returns {number} sMAPE in percent (0-200)
+ */
+function smape(predictions, actual) {
+    assertSameLength(predictions, actual);
+    const sum = actual.reduce((acc, value, i) => {
+        const denominator = Math.abs(value) + Math.abs(predictions[i]);
+        return acc + (denominator === 0 ? 0 : 2 * Math.abs(predictions[i] - value) / denominator);
+    }, 0);
+    return (sum / actual.length) * 100;
+}
+
+/**
+ * In-sample mean absolute error of the (seasonal) naive forecast, used to scale MASE
+ * @param {Array} series - Training series, oldest first
+ * @param {number} lag - Naive lag (1 = random walk)
+ * @returns {number} Scale
+ */
+function naiveScale(series, lag = 1) {
+    if (series.length <= lag) {
+        throw new Error(`Need more than ${lag} values to compute the naive scale`);
+    }
+    let sum = 0;
+    for (let i = lag; i < series.length; i++) {
+        sum += Math.abs(series[i] - series[i - lag]);
+    }
+    return sum / (series.length - lag);
+}
+
+/**
+ * Mean absolute scaled error
+ * @param {Array} predictions - Predicted values
+ * @param {Array} actual - Actual values
+ * @param {number} scale - Naive in-sample MAE (see naiveScale)
+ * @returns {number} MASE (< 1 beats the in-sample naive forecast)
+ */
+function mase(predictions, actual, scale) {
+    return scale > 0 ? mae(predictions, actual) / scale : NaN;
+}
+
+/**
+ * Directional accuracy: share of forecasts that get the up/down move right
+ * relative to the last observed value
+ * @param {Array} predictions - Predicted values
+ * @param {Array} actual - Actual values
+ * @param {Array} reference - Last observed value for each forecast
+ * @returns {number} Hit rate in [0, 1]
+ */
+function directionalAccuracy(predictions, actual, reference) {
+    assertSameLength(predictions, actual);
+    assertSameLength(reference, actual);
+    const hits = actual.reduce((acc, value, i) =>
+        acc + (Math.sign(predictions[i] - reference[i]) === Math.sign(value - reference[i]) ? 1 : 0), 0);
+    return hits / actual.length;
+}
+
+/**
+ * Theil's U2: RMSE of the forecast relative to the RMSE of the no-change forecast
+ * @param {Array} predictions - Predicted values
+ * @param {Array} actual - Actual values
+ * @param {Array} reference - Last observed value for each forecast
+ * @returns {number} U (< 1 beats the random walk)
+ */
+function theilsU(predictions, actual, reference) {
+    assertSameLength(predictions, actual);
+    assertSameLength(reference, actual);
+    const naiveError = rmse(reference, actual);
+    return naiveError > 0 ? rmse(predictions, actual) / naiveError : NaN;
+}
+
+/**
+ * Share of actual values falling inside their prediction interval
+ * @param {Array} lower - Lower bounds
+ * @param {Array} upper - Upper bounds
+ * @param {Array} actual - Actual values
+ * @returns {number} Empirical coverage in [0, 1]
+ */
+function intervalCoverage(lower, upper, actual) {
+    assertSameLength(lower, actual);
+    assertSameLength(upper, actual);
+    const inside = actual.reduce((acc, value, i) => acc + (value >= lower[i] && value <= upper[i] ? 1 : 0), 0);
+    return inside / actual.length;
+}
+
+/**
+ * Mean interval width
+ * @param {Array} lower - Lower bounds
+ * @param {Array} upper - Upper bounds
+ * @returns {number} Average upper - lower
+ */
+function intervalWidth(lower, upper) {
+    assertSameLength(lower, upper);
+    return upper.reduce((acc, value, i) => acc + (value - lower[i]), 0) / upper.length;
+}
+
+/**
+ * Compute the full metric suite for each forecast day
+ * @param {Array<Array>} predictions - Predictions [samples][days] (denormalized)
+ * @param {Array<Array>} actual - Actual values [samples][days] (denormalized)
+ * @param {Object} options - Evaluation options
+ * @param {Array} options.reference - Last observed value for each sample
+ * @param {number} options.scale - MASE scale (see naiveScale)
+ * @returns {Object} { byDay: [metrics for day 1..n], overall: metrics over all days }
+ */
+function evaluateByHorizon(predictions, actual, options = {}) {
+    assertSameLength(predictions, actual);
+
+    const { reference = null, scale = null } = options;
+    const days = actual[0].length;
+
+    const evaluate = (pred, act, ref) => ({
+        rmse: rmse(pred, act),
+        mae: mae(pred, act),
+        mape: mape(pred, act),
+        smape: smape(pred, act),
+        mase: scale !== null ? mase(pred, act, scale) : NaN,
+        directionalAccuracy: ref ? directionalAccuracy(pred, act, ref) : NaN,
+        theilsU: ref ? theilsU(pred, act, ref) : NaN
+    });
+
+    const byDay = Array.from({ length: days }, (_, day) => ({
+        day: day + 1,
+        ...evaluate(
+            predictions.map(row => row[day]),
+            actual.map(row => row[day]),
+            reference
+        )
+    }));
+
+    const overall = evaluate(
+        predictions.flat(),
+        actual.flat(),
+        reference ? actual.flatMap((row, i) => row.map(() => reference[i])) : null
+    );
+
+    return { byDay, overall };
+}
+
+export {
+    rmse,
+    mae,
+    mape,
+    smape,
+    naiveScale,
+    mase,
+    directionalAccuracy,
+    theilsU,
+    intervalCoverage,
+    intervalWidth,
+    evaluateByHorizon
+};
@@ -0,0 +1,195 @@
+// model-store.js
+/**
+ * Model Persistence Module
+ * Saves and loads a trained GRU together with its scalers, feature schema and history
+ * (IndexedDB + localStorage in the browser, or downloadable files)
+ */
+
+import { downloadText } from './browser-io.js';
+
+// Bundle format written next to the TF.js weights
+const BUNDLE_FORMAT = 'sp500-gru-bundle';
+const BUNDLE_VERSION = 1;
+const STORAGE_PREFIX = 'sp500-gru';
+
+class ModelStore {
+    /**
+     * Create the metadata bundle for a trained model
+     * @param {GRUModel} gruModel - Trained model wrapper
+     * @param {DataLoader} dataLoader - Loader holding the normalization state
+     * @param {string} name - Model name
+     * @returns {Object} Versioned bundle
+     */
+    createBundle(gruModel, dataLoader, name) {
+        return {
+            format: BUNDLE_FORMAT,
+            version: BUNDLE_VERSION,
+            name,
+            savedAt: new Date().toISOString(),
+            model: gruModel.getState(),
+            data: dataLoader.getState()
+        };
+    }
+
+    /**
+     * Check the bundle format and version
+     * @param {Object} bundle - Parsed bundle
+     */
+    validateBundle(bundle) {
+        if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+            throw new Error('Not a saved S&P 500 GRU model bundle');
+        }
+        if (bundle.version > BUNDLE_VERSION) {
+            throw new Error(`Bundle version ${bundle.version} is newer than supported version ${BUNDLE_VERSION}`);
+        }
+        if (!bundle.model || !bundle.data) {
+            throw new Error('Bundle is missing model or data state');
+        }
+    }
+
+    /**
+     * Save the model to IndexedDB and its bundle to localStorage
+     * @param {GRUModel} gruModel - Trained model wrapper
+     * @param {DataLoader} dataLoader - Loader holding the normalization state
+     * @param {string} name - Model name
+     * @returns {Promise<Object>} Saved bundle
+     */
+    async saveToBrowser(gruModel, dataLoader, name) {
+        const bundle = this.createBundle(gruModel, dataLoader, name);
+
+        await gruModel.model.save(`indexeddb://${STORAGE_PREFIX}/${name}`);
+        localStorage.setItem(`${STORAGE_PREFIX}/${name}`, JSON.stringify(bundle));
+
+        console.log(`Model saved to browser storage as ${name}`);
+        return bundle;
+    }
+
+    /**
+     * List models saved in browser storage
+     * @returns {Array<Object>} Saved bundles, newest first
+     */
+    listSaved() {
+        const bundles = [];
+
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key.startsWith(`${STORAGE_PREFIX}/`)) {
+                continue;
+            }
+
+            try {
+                bundles.push(JSON.parse(localStorage.getItem(key)));
+            } catch (error) {
+                console.warn(`Skipping unreadable bundle ${key}:`, error);
+            }
+        }
+
+        return bundles.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    }
+
+    /**
+     * Load a model saved in browser storage
+     * @param {string} name - Model name
+     * @param {GRUModel} gruModel - Wrapper that receives the loaded model
+     * @param {DataLoader} dataLoader - Loader that receives the normalization state
+     * @returns {Promise<Object>} Loaded bundle
+     */
+    async loadFromBrowser(name, gruModel, dataLoader) {
+        const stored = localStorage.getItem(`${STORAGE_PREFIX}/${name}`);
+        if (!stored) {
+            throw new Error(`No saved model named ${name}`);
+        }
+
+        return this.restore(
+            JSON.parse(stored),
+            () => tf.loadLayersModel(`indexeddb://${STORAGE_PREFIX}/${name}`),
+            gruModel,
+            dataLoader
+        );
+    }
+
+    /**
+     * Delete a model from browser storage
+     * @param {string} name - Model name
+     */
+    async deleteFromBrowser(name) {
+        await tf.io.removeModel(`indexeddb://${STORAGE_PREFIX}/${name}`);
+        localStorage.removeItem(`${STORAGE_PREFIX}/${name}`);
+    }
+
+    /**
+     * Download the model (model.json + weights) and its bundle file
+     * @param {GRUModel} gruModel - Trained model wrapper
+     * @param {DataLoader} dataLoader - Loader holding the normalization state
+     * @param {string} name - Model name
+     * @returns {Promise<Object>} Downloaded bundle
+     */
+    async download(gruModel, dataLoader, name) {
+        const bundle = this.createBundle(gruModel, dataLoader, name);
+
+        await gruModel.model.save(`downloads://${name}`);
+        downloadText(`${name}.bundle.json`, JSON.stringify(bundle, null, 2), 'application/json');
+
+        console.log(`Model ${name} downloaded`);
+        return bundle;
+    }
+
+    /**
+     * Load a model from user-selected files
+     * @param {FileList|Array<File>} files - model.json, weight .bin file(s) and .bundle.json
+     * @param {GRUModel} gruModel - Wrapper that receives the loaded model
+     * @param {DataLoader} dataLoader - Loader that receives the normalization state
+     * @returns {Promise<Object>} Loaded bundle
+     */
+    async loadFromFiles(files, gruModel, dataLoader) {
+        const list = Array.from(files);
+        const bundleFile = list.find(f => f.name.endsWith('.bundle.json'));
+        const modelFile = list.find(f => f.name.endsWith('.json') && f !== bundleFile);
+        const weightFiles = list.filter(f => f.name.endsWith('.bin'));
+
+        if (!bundleFile || !modelFile || weightFiles.length === 0) {
+            throw new Error('Select the model .json, its weights .bin and the .bundle.json file');
+        }
+
+        const bundle = JSON.parse(await bundleFile.text());
+
+        return this.restore(
+            bundle,
+            () => tf.loadLayersModel(tf.io.browserFiles([modelFile, ...weightFiles])),
+            gruModel,
+            dataLoader
+        );
+    }
+
+    /**
+     * Validate a bundle against the loaded data, then load and adopt the model
+     * @param {Object} bundle - Parsed bundle
+     * @param {Function} loadLayersModel - Returns a promise for the tf.LayersModel
+     * @param {GRUModel} gruModel - Wrapper that receives the loaded model
+     * @param {DataLoader} dataLoader - Loader that receives the normalization state
+     * @returns {Promise<Object>} Loaded bundle
+     */
+    async restore(bundle, loadLayersModel, gruModel, dataLoader) {
+        this.validateBundle(bundle);
+
+        // Refuse before touching any state if the schema does not match
+        dataLoader.validateState(bundle.data);
+
+        const model = await loadLayersModel();
+
+        try {
+            gruModel.setLoadedModel(model, bundle.model);
+        } catch (error) {
+            model.dispose();
+            throw error;
+        }
+        dataLoader.applyState(bundle.data);
+
+        console.log(`Loaded model ${bundle.name} (saved ${bundle.savedAt})`);
+        return bundle;
+    }
+}
+
+// Export singleton instance
+export const modelStore = new ModelStore();
+export { ModelStore, BUNDLE_VERSION };
@@ -0,0 +1,137 @@
+// node-io.js
+/**
+ * Node File I/O Module
+ * Loads TensorFlow.js, reads CSV files from disk and saves/loads models as files, in the same
+ * layout the browser download produces (<name>.json, <name>.weights.bin, <name>.bundle.json)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { modelStore } from './model-store.js';
+
+/**
+ * Make the tf namespace global, as the script tag does in the browser
+ * @param {string} backend - 'node', 'cpu' or undefined (tfjs-node if installed, else cpu)
+ * @returns {Promise<string>} Backend in use
+ */
+async function loadTensorFlow(backend) {
+    if (backend !== 'cpu') {
+        try {
+            const tfNode = await import('@tensorflow/tfjs-node');
+            globalThis.tf = tfNode.default ?? tfNode;
+            return tf.getBackend();
+        } catch (error) {
+            if (backend === 'node') {
+                throw new Error(`@tensorflow/tfjs-node is not available: ${error.message}`);
+            }
+        }
+    }
+
+    const tfjs = await import('@tensorflow/tfjs');
+    globalThis.tf = tfjs.default ?? tfjs;
+    await tf.setBackend('cpu');
+    return tf.getBackend();
+}
+
+/**
+ * Read CSV files as sources for DataLoader.parseSources
+ * The first file is the primary series; the others become exogenous columns.
+ * @param {Array<string>} paths - CSV file paths
+ * @returns {Array<Object>} [{ name, text }]
+ */
+function readCSVSources(paths) {
+    if (paths.length === 0) {
+        throw new Error('No CSV file given');
+    }
+
+    return paths.map(file => ({
+        name: path.basename(file).replace(/\.[^.]*$/, ''),
+        text: fs.readFileSync(file, 'utf8')
+    }));
+}
+
+/**
+ * Save the model weights, topology and bundle into a directory
+ * @param {GRUModel} gruModel - Trained model wrapper
+ * @param {DataLoader} dataLoader - Loader holding the normalization state
+ * @param {string} dir - Output directory (created if missing)
+ * @param {string} name - Model name, used for the file names
+ * @param {Object} source - How the training data was read, so forecasts can reload it
+ * @returns {Promise<Object>} Saved bundle
+ */
+async function saveModelDir(gruModel, dataLoader, dir, name, source = null) {
+    fs.mkdirSync(dir, { recursive: true });
+    const bundle = { ...modelStore.createBundle(gruModel, dataLoader, name), source };
+    const weightsFile = `${name}.weights.bin`;
+
+    await gruModel.model.save(tf.io.withSaveHandler(async artifacts => {
+        const modelJSON = {
+            modelTopology: artifacts.modelTopology,
+            format: artifacts.format,
+            generatedBy: artifacts.generatedBy,
+            convertedBy: artifacts.convertedBy,
+            weightsManifest: [{ paths: [`./${weightsFile}`], weights: artifacts.weightSpecs }]
+        };
+        const weightData = tf.io.concatenateArrayBuffers([].concat(artifacts.weightData));
+
+        fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify(modelJSON));
+        fs.writeFileSync(path.join(dir, weightsFile), Buffer.from(weightData));
+        return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+    }));
+
+    fs.writeFileSync(path.join(dir, `${name}.bundle.json`), JSON.stringify(bundle, null, 2));
+
+    console.log(`Model ${name} saved to ${dir}`);
+    return bundle;
+}
+
+/**
+ * Read the bundle of a saved model directory
+ * @param {string} dir - Model directory
+ * @returns {Object} Parsed bundle
+ */
+function readBundle(dir) {
+    const file = fs.readdirSync(dir).find(f => f.endsWith('.bundle.json'));
+    if (!file) {
+        throw new Error(`No .bundle.json file in ${dir}`);
+    }
+
+    const bundle = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    modelStore.validateBundle(bundle);
+    return bundle;
+}
+
+/**
+ * Load a saved model directory into the model wrapper and data loader
+ * The loader must already hold data with the columns the model was trained on.
+ * @param {string} dir - Model directory
+ * @param {GRUModel} gruModel - Wrapper that receives the loaded model
+ * @param {DataLoader} dataLoader - Loader that receives the normalization state
+ * @returns {Promise<Object>} Loaded bundle
+ */
+async function loadModelDir(dir, gruModel, dataLoader) {
+    const bundle = readBundle(dir);
+    const modelPath = path.join(dir, `${bundle.name}.json`);
+    if (!fs.existsSync(modelPath)) {
+        throw new Error(`Model topology ${modelPath} not found`);
+    }
+
+    const loadLayersModel = () => {
+        const { modelTopology, weightsManifest } = JSON.parse(fs.readFileSync(modelPath, 'utf8'));
+        const weightSpecs = weightsManifest.flatMap(group => group.weights);
+        const buffers = weightsManifest.flatMap(group => group.paths).map(file => {
+            const data = fs.readFileSync(path.join(dir, file));
+            return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+        });
+
+        return tf.loadLayersModel(tf.io.fromMemory({
+            modelTopology,
+            weightSpecs,
+            weightData: tf.io.concatenateArrayBuffers(buffers)
+        }));
+    };
+
+    return modelStore.restore(bundle, loadLayersModel, gruModel, dataLoader);
+}
+
+export { loadTensorFlow, readCSVSources, saveModelDir, readBundle, loadModelDir };
@@ -0,0 +1,223 @@
+// pipeline.js
+/**
+ * Headless Pipeline Module
+ * Data preparation, training with test evaluation, and next-day forecasting
+ * on explicit DataLoader/GRUModel instances, shared by the CLI and the HTTP server
+ */
+
+import { csvParser } from './csv-parser.js';
+import { TradingCalendar } from './trading-calendar.js';
+import { evaluateByHorizon, naiveScale } from './metrics.js';
+
+// Training settings used when a request or flag leaves them out (the app's defaults)
+const DEFAULT_TRAIN_SETTINGS = {
+    sequenceLength: 60,
+    forecastDays: 5,
+    trainTestSplit: 0.8,
+    scalingMethod: 'minmax',
+    targetTransform: 'price',
+    features: [],
+    gruUnits: 50,
+    layers: 1,
+    dropout: 0.2,
+    learningRate: 0.001,
+    architecture: undefined,
+    batchSize: 32,
+    epochs: 50,
+    patience: 10,
+    strategy: 'direct',
+    seed: null // Global seed or a new one per run; the seed used is reported
+};
+
+/**
+ * Parse CSV sources, pick columns and handle gaps
+ * The resolved target and input columns are written back to source so a saved
+ * model can rebuild the same inputs later.
+ * @param {DataLoader} loader - Loader that receives the data
+ * @param {Array<Object>} sources - [{ name, text }], primary series first
+ * @param {Object} source - { join, fillForward, target, inputs, gaps } (gaps: GapHandler options)
+ * @returns {Object} Gap report
+ */
+function prepareData(loader, sources, source = {}) {
+    loader.parseSources(sources, {
+        join: source.join || 'inner',
+        fillForward: source.fillForward !== false,
+        targetColumn: source.target || undefined
+    });
+    if (source.target || source.inputs) {
+        loader.selectColumns(source.target || null, source.inputs || null);
+    }
+    source.target = loader.targetColumn;
+    source.inputs = loader.featureColumns.filter(column => column !== loader.targetColumn);
+
+    return loader.handleGaps(source.gaps || {});
+}
+
+/**
+ * Build and train a model on prepared data, then evaluate it on the test split
+ * Test metrics are in price units, as in the app's evaluation table.
+ * @param {DataLoader} loader - Loader holding prepared data
+ * @param {GRUModel} model - Model wrapper to build and train
+ * @param {Object} settings - Overrides of DEFAULT_TRAIN_SETTINGS
+ * @param {Object} callbacks - Training callbacks
+ * @param {Function} callbacks.onEpochEnd - Called with (epoch, logs, epochs)
+ * @returns {Promise<Object>} Training summary with per-horizon test metrics
+ */
+async function trainAndEvaluate(loader, model, settings = {}, callbacks = {}) {
+    const config = { ...DEFAULT_TRAIN_SETTINGS, ...settings };
+
+    loader.sequenceLength = config.sequenceLength;
+    loader.forecastDays = config.forecastDays;
+    loader.trainTestSplit = config.trainTestSplit;
+    loader.scalingMethod = config.scalingMethod;
+    loader.targetTransform = config.targetTransform;
+    loader.engineerFeatures(config.features);
+    const datasets = loader.preprocessData();
+    let split = null;
+
+    try {
+        // Early stopping watches a validation tail of the training windows; the test split is only evaluated
+        split = loader.splitValidation(datasets);
+
+        model.buildFromDataset(datasets, config.gruUnits, {
+            layers: config.layers,
+            dropout: config.dropout,
+            learningRate: config.learningRate,
+            architecture: config.architecture,
+            seed: config.seed
+        });
+        console.log(model.getSummary());
+
+        const history = await model.train(split.xFit, split.yFit, split.xVal, split.yVal, {
+            epochs: config.epochs,
+            batchSize: config.batchSize,
+            controller: { patience: config.patience },
+            onEpochEnd: (epoch, logs) => {
+                if (callbacks.onEpochEnd) {
+                    callbacks.onEpochEnd(epoch, logs, config.epochs);
+                }
+            }
+        });
+        const { hash, rows, lastDate } = loader.getFingerprint();
+        model.recordVersion('train', {
+            data: { hash, rows, lastDate },
+            epochs: history.epochs.length,
+            seed: history.seed
+        });
+
+        const denormalize = loader.createTargetDenormalizer(loader.splitIndex);
+        const predictions = model.forecastBatch(datasets.X_test, { strategy: config.strategy }).map(denormalize);
+        const actual = datasets.y_test.arraySync().map(denormalize);
+        const metrics = evaluateByHorizon(predictions, actual, {
+            reference: loader.getLastObserved(loader.splitIndex, actual.length),
+            scale: naiveScale(loader.getTrainTargetValues())
+        });
+
+        return {
+            rows: loader.data.length,
+            target: loader.targetColumn,
+            features: [...loader.featureColumns],
+            sequenceLength: loader.sequenceLength,
+            forecastDays: loader.forecastDays,
+            trainSamples: datasets.X_train.shape[0],
+            testSamples: datasets.X_test.shape[0],
+            epochs: history.epochs.length,
+            bestEpoch: history.bestEpoch,
+            stopReason: history.stopReason,
+            seed: history.seed,
+            strategy: config.strategy,
+            metrics
+        };
+    } finally {
+        ['X_train', 'y_train', 'X_test', 'y_test'].forEach(key => datasets[key].dispose());
+        if (split) {
+            Object.values(split).forEach(tensor => tensor.dispose());
+        }
+    }
+}
+
+/**
+ * Forecast the trading days after the last loaded row
+ * @param {GRUModel} model - Trained or loaded model
+ * @param {DataLoader} loader - Loader with data and the model's normalization state
+ * @param {Object} options - Forecast options
+ * @param {string} options.strategy - 'direct', 'recursive' or 'hybrid'
+ * @param {number} options.samples - Monte Carlo dropout passes for interval bands (0: none)
+ * @param {string} options.calendar - Trading calendar used to date the forecast days
+ * @returns {Object} { target, lastDate, lastClose, strategy, forecast: [{ day, date, price, lower_<level>, upper_<level> }] }
+ */
+function forecastNext(model, loader, options = {}) {
+    const { strategy = 'direct', samples = 0, calendar = 'nyse' } = options;
+
+    if (loader.data.length < loader.sequenceLength) {
+        throw new Error(`Need at least ${loader.sequenceLength} rows after preprocessing, got ${loader.data.length}`);
+    }
+
+    const latestWindow = loader.getLatestWindow();
+    const lastClose = loader.getLatestReference();
+    let prices;
+    let bands = {};
+
+    try {
+        prices = loader.denormalizeArray(model.forecast(latestWindow, { strategy }), 'target', lastClose);
+        if (samples > 0) {
+            [{ bands }] = model.forecastIntervals(latestWindow, { strategy, samples });
+        }
+    } finally {
+        latestWindow.dispose();
+    }
+
+    // Return bands are chained from the last close like the point forecast, which errs wide
+    const intervals = Object.entries(bands).map(([level, band]) => ({
+        level,
+        lower: loader.denormalizeArray(band.lower, 'target', lastClose),
+        upper: loader.denormalizeArray(band.upper, 'target', lastClose)
+    }));
+
+    const lastRow = loader.data[loader.data.length - 1];
+    const dates = lastRow.timestamp !== undefined
+        ? new TradingCalendar(calendar || 'nyse')
+            .nextTradingDays(lastRow.timestamp, prices.length)
+            .map(timestamp => csvParser.formatDate(timestamp))
+        : prices.map(() => null);
+
+    const forecast = prices.map((price, i) => {
+        const row = { day: i + 1, date: dates[i], price };
+        intervals.forEach(({ level, lower, upper }) => {
+            row[`lower_${level}`] = lower[i];
+            row[`upper_${level}`] = upper[i];
+        });
+        return row;
+    });
+
+    return {
+        target: loader.targetColumn,
+        lastDate: lastRow.Date ?? null,
+        lastClose,
+        strategy,
+        forecast
+    };
+}
+
+/**
+ * Format rows as CSV
+ * @param {Array<Object>} rows - Rows with the same keys
+ * @returns {string} CSV text
+ */
+function toCSV(rows) {
+    if (rows.length === 0) {
+        return '';
+    }
+
+    const headers = Object.keys(rows[0]);
+    const cell = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [headers, ...rows.map(row => headers.map(key => row[key]))]
+        .map(values => values.map(cell).join(','))
+        .join('\n') + '\n';
+}
+
+export { DEFAULT_TRAIN_SETTINGS, prepareData, trainAndEvaluate, forecastNext, toCSV };
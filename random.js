@@ -0,0 +1,113 @@
+// random.js
+/**
+ * Seeded Randomness Module
+ * Mulberry32 PRNG and the global seed setting for reproducible runs.
+ *
+ * TF.js ops take explicit seeds from these generators (weight initializers, dropout masks),
+ * and training shuffles with them, so Math.random is never replaced and other work on the
+ * thread (e.g. Monte Carlo forecasts between epochs) cannot disturb a seeded run.
+ * Results are reproducible on the same backend.
+ */
+
+// Seed used when a run does not pass one; null draws a new seed per run
+let globalSeed = null;
+
+/**
+ * Check and convert a seed to an unsigned 32-bit integer
+ * @param {number|string} seed - Seed
+ * @returns {number} Seed in [0, 2^32)
+ */
+function normalizeSeed(seed) {
+    const value = Number(seed);
+    if (!Number.isInteger(value) || value < 0 || value > 0xFFFFFFFF) {
+        throw new Error(`Seed must be an integer from 0 to ${0xFFFFFFFF}, got ${seed}`);
+    }
+    return value;
+}
+
+/**
+ * @param {number|string|null} seed - Seed for runs and generators; null or '' for a new seed per run
+ */
+function setGlobalSeed(seed) {
+    globalSeed = seed === null || seed === undefined || seed === '' ? null : normalizeSeed(seed);
+}
+
+/**
+ * @returns {number|null} Global seed
+ */
+function getGlobalSeed() {
+    return globalSeed;
+}
+
+/**
+ * Pick the seed for a run: the given one, else the global seed, else a new one
+ * The result is always a number so it can be recorded with the run.
+ * @param {number|string|null} seed - Explicit seed
+ * @returns {number} Seed
+ */
+function resolveSeed(seed = null) {
+    if (seed !== null && seed !== undefined && seed !== '') {
+        return normalizeSeed(seed);
+    }
+    return globalSeed !== null ? globalSeed : Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * Mulberry32 generator
+ * @param {number} seed - Seed
+ * @returns {Function} Returns uniform numbers in [0, 1) like Math.random
+ */
+function createRandom(seed) {
+    let state = normalizeSeed(seed);
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    };
+}
+
+/**
+ * Derive an independent seed for a sub-task (e.g. 'train', a trial or fold number)
+ * @param {number} seed - Parent seed
+ * @param {string|number} key - Sub-task key
+ * @returns {number} Derived seed
+ */
+function deriveSeed(seed, key) {
+    // FNV-1a over the key, mixed into the parent seed
+    let hash = 0x811C9DC5 ^ normalizeSeed(seed);
+    for (const char of String(key)) {
+        hash = Math.imul(hash ^ char.charCodeAt(0), 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Integer seeds for TF.js ops that accept one, drawn from a generator seeded with seed
+ * @param {number} seed - Seed
+ * @returns {Function} Returns a new seed in [0, 2^32) on each call
+ */
+function createSeedSequence(seed) {
+    const random = createRandom(seed);
+    return () => Math.floor(random() * 0x100000000);
+}
+
+/**
+ * Shuffle an array in place (Fisher-Yates)
+ * @param {Array} array - Array to shuffle
+ * @param {Function} random - Generator from createRandom
+ * @returns {Array} The array
+ */
+function shuffleInPlace(array, random) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+}
+
+export {
+    setGlobalSeed, getGlobalSeed, resolveSeed, normalizeSeed, createRandom, deriveSeed,
+    createSeedSequence, shuffleInPlace
+};
@@ -0,0 +1,263 @@
+// scalers.js
+/**
+ * Feature Scaling Module
+ * Invertible scalers fitted on the training split only; state is plain JSON for model bundles
+ */
+
+const SCALING_METHODS = ['minmax', 'zscore', 'robust', 'log', 'window'];
+
+/**
+ * Linear-interpolated quantile of a sorted array
+ * @param {Array} sorted - Values in ascending order
+ * @param {number} q - Quantile in [0, 1]
+ * @returns {number} Quantile value
+ */
+function quantile(sorted, q) {
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Mean and standard deviation (population)
+ * @param {Array} values - Values
+ * @returns {Object} { mean, std } with std replaced by 1 for constant series
+ */
+function meanStd(values) {
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    const variance = values.reduce((acc, v) => acc + (v - mean) ** 2, 0) / values.length;
+    return { mean, std: Math.sqrt(variance) || 1 };
+}
+
+class Scaler {
+    /**
+     * @param {string} method - Scaling method
+     * @param {Object} params - Fitted parameters
+     */
+    constructor(method, params = null) {
+        this.method = method;
+        this.params = params;
+    }
+
+    /**
+     * Fit the scaler parameters
+     * @param {Array} values - Training values
+     * @returns {Scaler} this
+     */
+    fit(values) {
+        if (values.length === 0) {
+            throw new Error(`Cannot fit ${this.method} scaler on an empty series`);
+        }
+        this.params = this.computeParams(values);
+        return this;
+    }
+
+    /**
+     * Scale values
+     * @param {Array} values - Raw values
+     * @param {number} reference - Reference value (per-window scaling only)
+     * @returns {Array} Scaled values
+     */
+    transform(values, reference = null) {
+        return values.map(value => this.transformValue(value, reference));
+    }
+
+    /**
+     * Undo the scaling
+     * @param {Array} values - Scaled values
+     * @param {number} reference - Reference value (per-window scaling only)
+     * @returns {Array} Raw values
+     */
+    inverse(values, reference = null) {
+        return values.map(value => this.inverseValue(value, reference));
+    }
+
+    /**
+     * Serializable scaler state
+     * @returns {Object} { method, ...params }
+     */
+    getState() {
+        if (!this.params) {
+            throw new Error(`${this.method} scaler is not fitted`);
+        }
+        return { method: this.method, ...this.params };
+    }
+
+    computeParams(values) {
+        throw new Error(`${this.method} scaler does not implement computeParams`);
+    }
+
+    transformValue(value) {
+        throw new Error(`${this.method} scaler does not implement transformValue`);
+    }
+
+    inverseValue(value) {
+        throw new Error(`${this.method} scaler does not implement inverseValue`);
+    }
+}
+
+/**
+ * Min-max scaling to [0, 1] over the training range
+ */
+class MinMaxScaler extends Scaler {
+    constructor(params = null) {
+        super('minmax', params);
+    }
+
+    computeParams(values) {
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        return { min, max, range: max - min || 1 };
+    }
+
+    transformValue(value) {
+        return (value - this.params.min) / this.params.range;
+    }
+
+    inverseValue(value) {
+        return value * this.params.range + this.params.min;
+    }
+}
+
+/**
+ * Standardization to zero mean and unit variance
+ */
+class ZScoreScaler extends Scaler {
+    constructor(params = null) {
+        super('zscore', params);
+    }
+
+    computeParams(values) {
+        return meanStd(values);
+    }
+
+    transformValue(value) {
+        return (value - this.params.mean) / this.params.std;
+    }
+
+    inverseValue(value) {
+        return value * this.params.std + this.params.mean;
+    }
+}
+
+/**
+ * Median / interquartile-range scaling, insensitive to crash-day outliers
+ */
+class RobustScaler extends Scaler {
+    constructor(params = null) {
+        super('robust', params);
+    }
+
+    computeParams(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        return {
+            median: quantile(sorted, 0.5),
+            iqr: (quantile(sorted, 0.75) - quantile(sorted, 0.25)) || 1
+        };
+    }
+
+    transformValue(value) {
+        return (value - this.params.median) / this.params.iqr;
+    }
+
+    inverseValue(value) {
+        return value * this.params.iqr + this.params.median;
+    }
+}
+
+/**
+ * log(1 + x) followed by standardization; needs non-negative values
+ */
+class LogScaler extends Scaler {
+    constructor(params = null) {
+        super('log', params);
+    }
+
+    computeParams(values) {
+        if (values.some(value => value < 0)) {
+            throw new Error('Log scaling needs non-negative values');
+        }
+        return meanStd(values.map(Math.log1p));
+    }
+
+    transformValue(value) {
+        return (Math.log1p(value) - this.params.mean) / this.params.std;
+    }
+
+    inverseValue(value) {
+        return Math.expm1(value * this.params.std + this.params.mean);
+    }
+}
+
+/**
+ * Per-window scaling relative to the window's last close: x / close - 1
+ * (x unchanged when the close is zero). Stateless; the reference comes with each window.
+ */
+class WindowScaler extends Scaler {
+    constructor() {
+        super('window', {});
+    }
+
+    computeParams() {
+        return {};
+    }
+
+    transformValue(value, reference) {
+        if (reference === null) {
+            throw new Error('Per-window scaling needs the window reference value');
+        }
+        return reference === 0 ? value : value / reference - 1;
+    }
+
+    inverseValue(value, reference) {
+        if (reference === null) {
+            throw new Error('Per-window scaling needs the window reference value');
+        }
+        return reference === 0 ? value : (value + 1) * reference;
+    }
+}
+
+/**
+ * Create an unfitted scaler
+ * @param {string} method - One of SCALING_METHODS
+ * @returns {Scaler} Scaler
+ */
+function createScaler(method) {
+    switch (method) {
+        case 'minmax': return new MinMaxScaler();
+        case 'zscore': return new ZScoreScaler();
+        case 'robust': return new RobustScaler();
+        case 'log': return new LogScaler();
+        case 'window': return new WindowScaler();
+        default:
+            throw new Error(`Unknown scaling method "${method}" (expected ${SCALING_METHODS.join(', ')})`);
+    }
+}
+
+/**
+ * Rebuild a fitted scaler from getState output
+ * States without a method come from bundles saved before scalers were selectable and are min-max.
+ * @param {Object} state - Scaler state
+ * @returns {Scaler} Fitted scaler
+ */
+function restoreScaler(state) {
+    const { method = 'minmax', ...params } = state;
+    const scaler = createScaler(method);
+    if (method !== 'window') {
+        scaler.params = params;
+    }
+    return scaler;
+}
+
+export {
+    SCALING_METHODS,
+    Scaler,
+    MinMaxScaler,
+    ZScoreScaler,
+    RobustScaler,
+    LogScaler,
+    WindowScaler,
+    createScaler,
+    restoreScaler
+};
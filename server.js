@@ -0,0 +1,560 @@
+#!/usr/bin/env node
+// server.js
+/**
+ * Forecast Server
+ * Local HTTP API over saved models, for dashboards that need forecasts without the browser page.
+ * Runs offline: models are directories written by the CLI (or downloaded from the app) under --models.
+ * Training jobs may only read CSV files under --data; cross-origin callers need --cors <origin>.
+ *
+ *   GET    /health          Backend, uptime, model and job counts
+ *   GET    /models          Saved models with their data schema
+ *   POST   /forecast        { model, prices | rows | csv, strategy, samples } -> forecast with intervals
+ *   POST   /train           { name, csv | csvPath, ...training settings } -> 202 with a job to poll
+ *   GET    /train           All training jobs
+ *   GET    /train/:id       Job status, progress and result
+ *   DELETE /train/:id       Cancel a queued or running job
+ */
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { DataLoader } from './data-loader.js';
+import { GRUModel } from './gru.js';
+import { DEFAULT_TRAIN_SETTINGS, prepareData, trainAndEvaluate, forecastNext, toCSV } from './pipeline.js';
+import { loadTensorFlow, readCSVSources, saveModelDir, readBundle, loadModelDir } from './node-io.js';
+
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+const MAX_SAMPLES = 1000;
+const DEFAULT_SAMPLES = 50;
+// Model names double as directory and file names
+const MODEL_NAME_PATTERN = /^[\w.-]+$/;
+
+const USAGE = `Usage: node server.js [options]
+
+  --models <dir>        Directory of saved models, one subdirectory each (default ./models)
+  --data <dir>          Directory POST /train may read csvPath files from (default ./data)
+  --cors <origin>       Allow browser calls from this origin (default: same origin only)
+  --port <port>         Port to listen on (default 8080)
+  --host <host>         Interface to bind (default 127.0.0.1)
+  --backend <node|cpu>  Force tfjs-node or the pure-JS CPU backend
+`;
+
+/**
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message for the response body
+ * @returns {Error} Error carrying the status
+ */
+function httpError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+class ForecastServer {
+    /**
+     * @param {Object} options - Server options
+     * @param {string} options.modelsDir - Directory of saved model directories
+     * @param {string} options.dataDir - Directory training jobs may read csvPath files from
+     * @param {string} options.corsOrigin - Origin allowed to call the API from a browser (null: none)
+     * @param {string} options.backend - TensorFlow.js backend in use
+     */
+    constructor(options) {
+        this.modelsDir = path.resolve(options.modelsDir);
+        this.dataDir = path.resolve(options.dataDir);
+        this.corsOrigin = options.corsOrigin || null;
+        this.backend = options.backend;
+        this.startedAt = Date.now();
+        this.models = new Map(); // Loaded models by name: { bundle, model }
+        this.jobs = new Map();
+        this.nextJobId = 1;
+        // Training jobs run one at a time; forecasts are served in between epochs
+        this.queue = Promise.resolve();
+
+        fs.mkdirSync(this.modelsDir, { recursive: true });
+    }
+
+    /**
+     * Route a request and write the JSON response
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    async handle(req, res) {
+        // Only a dashboard origin named with --cors may call the API from a browser
+        if (this.corsOrigin) {
+            res.setHeader('Access-Control-Allow-Origin', this.corsOrigin);
+            res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+            res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+            res.setHeader('Vary', 'Origin');
+        }
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204).end();
+            return;
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        const [resource, id, ...rest] = url.pathname.split('/').filter(Boolean);
+
+        try {
+            if (rest.length > 0) {
+                throw httpError(404, `No route for ${url.pathname}`);
+            }
+
+            let status = 200;
+            let body;
+            const route = `${req.method} /${resource || ''}${id ? '/:id' : ''}`;
+
+            switch (route) {
+                case 'GET /health':
+                    body = this.getHealth();
+                    break;
+                case 'GET /models':
+                    body = { models: this.listModels() };
+                    break;
+                case 'POST /forecast':
+                    body = await this.forecast(await readJSON(req));
+                    break;
+                case 'POST /train':
+                    status = 202;
+                    body = this.startTraining(await readJSON(req));
+                    break;
+                case 'GET /train':
+                    body = { jobs: [...this.jobs.values()].map(job => this.describeJob(job)) };
+                    break;
+                case 'GET /train/:id':
+                    body = this.describeJob(this.getJob(id));
+                    break;
+                case 'DELETE /train/:id':
+                    body = this.cancelJob(this.getJob(id));
+                    break;
+                default:
+                    throw httpError(404, `No route for ${req.method} ${url.pathname}`);
+            }
+
+            if (url.searchParams.get('format') === 'csv' && Array.isArray(body.forecast)) {
+                res.writeHead(status, { 'Content-Type': 'text/csv' }).end(toCSV(body.forecast));
+                return;
+            }
+            sendJSON(res, status, body);
+        } catch (error) {
+            const status = error.status || 500;
+            if (status >= 500) {
+                console.error(`${req.method} ${url.pathname} failed:`, error);
+            }
+            sendJSON(res, status, { error: error.message });
+        }
+    }
+
+    /**
+     * @returns {Object} Server status
+     */
+    getHealth() {
+        const jobs = [...this.jobs.values()];
+        return {
+            status: 'ok',
+            backend: this.backend,
+            uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000),
+            models: this.listModels().length,
+            jobs: {
+                queued: jobs.filter(job => job.status === 'queued').length,
+                running: jobs.filter(job => job.status === 'running').length
+            }
+        };
+    }
+
+    /**
+     * Describe every model directory under modelsDir; unreadable ones are skipped
+     * @returns {Array<Object>} Model summaries
+     */
+    listModels() {
+        return fs.readdirSync(this.modelsDir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .flatMap(entry => {
+                try {
+                    const bundle = readBundle(path.join(this.modelsDir, entry.name));
+                    return [{
+                        id: entry.name,
+                        name: bundle.name,
+                        savedAt: bundle.savedAt,
+                        target: bundle.data.targetColumn,
+                        features: bundle.data.featureColumns,
+                        engineeredFeatures: bundle.data.engineeredFeatures || [],
+                        sequenceLength: bundle.data.sequenceLength,
+                        forecastDays: bundle.data.forecastDays,
+                        scalingMethod: bundle.data.scalingMethod,
+                        targetTransform: bundle.data.targetTransform,
+                        model: bundle.model,
+                        // Only models saved by the CLI or server can forecast without posted data
+                        hasSourceData: Boolean(bundle.source && bundle.source.csv)
+                    }];
+                } catch (error) {
+                    return [];
+                }
+            });
+    }
+
+    /**
+     * Resolve a model name to its directory
+     * @param {string} id - Model directory name
+     * @returns {string} Model directory
+     */
+    getModelDir(id) {
+        if (typeof id !== 'string' || !MODEL_NAME_PATTERN.test(id)) {
+            throw httpError(400, 'model must be a model name from GET /models');
+        }
+
+        const dir = path.join(this.modelsDir, id);
+        if (!fs.existsSync(dir)) {
+            throw httpError(404, `Model ${id} not found`);
+        }
+        return dir;
+    }
+
+    /**
+     * Load a model once and reuse it until its bundle is saved again
+     * The loader must hold prepared data; it receives the model's normalization state.
+     * @param {string} id - Model directory name
+     * @param {Object} bundle - The model's current bundle
+     * @param {DataLoader} loader - Request loader
+     * @returns {Promise<GRUModel>} Loaded model
+     */
+    async getModel(id, bundle, loader) {
+        const cached = this.models.get(id);
+        if (cached && cached.bundle.savedAt === bundle.savedAt) {
+            loader.applyState(cached.bundle.data);
+            return cached.model;
+        }
+
+        const model = new GRUModel();
+        await loadModelDir(this.getModelDir(id), model, loader);
+
+        if (cached) {
+            cached.model.dispose();
+        }
+        this.models.set(id, { bundle, model });
+        return model;
+    }
+
+    /**
+     * Forecast the trading days after the posted data (or the model's recorded CSV files)
+     * @param {Object} body - { model, prices | rows | csv, strategy, samples }
+     * @returns {Promise<Object>} Forecast with dates and interval bands
+     */
+    async forecast(body) {
+        const dir = this.getModelDir(body.model);
+        const bundle = readBundle(dir);
+        const source = { ...bundle.source, target: bundle.data.targetColumn };
+        const samples = body.samples === undefined ? DEFAULT_SAMPLES : Number(body.samples);
+
+        if (!Number.isInteger(samples) || samples < 0 || samples > MAX_SAMPLES || samples === 1) {
+            throw httpError(400, `samples must be 0 (no intervals) or an integer from 2 to ${MAX_SAMPLES}`);
+        }
+
+        const loader = new DataLoader();
+        try {
+            try {
+                prepareData(loader, this.getForecastSources(body, bundle), source);
+                loader.validateState(bundle.data);
+            } catch (error) {
+                throw error.status ? error : httpError(400, error.message);
+            }
+
+            const model = await this.getModel(body.model, bundle, loader);
+            let result;
+            try {
+                result = forecastNext(model, loader, {
+                    strategy: body.strategy || 'direct',
+                    samples,
+                    calendar: source.gaps ? source.gaps.calendar : undefined
+                });
+            } catch (error) {
+                throw httpError(400, error.message);
+            }
+
+            return { model: body.model, savedAt: bundle.savedAt, ...result };
+        } finally {
+            loader.dispose();
+        }
+    }
+
+    /**
+     * Turn posted data into CSV sources
+     * prices is a list of target values, oldest first; rows are objects keyed by column
+     * (with an optional Date); csv is CSV text. Without any, the model's recorded files are read.
+     * @param {Object} body - Forecast request
+     * @param {Object} bundle - Model bundle
+     * @returns {Array<Object>} [{ name, text }]
+     */
+    getForecastSources(body, bundle) {
+        if (typeof body.csv === 'string') {
+            return [{ name: 'request', text: body.csv }];
+        }
+        if (Array.isArray(body.rows)) {
+            return [{ name: 'request', text: toCSV(body.rows) }];
+        }
+        if (Array.isArray(body.prices)) {
+            const target = bundle.data.targetColumn;
+            return [{ name: 'request', text: toCSV(body.prices.map(price => ({ [target]: price }))) }];
+        }
+        if (bundle.source && bundle.source.csv) {
+            return readCSVSources(bundle.source.csv);
+        }
+        throw httpError(400, 'Post prices, rows or csv; this model does not record its training data');
+    }
+
+    /**
+     * Resolve csvPath entries against dataDir
+     * @param {string|Array<string>} csvPath - File names relative to dataDir
+     * @returns {Array<string>} Absolute file paths inside dataDir
+     */
+    resolveDataPaths(csvPath) {
+        return [].concat(csvPath).map(file => {
+            if (typeof file !== 'string' || file === '') {
+                throw httpError(400, 'csvPath must be a file name or a list of file names');
+            }
+
+            const resolved = path.resolve(this.dataDir, file);
+            const relative = path.relative(this.dataDir, resolved);
+            if (relative === '' || relative.startsWith('..') || path.isAbsolute(relative)) {
+                throw httpError(400, 'csvPath must name a file inside the server\'s data directory');
+            }
+            return resolved;
+        });
+    }
+
+    /**
+     * Queue a training job
+     * @param {Object} body - { name, csv | csvPath, join, target, inputs, gaps, calendar, ...DEFAULT_TRAIN_SETTINGS keys }
+     * @returns {Object} Job description
+     */
+    startTraining(body) {
+        const { name } = body;
+        if (typeof name !== 'string' || !MODEL_NAME_PATTERN.test(name)) {
+            throw httpError(400, 'name is required and may only contain letters, digits, "_", "-" and "."');
+        }
+        if ([...this.jobs.values()].some(job => job.name === name && ['queued', 'running'].includes(job.status))) {
+            throw httpError(409, `A training job for ${name} is already queued or running`);
+        }
+
+        const csvPaths = body.csvPath === undefined ? [] : this.resolveDataPaths(body.csvPath);
+        let sources;
+        try {
+            sources = typeof body.csv === 'string'
+                ? [{ name, text: body.csv }]
+                : readCSVSources(csvPaths);
+        } catch (error) {
+            if (csvPaths.length === 0) {
+                throw httpError(400, 'Post csv text or a csvPath under the data directory');
+            }
+            // Reader errors name server paths, so they stay in the server log
+            console.error(`Training request for ${name} could not read csvPath:`, error.message);
+            throw httpError(400, 'csvPath could not be read as CSV');
+        }
+
+        const calendar = body.calendar === undefined ? 'nyse' : body.calendar;
+        const source = {
+            // Only local files can be reread for forecasts without posted data
+            csv: typeof body.csv === 'string' ? null : csvPaths,
+            join: body.join || 'inner',
+            fillForward: body.fillForward !== false,
+            target: body.target || null,
+            inputs: body.inputs || null,
+            gaps: {
+                defaultStrategy: body.gaps || 'ffill',
+                calendar: calendar === 'none' ? null : calendar
+            }
+        };
+
+        const settings = {};
+        Object.keys(DEFAULT_TRAIN_SETTINGS)
+            .filter(key => body[key] !== undefined)
+            .forEach(key => { settings[key] = body[key]; });
+
+        const job = {
+            id: String(this.nextJobId++),
+            name,
+            status: 'queued',
+            settings,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            progress: null,
+            result: null,
+            error: null,
+            cancelRequested: false,
+            model: null
+        };
+        this.jobs.set(job.id, job);
+        this.queue = this.queue.then(() => this.runTraining(job, sources, source));
+
+        console.log(`Training job ${job.id} queued for ${name}`);
+        return this.describeJob(job);
+    }
+
+    /**
+     * Train and save a model; the job records progress, result or error
+     * @param {Object} job - Job record
+     * @param {Array<Object>} sources - CSV sources
+     * @param {Object} source - Data options, saved with the model
+     */
+    async runTraining(job, sources, source) {
+        if (job.status !== 'queued') {
+            return;
+        }
+
+        const loader = new DataLoader();
+        job.model = new GRUModel();
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+
+        try {
+            prepareData(loader, sources, source);
+            // A DELETE while the data was prepared stops the job before training starts
+            if (job.cancelRequested) {
+                job.status = 'cancelled';
+                return;
+            }
+
+            const summary = await trainAndEvaluate(loader, job.model, job.settings, {
+                onEpochEnd: (epoch, logs, epochs) => {
+                    job.progress = { epoch: epoch + 1, epochs, loss: logs.loss, valLoss: logs.val_loss };
+                    if (job.cancelRequested) {
+                        job.model.stopTraining();
+                    }
+                }
+            });
+
+            if (job.cancelRequested || summary.stopReason === 'cancelled') {
+                job.status = 'cancelled';
+                return;
+            }
+
+            await saveModelDir(job.model, loader, path.join(this.modelsDir, job.name), job.name, source);
+            job.result = summary;
+            job.status = 'completed';
+        } catch (error) {
+            console.error(`Training job ${job.id} failed:`, error.message);
+            job.error = error.message;
+            job.status = 'failed';
+        } finally {
+            job.model.dispose();
+            job.model = null;
+            loader.dispose();
+            job.finishedAt = new Date().toISOString();
+            console.log(`Training job ${job.id} ${job.status}`);
+        }
+    }
+
+    /**
+     * @param {string} id - Job id
+     * @returns {Object} Job record
+     */
+    getJob(id) {
+        const job = this.jobs.get(id);
+        if (!job) {
+            throw httpError(404, `Training job ${id} not found`);
+        }
+        return job;
+    }
+
+    /**
+     * Cancel a queued job, or stop a running one before training or after the current batch
+     * @param {Object} job - Job record
+     * @returns {Object} Job description
+     */
+    cancelJob(job) {
+        if (job.status === 'queued') {
+            job.status = 'cancelled';
+            job.cancelRequested = true;
+            job.finishedAt = new Date().toISOString();
+        } else if (job.status === 'running') {
+            // Recorded on the job so a job still preparing its data never starts training
+            job.cancelRequested = true;
+            job.model.stopTraining();
+        } else {
+            throw httpError(409, `Training job ${job.id} already ${job.status}`);
+        }
+        return this.describeJob(job);
+    }
+
+    /**
+     * @param {Object} job - Job record
+     * @returns {Object} Job fields for responses
+     */
+    describeJob(job) {
+        const { model, ...fields } = job;
+        return { ...fields, statusUrl: `/train/${job.id}` };
+    }
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readJSON(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(httpError(413, `Request body over ${MAX_BODY_BYTES / 1024 / 1024} MB`));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                const body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+                if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                    throw new Error('body must be a JSON object');
+                }
+                resolve(body);
+            } catch (error) {
+                reject(httpError(400, `Invalid JSON: ${error.message}`));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - JSON body
+ */
+function sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(`${JSON.stringify(body, null, 2)}\n`);
+}
+
+async function main(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        if (!argv[i].startsWith('--') || argv[i] === '--help') {
+            process.stdout.write(USAGE);
+            return;
+        }
+        options[argv[i].slice(2)] = argv[i + 1];
+    }
+
+    const backend = await loadTensorFlow(options.backend);
+    const server = new ForecastServer({
+        modelsDir: options.models || 'models',
+        dataDir: options.data || 'data',
+        corsOrigin: options.cors || null,
+        backend
+    });
+    const port = Number(options.port || 8080);
+    const host = options.host || '127.0.0.1';
+
+    http.createServer((req, res) => server.handle(req, res)).listen(port, host, () => {
+        console.log(`Forecast server on http://${host}:${port} (${backend} backend, models in ${server.modelsDir}, data in ${server.dataDir})`);
+    });
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+});
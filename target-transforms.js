@@ -0,0 +1,96 @@
+// target-transforms.js
+/**
+ * Target Transform Module
+ * Turns prices into simple returns, log returns or price differences and
+ * rebuilds the forecast price path from the last close
+ */
+
+// 'price' keeps the raw price as the target
+const TARGET_TRANSFORMS = ['price', 'simple', 'log', 'diff'];
+
+/**
+ * Check a transform name
+ * @param {string} transform - Transform name
+ */
+function assertTransform(transform) {
+    if (!TARGET_TRANSFORMS.includes(transform)) {
+        throw new Error(`Unknown target transform "${transform}" (expected ${TARGET_TRANSFORMS.join(', ')})`);
+    }
+}
+
+/**
+ * Change from one price to the next
+ * @param {number} previous - Previous price
+ * @param {number} current - Current price
+ * @param {string} transform - 'simple', 'log' or 'diff'
+ * @returns {number} Change in the transform's units
+ */
+function priceChange(previous, current, transform) {
+    switch (transform) {
+        case 'simple': return current / previous - 1;
+        case 'log': return Math.log(current / previous);
+        case 'diff': return current - previous;
+        default:
+            assertTransform(transform);
+            return current;
+    }
+}
+
+/**
+ * Apply a change to a price
+ * @param {number} previous - Previous price
+ * @param {number} change - Change in the transform's units
+ * @param {string} transform - 'simple', 'log' or 'diff'
+ * @returns {number} Next price
+ */
+function applyChange(previous, change, transform) {
+    switch (transform) {
+        case 'simple': return previous * (1 + change);
+        case 'log': return previous * Math.exp(change);
+        case 'diff': return previous + change;
+        default:
+            assertTransform(transform);
+            return change;
+    }
+}
+
+/**
+ * Transform a price series
+ * @param {Array} prices - Prices, oldest first
+ * @param {string} transform - One of TARGET_TRANSFORMS
+ * @returns {Array} The prices for 'price'; otherwise one change per day after the first (length - 1 values)
+ */
+function toTargetSeries(prices, transform) {
+    assertTransform(transform);
+    if (transform === 'price') {
+        return prices;
+    }
+
+    if ((transform === 'simple' || transform === 'log') && prices.some(price => price <= 0)) {
+        throw new Error(`${transform} returns need positive prices`);
+    }
+
+    return prices.slice(1).map((price, i) => priceChange(prices[i], price, transform));
+}
+
+/**
+ * Rebuild the price path implied by consecutive daily changes
+ * @param {Array} values - Forecast values in the transform's units, day 1 first
+ * @param {number} lastClose - Last observed price before day 1
+ * @param {string} transform - One of TARGET_TRANSFORMS
+ * @returns {Array} Prices for each forecast day
+ */
+function reconstructPrices(values, lastClose, transform) {
+    assertTransform(transform);
+    if (transform === 'price') {
+        return [...values];
+    }
+
+    let price = lastClose;
+    return values.map(change => {
+        price = applyChange(price, change, transform);
+        return price;
+    });
+}
+
+export { TARGET_TRANSFORMS, toTargetSeries, reconstructPrices, priceChange, applyChange };
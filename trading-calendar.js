@@ -0,0 +1,181 @@
+// trading-calendar.js
+/**
+ * Trading Calendar Module
+ * Business-day and NYSE holiday calendars used to find gaps in daily price data
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Unscheduled full-day NYSE closures (weather, national days of mourning, 9/11)
+const NYSE_SPECIAL_CLOSURES = [
+    '1985-09-27', '1994-04-27', '2001-09-11', '2001-09-12', '2001-09-13', '2001-09-14',
+    '2004-06-11', '2007-01-02', '2012-10-29', '2012-10-30', '2018-12-05', '2025-01-09'
+];
+
+const CALENDARS = ['nyse', 'business'];
+
+/**
+ * Timestamp of the nth weekday of a month (n = -1 for the last one)
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @param {number} weekday - Day of week (0 = Sunday)
+ * @param {number} n - Occurrence, 1-based, or -1 for the last
+ * @returns {number} - UTC timestamp
+ */
+function nthWeekday(year, month, weekday, n) {
+    if (n < 0) {
+        const last = new Date(Date.UTC(year, month + 1, 0));
+        const offset = (last.getUTCDay() - weekday + 7) % 7;
+        return last.getTime() - offset * DAY_MS;
+    }
+
+    const first = new Date(Date.UTC(year, month, 1));
+    const offset = (weekday - first.getUTCDay() + 7) % 7;
+    return first.getTime() + (offset + (n - 1) * 7) * DAY_MS;
+}
+
+/**
+ * Easter Sunday (anonymous Gregorian algorithm)
+ * @param {number} year - Year
+ * @returns {number} - UTC timestamp
+ */
+function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return Date.UTC(year, month - 1, day);
+}
+
+/**
+ * Move a fixed-date holiday off the weekend (Saturday -> Friday, Sunday -> Monday)
+ * @param {number} timestamp - Holiday date
+ * @returns {number} - Observed date
+ */
+function observed(timestamp) {
+    const weekday = new Date(timestamp).getUTCDay();
+    if (weekday === 6) return timestamp - DAY_MS;
+    if (weekday === 0) return timestamp + DAY_MS;
+    return timestamp;
+}
+
+class TradingCalendar {
+    /**
+     * @param {string} name - 'nyse' (weekends, exchange holidays and closures) or 'business' (weekends only)
+     */
+    constructor(name = 'nyse') {
+        if (!CALENDARS.includes(name)) {
+            throw new Error(`Unknown calendar "${name}" (expected ${CALENDARS.join(', ')})`);
+        }
+
+        this.name = name;
+        this.holidayCache = new Map();
+    }
+
+    /**
+     * NYSE full-day holidays of a year
+     * @param {number} year - Year
+     * @returns {Set<number>} - UTC timestamps of closed weekdays
+     */
+    holidays(year) {
+        if (this.name !== 'nyse') {
+            return new Set();
+        }
+        if (this.holidayCache.has(year)) {
+            return this.holidayCache.get(year);
+        }
+
+        const days = [
+            nthWeekday(year, 8, 1, 1),                 // Labor Day
+            nthWeekday(year, 10, 4, 4),                // Thanksgiving
+            nthWeekday(year, 4, 1, -1),                // Memorial Day
+            nthWeekday(year, 1, 1, 3),                 // Washington's Birthday
+            easterSunday(year) - 2 * DAY_MS,           // Good Friday
+            observed(Date.UTC(year, 6, 4)),            // Independence Day
+            observed(Date.UTC(year, 11, 25))           // Christmas
+        ];
+
+        // New Year's Day on a Saturday is not made up on the Friday before
+        const newYear = Date.UTC(year, 0, 1);
+        if (new Date(newYear).getUTCDay() !== 6) {
+            days.push(observed(newYear));
+        }
+        if (year >= 1998) {
+            days.push(nthWeekday(year, 0, 1, 3));      // Martin Luther King Jr. Day
+        }
+        if (year >= 2022) {
+            days.push(observed(Date.UTC(year, 5, 19))); // Juneteenth
+        }
+
+        NYSE_SPECIAL_CLOSURES
+            .filter(date => date.startsWith(`${year}-`))
+            .forEach(date => days.push(Date.parse(`${date}T00:00:00Z`)));
+
+        const set = new Set(days);
+        this.holidayCache.set(year, set);
+        return set;
+    }
+
+    /**
+     * Check whether the exchange is open on a date
+     * @param {number} timestamp - UTC timestamp (time of day is ignored)
+     * @returns {boolean} - True for trading days
+     */
+    isTradingDay(timestamp) {
+        const day = Math.floor(timestamp / DAY_MS) * DAY_MS;
+        const date = new Date(day);
+        const weekday = date.getUTCDay();
+
+        if (weekday === 0 || weekday === 6) {
+            return false;
+        }
+        return !this.holidays(date.getUTCFullYear()).has(day);
+    }
+
+    /**
+     * Trading days strictly between two dates
+     * @param {number} start - UTC timestamp
+     * @param {number} end - UTC timestamp
+     * @returns {Array<number>} - Missing trading days, oldest first
+     */
+    tradingDaysBetween(start, end) {
+        const days = [];
+        for (let day = Math.floor(start / DAY_MS) * DAY_MS + DAY_MS; day < end; day += DAY_MS) {
+            if (this.isTradingDay(day)) {
+                days.push(day);
+            }
+        }
+        return days;
+    }
+
+    /**
+     * Next trading days after a date
+     * @param {number} timestamp - UTC timestamp
+     * @param {number} count - Number of days
+     * @returns {Array<number>} - Trading days, oldest first
+     */
+    nextTradingDays(timestamp, count = 1) {
+        const days = [];
+        let day = Math.floor(timestamp / DAY_MS) * DAY_MS;
+
+        while (days.length < count) {
+            day += DAY_MS;
+            if (this.isTradingDay(day)) {
+                days.push(day);
+            }
+        }
+        return days;
+    }
+}
+
+export { TradingCalendar, CALENDARS };
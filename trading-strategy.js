@@ -0,0 +1,195 @@
+// trading-strategy.js
+/**
+ * Trading Strategy Module
+ * Turns out-of-sample forecasts into long/flat/short positions and simulates daily P&L
+ * with transaction costs and slippage, compared against buy-and-hold on the same days
+ */
+
+const POSITION_MODES = ['long-flat', 'long-short'];
+const SIZING_METHODS = ['fixed', 'proportional'];
+const TRADING_DAYS_PER_YEAR = 252;
+
+/**
+ * Risk and return statistics of a daily return series
+ * @param {Array<number>} returns - Daily net returns
+ * @param {Array<number>} positions - Position held each day (1 for buy-and-hold)
+ * @param {Array<number>} grossReturns - Daily returns before costs (hit rate ignores costs)
+ * @param {Object} options - { periodsPerYear, riskFreeRate (annual) }
+ * @returns {Object} { totalReturn, cagr, volatility, sharpe, sortino, maxDrawdown, turnover,
+ *   annualTurnover, trades, exposure, hitRate, days }
+ */
+function performanceMetrics(returns, positions, grossReturns, options = {}) {
+    const { periodsPerYear = TRADING_DAYS_PER_YEAR, riskFreeRate = 0 } = options;
+    const days = returns.length;
+    if (days === 0) {
+        throw new Error('No returns to evaluate');
+    }
+
+    let equity = 1;
+    let peak = 1;
+    let maxDrawdown = 0;
+    returns.forEach(r => {
+        equity *= 1 + r;
+        peak = Math.max(peak, equity);
+        maxDrawdown = Math.max(maxDrawdown, 1 - equity / peak);
+    });
+
+    const years = days / periodsPerYear;
+    const excess = returns.map(r => r - riskFreeRate / periodsPerYear);
+    const mean = excess.reduce((sum, r) => sum + r, 0) / days;
+    const std = Math.sqrt(excess.reduce((sum, r) => sum + (r - mean) ** 2, 0) / Math.max(days - 1, 1));
+    const downside = Math.sqrt(excess.reduce((sum, r) => sum + Math.min(r, 0) ** 2, 0) / days);
+
+    // Turnover counts the initial entry from cash
+    let turnover = 0;
+    let trades = 0;
+    positions.forEach((position, i) => {
+        const change = Math.abs(position - (i > 0 ? positions[i - 1] : 0));
+        turnover += change;
+        trades += change > 0 ? 1 : 0;
+    });
+
+    const active = positions.map((position, i) => ({ position, gross: grossReturns[i] }))
+        .filter(day => day.position !== 0);
+
+    return {
+        totalReturn: equity - 1,
+        cagr: equity > 0 ? equity ** (1 / years) - 1 : -1,
+        volatility: std * Math.sqrt(periodsPerYear),
+        sharpe: std > 0 ? (mean / std) * Math.sqrt(periodsPerYear) : 0,
+        sortino: downside > 0 ? (mean / downside) * Math.sqrt(periodsPerYear) : 0,
+        maxDrawdown,
+        turnover,
+        annualTurnover: turnover / years,
+        trades,
+        exposure: active.length / days,
+        hitRate: active.length > 0 ? active.filter(day => day.gross > 0).length / active.length : 0,
+        days
+    };
+}
+
+class TradingStrategy {
+    /**
+     * @param {Object} options - Strategy options
+     * @param {string} options.mode - 'long-flat' or 'long-short'
+     * @param {number} options.horizon - Forecast day whose expected return drives the signal
+     * @param {number} options.longThreshold - Expected return above which to go long (0.002 = 0.2%)
+     * @param {number} options.shortThreshold - Expected fall beyond which to go short (long-short only)
+     * @param {string} options.sizing - 'fixed' or 'proportional' (scaled by expected return up to fullSizeReturn)
+     * @param {number} options.positionSize - Largest position as a fraction of equity (1 = fully invested)
+     * @param {number} options.fullSizeReturn - Expected return that earns the full position when proportional
+     * @param {number} options.costBps - Transaction cost per unit traded, in basis points
+     * @param {number} options.slippageBps - Slippage per unit traded, in basis points
+     * @param {number} options.riskFreeRate - Annual risk-free rate for Sharpe and Sortino
+     * @param {number} options.periodsPerYear - Trading days per year
+     */
+    constructor(options = {}) {
+        this.mode = options.mode || 'long-flat';
+        this.horizon = options.horizon ?? 1;
+        this.longThreshold = options.longThreshold ?? 0;
+        this.shortThreshold = options.shortThreshold ?? 0;
+        this.sizing = options.sizing || 'fixed';
+        this.positionSize = options.positionSize ?? 1;
+        this.fullSizeReturn = options.fullSizeReturn ?? 0.01;
+        this.costBps = options.costBps ?? 5;
+        this.slippageBps = options.slippageBps ?? 2;
+        this.riskFreeRate = options.riskFreeRate ?? 0;
+        this.periodsPerYear = options.periodsPerYear ?? TRADING_DAYS_PER_YEAR;
+
+        if (!POSITION_MODES.includes(this.mode)) {
+            throw new Error(`Unknown position mode "${this.mode}" (expected ${POSITION_MODES.join(', ')})`);
+        }
+        if (!SIZING_METHODS.includes(this.sizing)) {
+            throw new Error(`Unknown sizing method "${this.sizing}" (expected ${SIZING_METHODS.join(', ')})`);
+        }
+        if (!(this.horizon >= 1) || !(this.positionSize > 0) || !(this.fullSizeReturn > 0)) {
+            throw new Error('Horizon, position size and full-size return must be positive');
+        }
+    }
+
+    /**
+     * Position for one day from the forecast's expected return
+     * @param {number} expectedReturn - Forecast return from the last close to the horizon day
+     * @returns {number} Position as a fraction of equity; negative is short
+     */
+    position(expectedReturn) {
+        let direction = 0;
+        if (expectedReturn > this.longThreshold) {
+            direction = 1;
+        } else if (this.mode === 'long-short' && expectedReturn < -this.shortThreshold) {
+            direction = -1;
+        }
+
+        if (direction === 0 || this.sizing === 'fixed') {
+            return direction * this.positionSize;
+        }
+        return direction * this.positionSize * Math.min(Math.abs(expectedReturn) / this.fullSizeReturn, 1);
+    }
+
+    /**
+     * Simulate the strategy over consecutive trading days
+     * Each step decides at the close of its reference day and holds the position to the next close.
+     * @param {Array<Object>} steps - Oldest first: { date, reference (last close), predicted (prices per
+     *   forecast day), actual (prices per forecast day; actual[0] is the next close) }
+     * @returns {Object} { days: [{ date, expectedReturn, position, assetReturn, cost, strategyReturn,
+     *   equity, benchmarkEquity }], strategy: metrics, buyAndHold: metrics }
+     */
+    simulate(steps) {
+        if (steps.length === 0) {
+            throw new Error('No forecasts to trade on');
+        }
+        if (this.horizon > steps[0].predicted.length) {
+            throw new Error(`Horizon ${this.horizon} is beyond the ${steps[0].predicted.length}-day forecast`);
+        }
+
+        const costRate = (this.costBps + this.slippageBps) / 10000;
+        const days = [];
+        let previous = 0;
+        let equity = 1;
+        let benchmarkEquity = 1;
+
+        steps.forEach((step, i) => {
+            const expectedReturn = step.predicted[this.horizon - 1] / step.reference - 1;
+            const assetReturn = step.actual[0] / step.reference - 1;
+            const position = this.position(expectedReturn);
+            const cost = Math.abs(position - previous) * costRate;
+            const strategyReturn = position * assetReturn - cost;
+            // Buy-and-hold pays the same costs to enter once
+            const benchmarkReturn = assetReturn - (i === 0 ? costRate : 0);
+
+            equity *= 1 + strategyReturn;
+            benchmarkEquity *= 1 + benchmarkReturn;
+            days.push({
+                date: step.date ?? null,
+                expectedReturn,
+                position,
+                assetReturn,
+                cost,
+                strategyReturn,
+                benchmarkReturn,
+                equity,
+                benchmarkEquity
+            });
+            previous = position;
+        });
+
+        const options = { periodsPerYear: this.periodsPerYear, riskFreeRate: this.riskFreeRate };
+        return {
+            days,
+            strategy: performanceMetrics(
+                days.map(day => day.strategyReturn),
+                days.map(day => day.position),
+                days.map(day => day.position * day.assetReturn),
+                options
+            ),
+            buyAndHold: performanceMetrics(
+                days.map(day => day.benchmarkReturn),
+                days.map(() => 1),
+                days.map(day => day.assetReturn),
+                options
+            )
+        };
+    }
+}
+
+export { TradingStrategy, performanceMetrics, POSITION_MODES, SIZING_METHODS, TRADING_DAYS_PER_YEAR };
@@ -0,0 +1,174 @@
+// training-controller.js
+/**
+ * Training Controller Module
+ * Handles cancellation, early stopping, learning-rate reduction on plateau
+ * and best-weights restore for a running model.fit
+ */
+
+class TrainingController {
+    /**
+     * @param {Object} options - Controller options
+     * @param {string} options.monitor - Log key to monitor (default 'val_loss')
+     * @param {number} options.patience - Epochs without improvement before stopping (0 disables)
+     * @param {number} options.minDelta - Minimum decrease that counts as an improvement
+     * @param {number} options.reduceLrPatience - Epochs without improvement before reducing the learning rate (0 disables)
+     * @param {number} options.reduceLrFactor - Factor applied to the learning rate on plateau
+     * @param {number} options.minLearningRate - Lower bound for the learning rate
+     * @param {boolean} options.restoreBestWeights - Restore the best epoch's weights when training ends
+     */
+    constructor(options = {}) {
+        this.monitor = options.monitor || 'val_loss';
+        this.patience = options.patience ?? 10;
+        this.minDelta = options.minDelta ?? 1e-4;
+        this.reduceLrPatience = options.reduceLrPatience ?? 5;
+        this.reduceLrFactor = options.reduceLrFactor ?? 0.5;
+        this.minLearningRate = options.minLearningRate ?? 1e-5;
+        this.restoreBestWeights = options.restoreBestWeights ?? true;
+
+        this.model = null;
+        this.bestWeights = null;
+        this.reset();
+    }
+
+    /**
+     * Reset the controller state before a new training run
+     */
+    reset() {
+        this.disposeBestWeights();
+        this.bestValue = Infinity;
+        this.bestEpoch = -1;
+        this.wait = 0;
+        this.lrWait = 0;
+        this.stopReason = null;
+        this.cancelRequested = false;
+    }
+
+    /**
+     * Attach the controller to a model about to be trained
+     * @param {tf.LayersModel} model - Model passed to fit
+     */
+    attach(model) {
+        this.reset();
+        this.model = model;
+        this.model.stopTraining = false;
+    }
+
+    /**
+     * Request cancellation; fit stops after the current batch
+     */
+    cancel() {
+        this.cancelRequested = true;
+        if (this.model) {
+            this.model.stopTraining = true;
+        }
+    }
+
+    /**
+     * Get the optimizer's current learning rate
+     * @returns {number|null} Learning rate
+     */
+    getLearningRate() {
+        const optimizer = this.model && this.model.optimizer;
+        return optimizer && typeof optimizer.learningRate === 'number' ? optimizer.learningRate : null;
+    }
+
+    /**
+     * Update state after an epoch and decide whether training continues
+     * @param {number} epoch - Zero-based epoch index
+     * @param {Object} logs - Epoch logs from model.fit
+     * @returns {Object} Epoch summary { improved, learningRate, stop }
+     */
+    onEpochEnd(epoch, logs) {
+        if (this.cancelRequested) {
+            this.stopReason = 'cancelled';
+            this.model.stopTraining = true;
+            return { improved: false, learningRate: this.getLearningRate(), stop: true };
+        }
+
+        const value = logs[this.monitor];
+        if (value === undefined || !isFinite(value)) {
+            this.stopReason = `${this.monitor} is not finite`;
+            this.model.stopTraining = true;
+            return { improved: false, learningRate: this.getLearningRate(), stop: true };
+        }
+
+        const improved = value < this.bestValue - this.minDelta;
+
+        if (improved) {
+            this.bestValue = value;
+            this.bestEpoch = epoch;
+            this.wait = 0;
+            this.lrWait = 0;
+
+            if (this.restoreBestWeights) {
+                this.disposeBestWeights();
+                this.bestWeights = this.model.getWeights().map(w => w.clone());
+            }
+        } else {
+            this.wait++;
+            this.lrWait++;
+        }
+
+        // Reduce learning rate on plateau
+        const learningRate = this.getLearningRate();
+        if (!improved && this.reduceLrPatience > 0 && this.lrWait >= this.reduceLrPatience && learningRate !== null) {
+            const reduced = Math.max(learningRate * this.reduceLrFactor, this.minLearningRate);
+            if (reduced < learningRate) {
+                this.model.optimizer.learningRate = reduced;
+                console.log(`Epoch ${epoch + 1}: reducing learning rate to ${reduced.toExponential(2)}`);
+            }
+            this.lrWait = 0;
+        }
+
+        // Early stopping
+        if (this.patience > 0 && this.wait >= this.patience) {
+            this.stopReason = `early stopping (no ${this.monitor} improvement for ${this.patience} epochs)`;
+            this.model.stopTraining = true;
+        }
+
+        return {
+            improved,
+            learningRate: this.getLearningRate(),
+            stop: this.model.stopTraining
+        };
+    }
+
+    /**
+     * Finish the run: restore the best weights and record the stop reason
+     * @returns {Object} Final state { bestEpoch, bestValue, stopReason, restored }
+     */
+    finish() {
+        let restored = false;
+
+        if (this.restoreBestWeights && this.bestWeights) {
+            this.model.setWeights(this.bestWeights);
+            restored = true;
+            console.log(`Restored weights from epoch ${this.bestEpoch + 1} (${this.monitor}: ${this.bestValue.toFixed(6)})`);
+        }
+
+        if (!this.stopReason) {
+            this.stopReason = this.cancelRequested ? 'cancelled' : 'completed';
+        }
+
+        this.disposeBestWeights();
+
+        return {
+            bestEpoch: this.bestEpoch,
+            bestValue: this.bestValue,
+            stopReason: this.stopReason,
+            restored
+        };
+    }
+
+    /**
+     * Release the stored best-epoch weights
+     */
+    disposeBestWeights() {
+        if (this.bestWeights) {
+            this.bestWeights.forEach(w => w.dispose());
+            this.bestWeights = null;
+        }
+    }
+}
+
+export { TrainingController };
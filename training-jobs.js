@@ -0,0 +1,203 @@
+// training-jobs.js
+/**
+ * Training Jobs Module
+ * Training, hyperparameter search and backtest jobs with plain, transferable inputs
+ * and results, run by the training worker (or on the page when no worker is available)
+ */
+
+import { GRUModel } from './gru.js';
+import { HyperparameterSearch } from './hyperparameter-search.js';
+import { WalkForwardBacktester } from './backtest.js';
+import { DataLoader } from './data-loader.js';
+
+/**
+ * Copy a tensor into a typed array
+ * @param {tf.Tensor} tensor - Tensor
+ * @returns {Object} { shape, values: Float32Array }
+ */
+function packTensor(tensor) {
+    return { shape: tensor.shape, values: new Float32Array(tensor.dataSync()) };
+}
+
+/**
+ * @param {Object} packed - Output of packTensor
+ * @returns {tf.Tensor} Tensor
+ */
+function unpackTensor({ shape, values }) {
+    return tf.tensor(values, shape);
+}
+
+/**
+ * Flatten a rectangular nested number array into a typed array
+ * @param {Array} nested - e.g. sequences [samples][steps][features]
+ * @returns {Object} { shape, values: Float32Array }
+ */
+function packArray(nested) {
+    const shape = [];
+    for (let level = nested; Array.isArray(level); level = level[0]) {
+        shape.push(level.length);
+    }
+    return { shape, values: Float32Array.from(nested.flat(Infinity)) };
+}
+
+/**
+ * @param {Object} packed - Output of packArray
+ * @returns {Array} Nested number array
+ */
+function unpackArray({ shape, values }) {
+    const build = (offset, dim) => {
+        if (dim === shape.length - 1) {
+            return Array.from(values.subarray(offset, offset + shape[dim]));
+        }
+        const size = shape.slice(dim + 1).reduce((a, b) => a * b, 1);
+        return Array.from({ length: shape[dim] }, (_, i) => build(offset + i * size, dim + 1));
+    };
+    return build(0, 0);
+}
+
+/**
+ * Make DataLoader.getAllWindows output cloneable: drop the denormalize closure, pack the arrays
+ * @param {Object} windows - Output of DataLoader.getAllWindows
+ * @returns {Object} Packed windows
+ */
+function packWindows(windows) {
+    const { sequences, targets, denormalize, ...state } = windows;
+    return { ...state, sequences: packArray(sequences), targets: packArray(targets) };
+}
+
+/**
+ * Rebuild windows, including denormalize, from packWindows output
+ * @param {Object} packed - Packed windows
+ * @returns {Object} Windows as returned by DataLoader.getAllWindows
+ */
+function unpackWindows(packed) {
+    const loader = new DataLoader();
+    loader.targetTransform = packed.targetTransform;
+
+    return {
+        ...packed,
+        sequences: unpackArray(packed.sequences),
+        targets: unpackArray(packed.targets),
+        denormalize: (row, windowIndex) => loader.denormalizeArray(
+            row, 'target', packed.references[windowIndex], packed.params
+        )
+    };
+}
+
+/**
+ * Buffers to transfer instead of copy
+ * @param {Array<Object>} packed - Packed tensors or arrays
+ * @returns {Array<ArrayBuffer>} Transfer list
+ */
+function transferList(packed) {
+    return packed.map(item => item.values.buffer);
+}
+
+// Jobs take (payload, { onProgress, control }) and return { result, transfer };
+// each sets control.onCancel before its first await so a cancel message can stop it
+const JOBS = {
+    /**
+     * Build and train a model; payload { data: { xTrain, yTrain, xVal, yVal } (packed tensors),
+     * info: dataset shape info, modelOptions, trainOptions, weights }
+     * With weights (GRUModel.getWeightData output) training continues from them instead of
+     * from new initial weights, to fine-tune an existing model.
+     */
+    async train(payload, { onProgress, control }) {
+        const { data, info, modelOptions, trainOptions, weights: initialWeights } = payload;
+        const tensors = ['xTrain', 'yTrain', 'xVal', 'yVal'].map(key => unpackTensor(data[key]));
+        const model = new GRUModel();
+        control.onCancel = () => model.stopTraining();
+
+        try {
+            model.buildFromDataset(info, modelOptions.gruUnits, modelOptions);
+            if (initialWeights) {
+                model.setTrainedWeights(initialWeights, model.history);
+            }
+            const history = await model.train(...tensors, {
+                ...trainOptions,
+                onEpochEnd: (epoch, logs, state) => onProgress({ event: 'epoch', epoch, logs, state })
+            });
+
+            const weights = model.getWeightData();
+            return { result: { history, weights }, transfer: transferList(weights) };
+        } finally {
+            tensors.forEach(t => t.dispose());
+            model.dispose();
+        }
+    },
+
+    /**
+     * Hyperparameter search; payload { options, windows: { [sequenceLength]: packed windows } }
+     */
+    async search(payload, { onProgress, control }) {
+        const search = new HyperparameterSearch(payload.options);
+        const windows = {};
+        Object.entries(payload.windows).forEach(([sequenceLength, packed]) => {
+            windows[sequenceLength] = unpackWindows(packed);
+        });
+        control.onCancel = () => search.cancel();
+
+        const results = await search.run(sequenceLength => {
+            if (!windows[sequenceLength]) {
+                throw new Error(`No windows were sent for sequence length ${sequenceLength}`);
+            }
+            return windows[sequenceLength];
+        }, {
+            onTrialEnd: (result, planned) => onProgress({ event: 'trial', result, planned }),
+            onEpochEnd: (trial, epoch, logs) => onProgress({ event: 'epoch', trial, epoch, logs })
+        });
+
+        return { result: { results, cancelled: search.cancelRequested }, transfer: [] };
+    },
+
+    /**
+     * Walk-forward backtest; payload { options, windows: packed windows }
+     */
+    async backtest(payload, { onProgress, control }) {
+        const backtester = new WalkForwardBacktester(payload.options);
+        const windows = unpackWindows(payload.windows);
+        control.onCancel = () => backtester.cancel();
+
+        const result = await backtester.run(windows, {
+            denormalize: windows.denormalize,
+            onEpochEnd: (fold, epoch, logs) => onProgress({ event: 'epoch', fold, epoch, logs }),
+            onFoldEnd: (foldResult, totalFolds) => onProgress({ event: 'fold', result: foldResult, totalFolds })
+        });
+
+        return { result, transfer: [] };
+    }
+};
+
+/**
+ * Run a job
+ * A job cancelled before it started is stopped as soon as it begins, so it resolves with the
+ * same cancelled result as a job stopped partway through.
+ * @param {string} name - 'train', 'search' or 'backtest'
+ * @param {Object} payload - Job input
+ * @param {Object} options - { onProgress(progress), control: { cancelled, onCancel } }
+ * @returns {Promise<Object>} { result, transfer }
+ */
+async function runJob(name, payload, options = {}) {
+    const job = JOBS[name];
+    if (!job) {
+        throw new Error(`Unknown job "${name}" (expected ${Object.keys(JOBS).join(', ')})`);
+    }
+
+    const { onProgress = () => {}, control = {} } = options;
+    const running = job(payload, { onProgress, control });
+    if (control.cancelled && control.onCancel) {
+        control.onCancel();
+    }
+    return running;
+}
+
+export {
+    runJob,
+    packTensor,
+    unpackTensor,
+    packArray,
+    unpackArray,
+    packWindows,
+    unpackWindows,
+    transferList
+};
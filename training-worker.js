@@ -0,0 +1,78 @@
+// training-worker.js
+/**
+ * Training Worker
+ * Runs training, hyperparameter search and backtest jobs off the main thread.
+ * Uses WebGL through OffscreenCanvas when available and the CPU backend otherwise.
+ *
+ * Messages in:  { type: 'run', id, job, payload } | { type: 'cancel', id }
+ * Messages out: { type: 'ready', backend } | { type: 'progress', id, progress }
+ *               | { type: 'result', id, result } | { type: 'error', id, message }
+ */
+
+import * as tfjs from 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.10.0/dist/tf.fesm.min.js';
+import { runJob } from './training-jobs.js';
+
+// The model modules use the global tf namespace, as on the page
+self.tf = tfjs;
+
+// Cancel handles of running jobs by id
+const controls = new Map();
+
+/**
+ * Pick the fastest backend that works in this worker
+ * @returns {Promise<string>} Backend name
+ */
+async function initBackend() {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        try {
+            if (await tf.setBackend('webgl')) {
+                return tf.getBackend();
+            }
+        } catch (error) {
+            console.warn(`WebGL backend unavailable in worker: ${error.message}`);
+        }
+    }
+
+    await tf.setBackend('cpu');
+    return tf.getBackend();
+}
+
+const ready = initBackend().then(backend => {
+    console.log(`Training worker ready (${backend} backend)`);
+    self.postMessage({ type: 'ready', backend });
+});
+
+self.onmessage = async (event) => {
+    const { type, id, job, payload } = event.data;
+
+    if (type === 'cancel') {
+        const control = controls.get(id);
+        if (control) {
+            control.cancelled = true;
+            if (control.onCancel) {
+                control.onCancel();
+            }
+        }
+        return;
+    }
+
+    if (type !== 'run') {
+        return;
+    }
+
+    const control = { cancelled: false, onCancel: null };
+    controls.set(id, control);
+
+    try {
+        await ready;
+        const { result, transfer } = await runJob(job, payload, {
+            control,
+            onProgress: progress => self.postMessage({ type: 'progress', id, progress })
+        });
+        self.postMessage({ type: 'result', id, result }, transfer);
+    } catch (error) {
+        self.postMessage({ type: 'error', id, message: error.message });
+    } finally {
+        controls.delete(id);
+    }
+};
@@ -0,0 +1,166 @@
+// worker-client.js
+/**
+ * Training Worker Client
+ * Starts the training worker and runs jobs in it with streamed progress and cancellation.
+ * Falls back to running jobs on the page when module workers are unavailable.
+ */
+
+import { runJob } from './training-jobs.js';
+
+class TrainingWorkerClient {
+    /**
+     * @param {URL|string} url - Worker script
+     */
+    constructor(url = new URL('./training-worker.js', import.meta.url)) {
+        this.url = url;
+        this.worker = null;
+        this.backend = null;
+        this.ready = null;
+        this.jobs = new Map();
+        this.nextId = 1;
+    }
+
+    /**
+     * Start the worker once; resolves when it has picked a backend
+     * @returns {Promise<Object>} { inWorker, backend }
+     */
+    start() {
+        if (!this.ready) {
+            this.ready = this.createWorker().catch(error => {
+                console.warn(`Training worker unavailable, training on the page: ${error.message}`);
+                this.worker = null;
+                this.backend = tf.getBackend();
+                return { inWorker: false, backend: this.backend };
+            });
+        }
+        return this.ready;
+    }
+
+    /**
+     * Create the module worker and wait for its ready message
+     * @returns {Promise<Object>} { inWorker, backend }
+     */
+    createWorker() {
+        return new Promise((resolve, reject) => {
+            if (typeof Worker === 'undefined') {
+                reject(new Error('Web Workers are not supported'));
+                return;
+            }
+
+            const worker = new Worker(this.url, { type: 'module' });
+
+            worker.onerror = (event) => {
+                event.preventDefault();
+                worker.terminate();
+                reject(new Error(event.message || 'worker failed to load'));
+            };
+
+            worker.onmessage = (event) => {
+                if (event.data.type !== 'ready') {
+                    return;
+                }
+
+                worker.onmessage = e => this.onMessage(e.data);
+                worker.onerror = e => this.onWorkerError(e);
+                this.worker = worker;
+                this.backend = event.data.backend;
+
+                console.log(`Training worker started (${this.backend} backend)`);
+                resolve({ inWorker: true, backend: this.backend });
+            };
+        });
+    }
+
+    /**
+     * Run a job (see training-jobs.js)
+     * @param {string} name - 'train', 'search' or 'backtest'
+     * @param {Object} payload - Job input
+     * @param {Object} options - Run options
+     * @param {Function} options.onProgress - Called with each progress event
+     * @param {Array<ArrayBuffer>} options.transfer - Payload buffers to transfer instead of copy
+     * @returns {Object} { id, result: Promise, cancel() }
+     */
+    run(name, payload, options = {}) {
+        const { onProgress = () => {}, transfer = [] } = options;
+        const id = this.nextId++;
+        const control = { cancelled: false, onCancel: null };
+
+        // A job cancelled while the worker starts still runs and resolves as a cancelled job
+        const result = this.start().then(() => {
+            if (!this.worker) {
+                return runJob(name, payload, { onProgress, control }).then(output => output.result);
+            }
+
+            return new Promise((resolve, reject) => {
+                this.jobs.set(id, { resolve, reject, onProgress });
+                this.worker.postMessage({ type: 'run', id, job: name, payload }, transfer);
+                if (control.cancelled) {
+                    this.worker.postMessage({ type: 'cancel', id });
+                }
+            });
+        });
+
+        return {
+            id,
+            result,
+            cancel: () => {
+                control.cancelled = true;
+                if (this.jobs.has(id)) {
+                    this.worker.postMessage({ type: 'cancel', id });
+                } else if (control.onCancel) {
+                    control.onCancel();
+                }
+            }
+        };
+    }
+
+    /**
+     * Route a worker message to its job
+     * @param {Object} message - Worker message
+     */
+    onMessage(message) {
+        const job = this.jobs.get(message.id);
+        if (!job) {
+            return;
+        }
+
+        switch (message.type) {
+            case 'progress':
+                job.onProgress(message.progress);
+                break;
+            case 'result':
+                this.jobs.delete(message.id);
+                job.resolve(message.result);
+                break;
+            case 'error':
+                this.jobs.delete(message.id);
+                job.reject(new Error(message.message));
+                break;
+        }
+    }
+
+    /**
+     * Fail every running job when the worker crashes; later jobs start a new worker
+     * @param {ErrorEvent} event - Worker error
+     */
+    onWorkerError(event) {
+        console.error('Training worker error:', event.message);
+        this.terminate();
+    }
+
+    /**
+     * Stop the worker and reject its running jobs
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.ready = null;
+
+        this.jobs.forEach(job => job.reject(new Error('Training worker stopped')));
+        this.jobs.clear();
+    }
+}
+
+export { TrainingWorkerClient };